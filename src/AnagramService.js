@@ -2,10 +2,47 @@
 
 const fs = require('fs');
 const readline = require('readline');
+const zlib = require('zlib');
+const isFunction = require('lodash.isfunction');
 const isString = require('lodash.isstring');
 
+const Histogram = require('./Histogram');
+const KeyIndex = require('./KeyIndex');
+const SetIndex = require('./SetIndex');
+const withBatchOps = require('./adapters/withBatchOps');
 const util = require('./util/util');
 
+// default limits for multi-word (phrase) anagram searches
+const PHRASE_DEFAULTS = {
+    maxWords: 3, // max number of words per resulting phrase
+    minWordLength: 2, // min length of each word in a resulting phrase
+    limit: 100, // max number of phrases to return
+    timeout: 1000 // time budget in milliseconds
+};
+
+const WILDCARD = /[?_]/; // wildcard (ie, blank tile) characters that match any letter in get()
+const WILDCARDS = new RegExp(WILDCARD.source, 'g');
+
+const PAGE_LIMIT = 100; // default number of anagram sets per page of results
+const PAGE_MAX_LIMIT = 1000; // hard upper bound on the number of anagram sets per page
+
+const LOAD_BATCH_SIZE = 500; // words added at a time by load()
+const LOAD_CONCURRENCY = 4; // batches load() adds at once
+const LOAD_MAX_REJECTED = 1000; // most rejected words to list in a load report
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]); // first bytes of gzip files, which load() gunzips
+
+const STATS_PERCENTILES = [50, 90, 95, 99]; // percentiles reported by stats()
+
+const COMPARE_MODES = ['dictionary', 'letters']; // ways compareAnagrams() can compare words
+
+const NEAR_MODES = ['add', 'remove', 'replace']; // ways nearAnagrams() can change the letters of a word
+const NEAR_MAX_DISTANCE = 2; // hard upper bound on the number of letters nearAnagrams() changes
+
+const PHRASE_MAX_WORDS = 6; // hard upper bound on maxWords regardless of requested value
+const PHRASE_MAX_LIMIT = 500; // hard upper bound on limit regardless of requested value
+const PHRASE_MAX_TIMEOUT = 5000; // hard upper bound on timeout (in milliseconds) regardless of requested value
+const PHRASE_CHECK_INTERVAL = 1000; // number of search steps between time budget checks (and between yields to other work)
+
 /**
  * An anagram dictionary service for storing and querying anagrams.
  */
@@ -13,16 +50,26 @@ class AnagramService {
     /**
      * Initialize the anagram dictionary service.
      *
-     * @param {Adapter} adapter The store adapter to use with this instance of AnagramService
+     * @param {Adapter}            adapter The store adapter to use with this instance of AnagramService
+     * @param {AnagramServiceOpts} [opts]  Text handling options
      */
-    constructor(adapter) {
+    constructor(adapter, opts) {
         if (!adapter) {
             throw 'Invalid adapter';
         }
 
-        this._adapter = adapter;
+        opts = opts || {};
+
+        this._adapter = withBatchOps(adapter); // bulk work uses batch operations, which every adapter gets this way
+        this._text = { locale: opts.locale, foldDiacritics: !!opts.foldDiacritics }; // how words are cased and compared (see normalizeWord())
         this._wordCount = 0; // total words in dictionary
         this._anagramCount = 0; // total anagrams in dictionary (words with no anagrams do not contribute to this count; a set of n words that comprise the full set of known anagrams for each other contributes n-1 to this count)
+        this._wordLengths = new Histogram(); // lengths of the words in the dictionary
+        this._cardinalities = new Histogram(); // sizes of the anagram sets (ie, sets of more than one word) in the dictionary
+        this._keyIndex = null; // index of anagram set keys, built on first use (see _keys())
+        this._keyIndexReady = null; // promise for the built key index
+        this._setIndex = null; // index of anagram sets by key length and set size, built on first use or by recount() (see _sets())
+        this._setIndexReady = null; // promise for the built set index
     }
 
     /**
@@ -47,9 +94,55 @@ class AnagramService {
         return this._anagramCount;
     }
 
+    /**
+     * Recompute the word and anagram counts (and the stats and the index of anagram sets
+     * by length and cardinality) from the words in the store.
+     *
+     * Call this before using a store that may already hold words (eg, one that
+     * persists across restarts), since counts are otherwise only tracked for
+     * changes made through this instance.
+     *
+     * @return {Promise.<DictionaryCounts>} Counts for words in the store
+     */
+    recount() {
+        return new Promise((resolve, reject) => {
+            const wordLengths = new Histogram(),
+                cardinalities = new Histogram(),
+                setIndex = new SetIndex();
+
+            let wordCount = 0,
+                anagramCount = 0;
+
+            this._adapter.each((anagramSet, key) => {
+                wordCount += anagramSet.length;
+                anagramCount += anagramSet.length - 1;
+
+                countSet(wordLengths, cardinalities, key, 0, anagramSet.length);
+                setIndex.set(key, anagramSet.length);
+            }).then(() => {
+                this._wordCount = wordCount;
+                this._anagramCount = anagramCount;
+                this._wordLengths = wordLengths;
+                this._cardinalities = cardinalities;
+                this._setIndex = setIndex;
+                this._setIndexReady = Promise.resolve(setIndex);
+
+                resolve({
+                    word: wordCount,
+                    anagram: anagramCount
+                });
+            }).catch(reject);
+        });
+    }
+
     /**
      * Get stats about the words in the dictionary.
      *
+     * Stats are kept current as words are added and deleted, so getting them doesn't
+     * touch the store. Like the counts, they cover changes made through this instance
+     * (see `recount()`). Cardinality stats cover anagram sets, ie, sets of more than one
+     * word. Each stat is NaN if there's nothing to measure (eg, no anagrams).
+     *
      * <pre><code>anagramService.stats().then(stats => console.log(`
      *     words:               ${stats.wordCount.toLocaleString()}
      *     anagrams:            ${stats.anagramCount.toLocaleString()}
@@ -61,44 +154,46 @@ class AnagramService {
      *     max cardinality:     ${stats.maxCardinality.toLocaleString()}
      *     median cardinality:  ${stats.medianCardinality.toLocaleString()}
      *     average cardinality: ${stats.averageCardinality.toLocaleString()}
+     *     p90 word length:     ${stats.wordLengthPercentiles.p90.toLocaleString()}
+     *     words of length 3:   ${stats.wordLengthHistogram[3].toLocaleString()}
      * `));
      * 
      * >   words:               235,886
-     *     anagrams:            15,210
+     *     anagrams:            20,043
      *     min word length:     1
      *     max word length:     24
-     *     median word length:  4
+     *     median word length:  9
      *     average word length: 9.569
      *     min cardinality:     2
-     *     max cardinality:     9
+     *     max cardinality:     11
      *     median cardinality:  2
-     *     average cardinality: 2.248</code></pre>
+     *     average cardinality: 2.311
+     *     p90 word length:     13
+     *     words of length 3:   1,420</code></pre>
      *
      * @return {Promise.<DictionaryStats>} Some statistics about the words in the dictionary
      */
     stats() {
         return new Promise((resolve, reject) => {
-            const wordLengths = [],
-                cardinalities = [];
-
-            this._adapter.each(anagramSet => {
-                if (anagramSet.length > 1) {
-                    cardinalities.push(anagramSet.length);
-                }
+            const wordLengths = this._wordLengths,
+                cardinalities = this._cardinalities;
 
-                anagramSet.forEach(word => wordLengths.push(word.length));
-            }).then(() => resolve({
-                wordCount: wordLengths.length,
+            resolve({
+                wordCount: this._wordCount,
                 anagramCount: this._anagramCount,
-                minWordLength: util.min(wordLengths),
-                maxWordLength: util.max(wordLengths),
-                medianWordLength: util.median(wordLengths),
-                averageWordLength: util.average(wordLengths),
-                minCardinality: util.min(cardinalities),
-                maxCardinality: util.max(cardinalities),
-                medianCardinality: util.median(cardinalities),
-                averageCardinality: util.average(cardinalities),
-            }));
+                minWordLength: wordLengths.min(),
+                maxWordLength: wordLengths.max(),
+                medianWordLength: wordLengths.median(),
+                averageWordLength: wordLengths.average(),
+                minCardinality: cardinalities.min(),
+                maxCardinality: cardinalities.max(),
+                medianCardinality: cardinalities.median(),
+                averageCardinality: cardinalities.average(),
+                wordLengthPercentiles: percentiles(wordLengths),
+                cardinalityPercentiles: percentiles(cardinalities),
+                wordLengthHistogram: wordLengths.buckets(),
+                cardinalityHistogram: cardinalities.buckets()
+            });
         });
     }
 
@@ -114,13 +209,21 @@ class AnagramService {
      * service.anagramsByCardinality(5).then(console.log);
      *
      * // log all anagrams with cardinality of at most 5
-     * service.anagramsByCardinality(null, 5).then(console.log);</code></pre>
+     * service.anagramsByCardinality(null, 5).then(console.log);
      *
-     * @param  {number}          [min] Minimum cardinality of anagram sets to return
-     * @param  {number}          [max] Maximum cardinality of anagram sets to return
-     * @return {Promise.<array>}       An array of qualifying anagram set arrays
+     * // log the first 10 anagrams with cardinality of at least 5, then the next 10
+     * service.anagramsByCardinality(5, null, { limit: 10 }).then(page => {
+     *     console.log(page.anagrams);
+     *     return service.anagramsByCardinality(5, null, { limit: 10, cursor: page.cursor });
+     * }).then(page => console.log(page.anagrams));</code></pre>
+     *
+     * @param  {number}                               [min]  Minimum cardinality of anagram sets to return
+     * @param  {number}                               [max]  Maximum cardinality of anagram sets to return
+     * @param  {PageOpts}                             [page] If given, get a page of results in key order
+     * @return {Promise.<(array|AnagramPage)>}               An array of qualifying anagram set arrays,
+     *                                                       or a page of them if `page` is given
      */
-    anagramsByCardinality(min, max) {
+    anagramsByCardinality(min, max, page) {
         return new Promise((resolve, reject) => {
             min = !min || min < 2 ? 2 : min;
 
@@ -130,15 +233,10 @@ class AnagramService {
                 max = min;
             }
 
-            const result = [];
-
-            this._adapter.each(anagramSet => {
-                const cardinality = anagramSet.length;
-
-                if (min <= cardinality && cardinality <= max) {
-                    result.push(anagramSet);
-                }
-            }).then(() => resolve(result));
+            this._sets()
+                .then(index => this._getSets(index.keysBySize(min, max), page))
+                .then(resolve)
+                .catch(reject);
         });
     }
 
@@ -147,27 +245,22 @@ class AnagramService {
      *
      * Does not consider sets of one.
      *
-     * @return {Promise.<array>} An array of qualifying anagram set arrays
+     * @param  {PageOpts}                      [page] If given, get a page of results in key order
+     * @return {Promise.<(array|AnagramPage)>}        An array of qualifying anagram set arrays,
+     *                                                or a page of them (with the `maxCardinality`
+     *                                                of the dictionary) if `page` is given
      */
-    maxCardinalityAnagrams() {
+    maxCardinalityAnagrams(page) {
         return new Promise((resolve, reject) => {
-            let result = [],
-                maxCardinality = 1;
+            let maxCardinality;
 
-            this._adapter.each(anagramSet => {
-                const cardinality = anagramSet.length;
-
-                if (cardinality < 2) {
-                    return;
-                }
+            this._sets().then(index => {
+                maxCardinality = index.maxSize();
 
-                if (cardinality > maxCardinality) {
-                    result = [anagramSet];
-                    maxCardinality = cardinality;
-                } else if (cardinality === maxCardinality) {
-                    result.push(anagramSet);
-                }
-            }).then(() => resolve(result));;
+                return this._getSets(index.keysBySize(maxCardinality, maxCardinality), page);
+            }).then(result => {
+                resolve(page ? Object.assign(result, { maxCardinality }) : result);
+            }).catch(reject);
         });
     }
 
@@ -183,13 +276,18 @@ class AnagramService {
      * service.anagramsByLength(8).then(console.log);
      *
      * // log all anagrams with word length of at most 8
-     * service.anagramsByLength(null, 8).then(console.log);</code></pre>
+     * service.anagramsByLength(null, 8).then(console.log);
      *
-     * @param  {number}          [min] Minimum word length of anagram sets to return
-     * @param  {number}          [max] Maximum word length of anagram sets to return
-     * @return {Promise.<array>}       An array of qualifying anagram set arrays
+     * // log the first 10 anagrams with word length of 8
+     * service.anagramsByLength(8, 8, { limit: 10 }).then(page => console.log(page.anagrams));</code></pre>
+     *
+     * @param  {number}                        [min]  Minimum word length of anagram sets to return
+     * @param  {number}                        [max]  Maximum word length of anagram sets to return
+     * @param  {PageOpts}                      [page] If given, get a page of results in key order
+     * @return {Promise.<(array|AnagramPage)>}        An array of qualifying anagram set arrays,
+     *                                                or a page of them if `page` is given
      */
-    anagramsByLength(min, max) {
+    anagramsByLength(min, max, page) {
         return new Promise((resolve, reject) => {
             min = !min || min < 1 ? 1 : min;
 
@@ -199,13 +297,10 @@ class AnagramService {
                 max = min;
             }
 
-            const result = [];
-
-            this._adapter.each((anagramSet, key) => {
-                if (anagramSet.length > 1 && min <= key.length && key.length <= max) {
-                    result.push(anagramSet);
-                }
-            }).then(() => resolve(result));
+            this._sets()
+                .then(index => this._getSets(index.keysByLength(min, max), page))
+                .then(resolve)
+                .catch(reject);
         });
     }
 
@@ -214,27 +309,71 @@ class AnagramService {
      *
      * Does not consider sets of one.
      *
-     * @return {Promise.<array>} An array of qualifying anagram set arrays
+     * @param  {PageOpts}                      [page] If given, get a page of results in key order
+     * @return {Promise.<(array|AnagramPage)>}        An array of qualifying anagram set arrays,
+     *                                                or a page of them (with the `maxLength`
+     *                                                of the dictionary) if `page` is given
      */
-    maxLengthAnagrams() {
+    maxLengthAnagrams(page) {
         return new Promise((resolve, reject) => {
-            let result = [],
-                maxLen = 0;
+            let maxLen;
 
-            this._adapter.each((anagramSet, key) => {
-                const len = key.length;
+            this._sets().then(index => {
+                maxLen = index.maxLength();
 
-                if (anagramSet.length < 2) {
-                    return;
-                }
+                return this._getSets(index.keysByLength(maxLen, maxLen), page);
+            }).then(result => {
+                resolve(page ? Object.assign(result, { maxLength: maxLen }) : result);
+            }).catch(reject);
+        });
+    }
 
-                if (len > maxLen) {
-                    result = [anagramSet];
-                    maxLen = len;
-                } else if (len === maxLen) {
-                    result.push(anagramSet);
-                }
-            }).then(() => resolve(result));;
+    /**
+     * Call iteratee on every anagram set (including sets of one) in key order, a batch at a time.
+     *
+     * The keys are taken as of the call, so sets added during iteration are left out.
+     * Each batch is read from the store once the iteratee is done with the last one, so
+     * the iteratee may return a promise to hold off the next batch (eg, until a client has
+     * taken the last one).
+     *
+     * <pre><code>// log every word in the dictionary
+     * service.eachBatch(1000, batch => batch.forEach(anagramSet => anagramSet.words.forEach(word => console.log(word))));</code></pre>
+     *
+     * @param  {number}              size     Number of anagram sets per batch
+     * @param  {function}            iteratee Receives each batch as an array of {@link KeyedAnagramSet},
+     *                                        and may return a promise
+     * @return {Promise.<undefined>}          Resolves once every batch has been handled.
+     *                                        Rejects if the store or the iteratee fails.
+     */
+    eachBatch(size, iteratee) {
+        return new Promise((resolve, reject) => {
+            this._keys().then(index => {
+                const keys = index.keys().sort(compareStrings);
+
+                let start = 0;
+
+                const nextBatch = () => {
+                    if (start >= keys.length) {
+                        return;
+                    }
+
+                    const batchKeys = keys.slice(start, start += size);
+
+                    return this._adapter.getMany(batchKeys).then(sets => {
+                        const batch = [];
+
+                        sets.forEach((words, i) => {
+                            if (words.length) { // set may have been deleted since the keys were taken
+                                batch.push({ key: batchKeys[i], words });
+                            }
+                        });
+
+                        return batch.length && iteratee(batch);
+                    }).then(nextBatch);
+                };
+
+                return nextBatch();
+            }).then(() => resolve()).catch(reject);
         });
     }
 
@@ -243,8 +382,9 @@ class AnagramService {
      *
      * Returns `false` if any input word is not in the dictionary.
      *
-     * Returns `false` if input is an empty array or an array of size 1 
-     * (AnagramService follows the convention that a word is not an anagram of itself).
+     * Returns `false` if input is an empty array or an array of size 1, or if
+     * any word appears more than once (AnagramService follows the convention
+     * that a word is not an anagram of itself).
      *
      * <pre><code>service.areAnagrams(['ared','daer','dear']).then(console.log);
      *
@@ -256,89 +396,259 @@ class AnagramService {
      */
     areAnagrams(arr) {
         return new Promise((resolve, reject) => {
-            if (!arr || arr.length < 2) {
+            if (!arr || arr.length < 2 || !arr.every(isValidWord)) {
                 resolve(false);
                 return;
             }
 
-            // bind the AnagramService method
-            const get = this.get.bind(this);
+            const words = arr.map(word => util.normalizeText(word.trim())),
+                keys = words.map(word => normalizeWord(word, this._text)),
+                uniqueKeys = Array.from(new Set(keys));
 
-            get(arr[0]).then(anagramSet => {
-                if (!anagramSet.length) {
-                    resolve(false);
-                    return;
-                }
+            // a repeated word would be an anagram of itself
+            if (hasRepeatedWord(words, this._text)) {
+                resolve(false);
+                return;
+            }
 
+            this._adapter.getMany(uniqueKeys).then(anagramSets => {
                 // all supplied words must be in the same anagram set
 
-                for (let i = 1; i < arr.length; i++) {
-                    if (!hasWord(anagramSet, arr[i].trim())) {
-                        resolve(false);
-                        return;
-                    }
-                }
+                resolve(uniqueKeys.length === 1 && words.every(word => hasWord(anagramSets[0], word, this._text)));
+            }).catch(reject);
+        });
+    }
 
-                resolve(true);
-            });
+    /**
+     * Determine whether a set of words are all anagrams of each other, as `areAnagrams()`
+     * does or by their letters alone, and explain why they are or aren't.
+     *
+     * In `dictionary` mode (the default), the words must all be in the same anagram set of
+     * the dictionary, and no word may appear more than once. In `letters` mode, they need only have the same letters (as compared
+     * by the dictionary, eg, ignoring case), whether or not they're in the dictionary.
+     *
+     * The explanation lists the letters each word has that the first (valid) word doesn't
+     * (`extra`) and the letters of the first word it lacks (`missing`), the words that
+     * are not in the dictionary (in either mode) and the words that are invalid.
+     *
+     * <pre><code>service.compareAnagrams(['listen', 'silents'], { mode: 'letters' }).then(result =>
+     *   console.log(result.areAnagrams, result.explanation.letters[1].extra));
+     *
+     * > false [ 's' ]</code></pre>
+     *
+     * @param  {array}                       arr    Array of words to compare
+     * @param  {CompareOpts}                 [opts] Options for the comparison
+     * @return {Promise.<AnagramComparison>}        Whether the words are anagrams, and why
+     */
+    compareAnagrams(arr, opts) {
+        return new Promise((resolve, reject) => {
+            const mode = opts && opts.mode || 'dictionary';
+
+            if (COMPARE_MODES.indexOf(mode) === -1) {
+                throw `Mode "${mode}" is invalid`;
+            }
+
+            arr = (arr || []).map(word => isString(word) ? util.normalizeText(word.trim()) : word);
+
+            const valid = arr.filter(isValidWord),
+                invalidWords = arr.filter(word => !isValidWord(word)),
+                keys = valid.map(word => normalizeWord(word, this._text)),
+                uniqueKeys = Array.from(new Set(keys));
+
+            this._adapter.getMany(uniqueKeys).then(anagramSets => {
+                const anagramSetsByKey = new Map(uniqueKeys.map((key, i) => [key, anagramSets[i]])),
+                    unknownWords = valid.filter((word, i) => !hasWord(anagramSetsByKey.get(keys[i]) || [], word, this._text)),
+                    firstKey = keys[0] || '';
+
+                const areAnagrams = arr.length >= 2 && !invalidWords.length && uniqueKeys.length === 1 &&
+                    (mode === 'letters' || !unknownWords.length && !hasRepeatedWord(valid, this._text));
+
+                resolve({
+                    areAnagrams,
+                    mode,
+                    words: arr,
+                    explanation: {
+                        unknownWords,
+                        invalidWords,
+                        letters: valid.map((word, i) => ({
+                            word,
+                            extra: subtractSorted(keys[i], firstKey),
+                            missing: subtractSorted(firstKey, keys[i])
+                        }))
+                    }
+                });
+            }).catch(reject);
         });
     }
 
     /**
-     * Load a set of words from a text file.
+     * Load a set of words from a text file or stream.
      *
      * Each line in the ingest file may be a single word or multiple whitespace-delimited words.
+     * A file may be gzipped, which is detected from its contents.
+     *
+     * <pre><code>service.load('dictionary.txt').then(report => 
+     *   console.log(`loaded ${report.word} words, ${report.anagram} of which are anagrams`));</code></pre>
      *
-     * <pre><code>service.load('dictionary.txt').then(counts => 
-     *   console.log(`loaded ${counts.word} words, ${counts.anagram} of which are anagrams`));</code></pre>
+     * Words are added in batches (see `addMany()`), a few batches at a time, and reading
+     * pauses while batches wait their turn, so that a slow store isn't flooded with writes.
      *
-     * @param  {string}                     source Path to words file
-     * @return {Promise.<DictionaryCounts>}        Counts for words added
+     * Resolves once every word has been added (or rejected, eg, for being invalid).
+     * Rejects if the input can't be read or the store fails, in which case the words added
+     * so far stay in the dictionary.
+     *
+     * @param  {(string|stream.Readable)} source Path to words file, or a stream of its text
+     * @param  {LoadOpts}                 [opts] Load options
+     * @return {Promise.<LoadReport>}            Counts for words added, and the words rejected
      */
-    load(source) {
+    load(source, opts) {
         return new Promise((resolve, reject) => {
+            opts = opts || {};
+
             // bind the AnagramService method
-            const add = this.add.bind(this);
+            const addMany = this.addMany.bind(this);
 
             // track load-level counts
 
-            let wordCount = 0, // total words ingested
-                anagramCount = 0; // total anagrams ingested. incremented when a word is added for which an anagram exists in the dictionary.
+            let lineCount = 0, // total lines read
+                wordCount = 0, // total words ingested
+                anagramCount = 0, // total anagrams ingested. incremented when a word is added for which an anagram exists in the dictionary.
+                rejectedCount = 0, // total words rejected
+                batch = [], // words read for the next batch, each as { word, line }
+                pending = 0, // batches being added
+                reader = null,
+                paused = false,
+                inputEnded = false,
+                failed = false;
+
+            const rejected = [], // the first LOAD_MAX_REJECTED rejected words
+                queued = []; // batches waiting to be added
+
+            if (isString(source)) {
+                openWordList(source).then(readInput).catch(failIngest);
+            } else {
+                readInput(source);
+            }
 
-            const reader = readline.createInterface({
-                input: fs.createReadStream(source)
-            });
+            function readInput(input) {
+                reader = readline.createInterface({ input });
 
-            reader.on('line', ingestLine);
-            reader.on('close', concludeIngest); // reader closes on end of input
+                input.on('error', failIngest);
+                reader.on('error', failIngest); // newer versions of node pass input errors on to the reader
+                reader.on('line', ingestLine);
+                reader.on('close', () => { // reader closes on end of input
+                    inputEnded = true;
+                    queueBatch();
+                    concludeIngest();
+                });
+            }
 
             function ingestLine(line) {
+                const lineNumber = ++lineCount;
+
                 line = line.trim();
 
                 if (line) { // not an empty string
-                    if (!/\s/.test(line)) { // single word
-                        return ingestWord(line);
+                    line.split(/\s+/).forEach(word => batch.push({ word, line: lineNumber }));
+
+                    if (batch.length >= LOAD_BATCH_SIZE) {
+                        queueBatch();
                     }
+                }
+            }
 
-                    line.split(/\s+/).forEach(ingestWord);
+            function queueBatch() {
+                if (batch.length) {
+                    queued.push(batch);
+                    batch = [];
+                }
+
+                ingestQueued();
+
+                // lines already read keep coming for a while after a pause, so the queue may
+                // grow past the concurrency limit, but only by the lines in a chunk of input
+
+                if (!paused && !inputEnded && queued.length >= LOAD_CONCURRENCY) {
+                    paused = true;
+                    reader.pause();
                 }
             }
 
-            function ingestWord(word) {
-                // add() increments dictionary-level counts
-                add(word).then(countIncrements => {
-                    wordCount += countIncrements.word;
-                    anagramCount += countIncrements.anagram;
-                }).catch(ex => {
-                    // may be invalid word
-                    console.warn(`>  ${ex}`);
-                });
+            function ingestQueued() {
+                while (pending < LOAD_CONCURRENCY && queued.length && !failed) {
+                    ingestBatch(queued.shift());
+                }
+            }
+
+            function ingestBatch(entries) {
+                pending++;
+
+                // addMany() increments dictionary-level counts
+                addMany(entries.map(entry => entry.word)).then(results => {
+                    pending--;
+
+                    results.forEach((countIncrements, i) => {
+                        if (!countIncrements) { // invalid word
+                            rejectWord(entries[i], `Input word "${entries[i].word}" is invalid`);
+                            return;
+                        }
+
+                        wordCount += countIncrements.word;
+                        anagramCount += countIncrements.anagram;
+                    });
+
+                    if (failed) {
+                        return;
+                    }
+
+                    if (opts.onProgress) {
+                        opts.onProgress({ lines: lineCount, word: wordCount, anagram: anagramCount, rejected: rejectedCount });
+                    }
+
+                    ingestQueued();
+
+                    if (paused && !inputEnded && queued.length < LOAD_CONCURRENCY) {
+                        paused = false;
+                        reader.resume();
+                    }
+
+                    concludeIngest();
+                }).catch(failIngest);
+            }
+
+            function rejectWord(entry, reason) {
+                rejectedCount++;
+
+                if (rejected.length < LOAD_MAX_REJECTED) {
+                    rejected.push({ line: entry.line, word: entry.word, reason });
+                }
+            }
+
+            function failIngest(ex) {
+                if (failed) {
+                    return;
+                }
+
+                failed = true;
+
+                if (reader) {
+                    reader.close();
+                }
+
+                reject(ex);
             }
 
             function concludeIngest() {
+                if (!inputEnded || pending || queued.length || failed) {
+                    return;
+                }
+
                 resolve({
                     word: wordCount,
-                    anagram: anagramCount
+                    anagram: anagramCount,
+                    lines: lineCount,
+                    rejectedCount,
+                    rejected
                 });
             }
         });
@@ -362,191 +672,799 @@ class AnagramService {
      *
      * > ahorse,ashore</code></pre>
      *
+     * The input word may contain one or more wildcard characters (`?` or `_`), each of
+     * which matches any letter, like a blank tile in Scrabble. In that case the input
+     * need not be a known word and results are the matching anagram sets, each
+     * paired with the letters the wildcards resolved to (sorted).
+     *
+     * <pre><code>service.get('r?ad').then(matches =>
+     *   matches.forEach(match => console.log(`${match.blanks.join()}: ${match.anagrams.join()}`)));
+     *
+     * > a: Adar,arad,raad,rada
+     *   b: bard,Brad,brad,drab
+     *   ...
+     *   e: ared,daer,dare,dear,read
+     *   ...</code></pre>
+     *
      * @param  {string}          word   Word for which to return anagram results.
      *                                  An unknown word (ie, a word that has not been added to
      *                                  the anagram dictionary) will not match any anagrams.
      * @param  {GetOpts}         [opts] Options for get
-     * @return {Promise.<array>}        Matching anagram results for input word
+     * @return {Promise.<array>}        Matching anagram results for input word, or an array
+     *                                  of {@link WildcardMatch} if the input contains wildcards
      */
     get(word, opts) {
         return new Promise((resolve, reject) => {
+            if (isString(word) && WILDCARD.test(word)) {
+                this._getWildcard(word, opts).then(resolve, reject);
+                return;
+            }
+
             if (!isValidWord(word)) {
                 throw `Input word "${word}" is invalid`;
             }
 
-            word = word.trim();
+            word = util.normalizeText(word.trim());
 
-            this._adapter.get(normalizeWord(word)).then(anagramSet => {
-                if (!anagramSet || !hasWord(anagramSet, word)) { // no matches or input is not a known word
-                    resolve([]);
-                    return;
-                }
+            this._adapter.get(normalizeWord(word, this._text))
+                .then(anagramSet => resolve(anagramsOf(word, anagramSet, opts, this._text)))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Get anagrams for each of a batch of words, as per `get()`, reading each anagram set
+     * from the store once for the whole batch.
+     *
+     * An invalid word (including an item that isn't a string) gets an error rather than
+     * failing the whole batch.
+     *
+     * <pre><code>service.lookup(['ashore', 'r2d2'], { includeInput: true }).then(results =>
+     *   results.forEach(result => console.log(result.error || result.anagrams.join())));
+     *
+     * > ahorse,ashore,hoarse
+     *   Input word "r2d2" is invalid</code></pre>
+     *
+     * @param  {array}           words  Words for which to return anagram results. Words may
+     *                                  contain wildcards (see `get()`).
+     * @param  {GetOpts}         [opts] Options for get, which apply to every word
+     * @return {Promise.<array>}        A {@link LookupResult} per word, in order.
+     *                                  Rejects if the store fails.
+     */
+    lookup(words, opts) {
+        return new Promise((resolve, reject) => {
+            if (!Array.isArray(words)) {
+                throw 'Input words must be an array';
+            }
 
-                if (!opts || !opts.includeInput) {
-                    // filter input word from results (default behavior)
-                    anagramSet = anagramSet.filter(str => str !== word); // only filter exact match
-                    // anagramSet = anagramSet.filter(str => !sameWord(word, str));
+            const results = new Array(words.length),
+                plain = [], // { i, word, key } of each valid word without wildcards
+                wildcards = []; // index of each valid word with wildcards
+
+            words.forEach((word, i) => {
+                const wildcard = isString(word) && WILDCARD.test(word);
+
+                if (!isString(word)) {
+                    results[i] = { error: `Input word ${JSON.stringify(word)} is not a string` };
+                } else if (!isValidWord(wildcard ? word.replace(WILDCARDS, 'a') : word)) {
+                    results[i] = { error: `Input word "${word}" is invalid` };
+                } else if (wildcard) {
+                    wildcards.push(i);
+                } else {
+                    word = util.normalizeText(word.trim());
+                    plain.push({ i, word, key: normalizeWord(word, this._text) });
                 }
+            });
 
-                if (opts) {
-                    if (opts.excludeProperNouns) {
-                        // filter proper nouns from results
-                        anagramSet = anagramSet.filter(str => !util.isProperNoun(str) || str === word); // do not filter input word (if included per opts.includeInput)
-                    }
+            const keys = Array.from(new Set(plain.map(entry => entry.key)));
 
-                    let limit = +opts.limit;
+            Promise.all([
+                this._adapter.getMany(keys),
+                Promise.all(wildcards.map(i => this._getWildcard(words[i], opts).then(matches => results[i] = { anagrams: matches })))
+            ]).then(found => {
+                const anagramSets = new Map(keys.map((key, i) => [key, found[0][i]]));
 
-                    if (limit) {
-                        anagramSet = anagramSet.slice(0, limit);
-                    }
-                }
+                plain.forEach(entry => results[entry.i] = { anagrams: anagramsOf(entry.word, anagramSets.get(entry.key), opts, this._text) });
 
-                resolve(anagramSet);
-            });
+                resolve(results);
+            }).catch(reject);
         });
     }
 
     /**
-     * Add a word to the anagram dictionary.
-     *
-     * <pre><code>service.add('spoink').then(counts => 
-     *   console.log(`added ${counts.word} words, ${counts.anagram} anagrams`));
-     *
-     * > added 1 words, 0 anagrams
+     * Get multi-word (phrase) anagrams for a word or phrase.
      *
-     * service.add('spoink').then(counts => 
-     *   console.log(`added ${counts.word} words, ${counts.anagram} anagrams`));
+     * The letters of the input are decomposed into combinations of known words
+     * that together use every letter exactly once. Unlike `get()`, the input itself
+     * need not be a known word. Whitespace and hyphens in the input are ignored.
      *
-     * > added 0 words, 0 anagrams
+     * The search is bounded by word count, word length, result count and a time
+     * budget, so it may stop short of finding every phrase for long inputs.
+     * `complete` is `false` on the result when that happens. The search runs in
+     * chunks, letting other work (eg, other requests) run in between.
      *
-     * service.add('poinks').then(counts => 
-     *   console.log(`added ${counts.word} words, ${counts.anagram} anagrams`));
+     * <pre><code>service.phraseAnagrams('dormitory', { maxWords: 2, limit: 3 }).then(result =>
+     *   console.log(result.anagrams.join()));
      *
-     * > added 1 words, 1 anagrams</code></pre>
+     * > torrid moy,torrid yom,riotry dom</code></pre>
      *
-     * @param  {string}                     word Word to add to the dictionary
-     * @return {Promise.<DictionaryCounts>}      Affected count increments
+     * @param  {string}                         phrase Word or whitespace-delimited words to find phrase anagrams for
+     * @param  {PhraseOpts}                     [opts] Options for phrase search
+     * @return {Promise.<PhraseAnagramResults>}        Matching phrases
      */
-    add(word) {
+    phraseAnagrams(phrase, opts) {
         return new Promise((resolve, reject) => {
-            if (!isValidWord(word)) {
-                throw `Input word "${word}" is invalid`;
+            if (!isValidPhrase(phrase)) {
+                throw `Input phrase "${phrase}" is invalid`;
             }
 
-            word = word.trim();
+            opts = opts || {};
 
-            this._adapter.add(normalizeWord(word), word).then(result => {
-                let wordCountIncrement = 0,
-                    anagramCountIncrement = 0;
+            const maxWords = boundedNumber(opts.maxWords, PHRASE_DEFAULTS.maxWords, 1, PHRASE_MAX_WORDS),
+                minWordLength = boundedNumber(opts.minWordLength, PHRASE_DEFAULTS.minWordLength, 1, Infinity),
+                limit = boundedNumber(opts.limit, PHRASE_DEFAULTS.limit, 1, PHRASE_MAX_LIMIT),
+                timeout = boundedNumber(opts.timeout, PHRASE_DEFAULTS.timeout, 1, PHRASE_MAX_TIMEOUT);
 
-                if (result.affected) {
-                    wordCountIncrement = result.affected;
-                    this._wordCount += wordCountIncrement;
+            const inputWords = util.normalizeText(phrase.trim()).split(/\s+/),
+                inputKey = phraseKey(inputWords, this._text),
+                letters = normalizeWord(inputWords.join('').replace(/-/g, ''), this._text),
+                letterCounts = util.countLetters(letters);
+
+            // gather anagram sets that can be built from the input letters
+
+            const candidates = [];
+
+            this._keys().then(index => {
+                const keys = index.subKeys(letters, minWordLength);
+
+                return this._adapter.getMany(keys).then(anagramSets => anagramSets.forEach((anagramSet, i) => {
+                    const words = opts.excludeProperNouns ? anagramSet.filter(word => !util.isProperNoun(word)) : anagramSet;
+
+                    if (words.length) {
+                        candidates.push({ key: keys[i], length: util.graphemes(keys[i]).length, words });
+                    }
+                }));
+            }).then(() => {
+                // try longer words first since they make for more interesting phrases and prune the search quickly
+                candidates.sort((a, b) => b.length - a.length || compareStrings(a.key, b.key));
+
+                const text = this._text,
+                    deadline = Date.now() + timeout,
+                    chosen = [], // candidates making up the phrase currently being built
+                    frames = [{ i: 0, remaining: util.graphemes(letters).length }], // per chosen candidate (and the start), the next candidate to try and the letters left to use
+                    seen = new Set(), // keys of phrases already found
+                    anagrams = [];
+
+                let steps = 0,
+                    complete = true;
 
-                    // if set was empty before add, subtract 1 from affected count since we don't consider the first value of a set when counting anagrams
-                    anagramCountIncrement = result.affected - (result.size === result.affected ? 1 : 0);
-                    this._anagramCount += anagramCountIncrement;
+                search();
+
+                // a depth-first search, kept on a stack of frames rather than the call stack
+                // so that it can stop after a chunk of steps and pick up again later
+
+                function search() {
+                    try {
+                        while (frames.length && complete) {
+                            if (++steps % PHRASE_CHECK_INTERVAL === 0) {
+                                if (Date.now() > deadline) {
+                                    complete = false;
+                                    break;
+                                }
+
+                                return setImmediate(search); // let other work run
+                            }
+
+                            const frame = frames[frames.length - 1],
+                                candidate = frame.remaining ? candidates[frame.i] : null;
+
+                            // candidates are sorted by length, so once one is too short to finish the phrase, so are the rest
+
+                            if (!candidate || candidate.length * (maxWords - chosen.length) < frame.remaining) {
+                                if (!frame.remaining) {
+                                    emit(0, []);
+                                }
+
+                                frames.pop();
+
+                                if (frames.length) {
+                                    util.adjustLetters(letterCounts, chosen.pop().key, 1);
+                                    frames[frames.length - 1].i++;
+                                }
+
+                                continue;
+                            }
+
+                            if (candidate.length > frame.remaining || !util.hasLetters(letterCounts, candidate.key)) {
+                                frame.i++;
+                                continue;
+                            }
+
+                            util.adjustLetters(letterCounts, candidate.key, -1);
+                            chosen.push(candidate);
+
+                            // start at i rather than i + 1 so the same set may be used more than once
+                            frames.push({ i: frame.i, remaining: frame.remaining - candidate.length });
+                        }
+
+                        resolve({ anagrams, complete });
+                    } catch (ex) {
+                        reject(ex);
+                    }
                 }
 
-                resolve({
-                    word: wordCountIncrement,
-                    anagram: anagramCountIncrement
-                });
-            });
+                function emit(idx, words) {
+                    if (idx < chosen.length) {
+                        for (let i = 0; i < chosen[idx].words.length && complete; i++) {
+                            emit(idx + 1, words.concat(chosen[idx].words[i]));
+                        }
+
+                        return;
+                    }
+
+                    const key = phraseKey(words, text);
+
+                    if (seen.has(key) || (key === inputKey && !opts.includeInput)) {
+                        return;
+                    }
+
+                    if (anagrams.length === limit) {
+                        complete = false;
+                        return;
+                    }
+
+                    seen.add(key);
+                    anagrams.push(words.join(' '));
+                }
+            }).catch(reject);
         });
     }
 
     /**
-     * Delete a word from the dictionary.
-     *
-     * <pre><code>service.delete('read').then(affected => 
-     *   console.log(`deleted ${affected} words`));
-     *
-     * > deleted 1 words
+     * Get the known anagram sets that can be built from some or all of a set of letters.
      *
-     * service.delete('read').then(affected => 
-     *   console.log(`deleted ${affected} words`));
+     * Each letter may be used at most as many times as it occurs in the input. Unlike `get()`,
+     * the input need not be a known word. Hyphens in the input are ignored.
      *
-     * > deleted 0 words
+     * Results are grouped by word length. Sets of one are included.
      *
-     * service.delete('read', { includeAnagrams: true }).then(affected => 
-     *   console.log(`deleted ${affected} words`));
+     * <pre><code>service.subAnagrams('read', { minLength: 3 }).then(console.log);
      *
-     * > deleted 4 words</code></pre>
+     * > { '3': [ [ 'Ade', 'ade', 'dae' ], [ 'dar', 'rad' ], ... ], '4': [ [ 'ared', 'daer', 'dare', 'dear', 'read' ] ] }</code></pre>
      *
-     * @param  {string}           word   Word to delete from the anagram dictionary
-     * @param  {DeleteOpts}       [opts] Options for delete
-     * @return {Promise.<number>}        Number of words deleted
+     * @param  {string}           letters Letters to build words from
+     * @param  {SubAnagramOpts}   [opts]  Options for sub-anagram search
+     * @return {Promise.<object>}         Map of word length to an array of qualifying anagram set arrays
      */
-    delete(word, opts) {
+    subAnagrams(letters, opts) {
         return new Promise((resolve, reject) => {
-            if (!isValidWord(word)) {
-                throw `Input word "${word}" is invalid`;
+            if (!isValidWord(letters)) {
+                throw `Input letters "${letters}" are invalid`;
             }
 
-            word = word.trim();
+            opts = opts || {};
 
-            // if we're asked to delete all associated anagrams, then instead of passing word we pass a predicate generator function that returns a predicate that either keeps all anagrams (if word is not in anagram set) or deletes all anagrams (if word IS in anagram set). we do this to deny attempts to delete all anagrams of an UNKNOWN word.
+            letters = normalizeWord(letters.trim().replace(/-/g, ''), this._text);
 
-            const cond = opts && opts.includeAnagrams ?
-                anagramSet => {
-                    const setExcludesWord = !hasWord(anagramSet, word);
-                    return word => setExcludesWord;
-                } : word;
+            const letterCount = util.graphemes(letters).length,
+                minLength = boundedNumber(opts.minLength, 1, 1, letterCount),
+                maxLength = boundedNumber(opts.maxLength, letterCount, minLength, letterCount);
 
-            this._adapter.delete(normalizeWord(word), cond).then(result => {
-                if (result.affected) {
-                    this._wordCount -= result.affected;
+            let keys, lengths;
 
-                    // if we wipe out the set of values, subtract 1 from the affected count since we don't consider the first value of a set when counting anagrams
-                    this._anagramCount -= (result.affected - (result.size ? 0 : 1));
-                }
+            this._keys().then(index => {
+                keys = index.subKeys(letters, minLength, maxLength);
+                lengths = new Map(keys.map(key => [key, util.graphemes(key).length]));
+                keys.sort((a, b) => lengths.get(a) - lengths.get(b) || compareStrings(a, b));
 
-                resolve(result.affected);
-            });
-        });
-    }
+                return this._adapter.getMany(keys);
+            }).then(anagramSets => {
+                const result = {};
 
-    /**
-     * Clear the dictionary.
-     *
+                anagramSets.forEach((anagramSet, i) => {
+                    if (opts.excludeProperNouns) {
+                        anagramSet = anagramSet.filter(word => !util.isProperNoun(word));
+                    }
+
+                    if (anagramSet.length) {
+                        const len = lengths.get(keys[i]);
+
+                        (result[len] = result[len] || []).push(anagramSet);
+                    }
+                });
+
+                resolve(result);
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Get the known anagram sets whose letters are nearly those of a word: the word's
+     * letters plus some (`add`), minus some (`remove`), or with some changed (`replace`).
+     *
+     * `distance` is how many letters are added, removed or changed. Unlike `get()`, the
+     * input need not be a known word. Results are grouped by the letters that differ
+     * (there's one anagram set per group), in order of those letters.
+     *
+     * <pre><code>service.nearAnagrams('read', { near: 'replace' }).then(matches =>
+     *   matches.forEach(match => console.log(`${match.removed.join()} => ${match.added.join()}: ${match.anagrams.join()}`)));
+     *
+     * > a => b: bred
+     *   a => d: redd
+     *   a => e: deer,dere,dree,rede,reed
+     *   ...</code></pre>
+     *
+     * @param  {string}          word   Word whose letters to start from
+     * @param  {NearOpts}        [opts] Options for near-anagram search
+     * @return {Promise.<array>}        Array of {@link NearMatch}
+     */
+    nearAnagrams(word, opts) {
+        return new Promise((resolve, reject) => {
+            if (!isValidWord(word)) {
+                throw `Input word "${word}" is invalid`;
+            }
+
+            opts = opts || {};
+
+            const near = opts.near || 'add';
+
+            if (NEAR_MODES.indexOf(near) === -1) {
+                throw `Near "${near}" is invalid`;
+            }
+
+            const letters = normalizeWord(word.trim(), this._text),
+                letterCount = util.graphemes(letters).length,
+                distance = boundedNumber(opts.distance, 1, 1, NEAR_MAX_DISTANCE);
+
+            let keys;
+
+            this._keys().then(index => {
+                if (near === 'add') {
+                    keys = index.superKeys(letters, letterCount + distance);
+                } else if (near === 'remove') {
+                    keys = letterCount > distance ? index.subKeys(letters, letterCount - distance, letterCount - distance) : [];
+                } else {
+                    keys = index.nearKeys(letters, letterCount, distance).filter(key => subtractSorted(letters, key).length === distance);
+                }
+
+                keys.sort(compareStrings);
+
+                return this._adapter.getMany(keys);
+            }).then(anagramSets => {
+                let matches = [];
+
+                anagramSets.forEach((anagramSet, i) => {
+                    if (opts.excludeProperNouns) {
+                        anagramSet = anagramSet.filter(str => !util.isProperNoun(str));
+                    }
+
+                    if (anagramSet.length) {
+                        matches.push({ removed: subtractSorted(letters, keys[i]), added: subtractSorted(keys[i], letters), anagrams: anagramSet });
+                    }
+                });
+
+                matches.sort((a, b) => compareStrings(a.removed.join(''), b.removed.join('')) || compareStrings(a.added.join(''), b.added.join('')));
+
+                const limit = +opts.limit;
+
+                if (limit) {
+                    matches = matches.slice(0, limit);
+                }
+
+                resolve(matches);
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Add a word to the anagram dictionary.
+     *
+     * <pre><code>service.add('spoink').then(counts => 
+     *   console.log(`added ${counts.word} words, ${counts.anagram} anagrams`));
+     *
+     * > added 1 words, 0 anagrams
+     *
+     * service.add('spoink').then(counts => 
+     *   console.log(`added ${counts.word} words, ${counts.anagram} anagrams`));
+     *
+     * > added 0 words, 0 anagrams
+     *
+     * service.add('poinks').then(counts => 
+     *   console.log(`added ${counts.word} words, ${counts.anagram} anagrams`));
+     *
+     * > added 1 words, 1 anagrams</code></pre>
+     *
+     * @param  {string}                     word Word to add to the dictionary
+     * @return {Promise.<DictionaryCounts>}      Affected count increments
+     */
+    add(word) {
+        return new Promise((resolve, reject) => {
+            if (!isValidWord(word)) {
+                throw `Input word "${word}" is invalid`;
+            }
+
+            word = util.normalizeText(word.trim());
+
+            const key = normalizeWord(word, this._text);
+
+            this._adapter.add(key, word).then(result => resolve(this._countAdd(key, result))).catch(reject);
+        });
+    }
+
+    /**
+     * Add several words to the anagram dictionary at once.
+     *
+     * The words are written to the store as a batch (see `addMany()` in adapter-template.js),
+     * so that a networked store takes a round trip per batch rather than per word.
+     *
+     * <pre><code>service.addMany(['spoink', 'poinks', 'r2d2']).then(console.log);
+     *
+     * > [ { word: 1, anagram: 0 }, { word: 1, anagram: 1 }, null ]</code></pre>
+     *
+     * @param  {array}           words Words to add to the dictionary
+     * @return {Promise.<array>}       Affected count increments ({@link DictionaryCounts}) for each
+     *                                 word, in order, or `null` for each invalid word.
+     *                                 Rejects if the store fails.
+     */
+    addMany(words) {
+        return new Promise((resolve, reject) => {
+            const results = words.map(() => null),
+                entries = [],
+                positions = []; // position in words of each entry
+
+            words.forEach((word, i) => {
+                if (isValidWord(word)) {
+                    word = util.normalizeText(word.trim());
+
+                    entries.push({ key: normalizeWord(word, this._text), val: word });
+                    positions.push(i);
+                }
+            });
+
+            if (!entries.length) {
+                resolve(results);
+                return;
+            }
+
+            this._adapter.addMany(entries).then(setOpResults => {
+                setOpResults.forEach((result, i) => results[positions[i]] = this._countAdd(entries[i].key, result));
+                resolve(results);
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Delete a word from the dictionary.
+     *
+     * <pre><code>service.delete('read').then(affected => 
+     *   console.log(`deleted ${affected} words`));
+     *
+     * > deleted 1 words
+     *
+     * service.delete('read').then(affected => 
+     *   console.log(`deleted ${affected} words`));
+     *
+     * > deleted 0 words
+     *
+     * service.delete('read', { includeAnagrams: true }).then(affected => 
+     *   console.log(`deleted ${affected} words`));
+     *
+     * > deleted 4 words</code></pre>
+     *
+     * @param  {string}           word   Word to delete from the anagram dictionary
+     * @param  {DeleteOpts}       [opts] Options for delete
+     * @return {Promise.<number>}        Number of words deleted
+     */
+    delete(word, opts) {
+        return new Promise((resolve, reject) => {
+            if (!isValidWord(word)) {
+                throw `Input word "${word}" is invalid`;
+            }
+
+            word = util.normalizeText(word.trim());
+
+            // if we're asked to delete all associated anagrams, then instead of passing word we pass a predicate generator function that returns a predicate that either keeps all anagrams (if word is not in anagram set) or deletes all anagrams (if word IS in anagram set). we do this to deny attempts to delete all anagrams of an UNKNOWN word.
+
+            const cond = opts && opts.includeAnagrams ?
+                anagramSet => {
+                    const setExcludesWord = !hasWord(anagramSet, word, this._text);
+                    return word => setExcludesWord;
+                } : word;
+
+            const key = normalizeWord(word, this._text);
+
+            this._adapter.delete(key, cond).then(result => {
+                if (result.affected) {
+                    if (this._keyIndex && !result.size) {
+                        this._keyIndex.delete(key);
+                    }
+
+                    if (this._setIndex) {
+                        this._setIndex.set(key, result.size);
+                    }
+
+                    this._wordCount -= result.affected;
+
+                    // if we wipe out the set of values, subtract 1 from the affected count since we don't consider the first value of a set when counting anagrams
+                    this._anagramCount -= (result.affected - (result.size ? 0 : 1));
+
+                    countSet(this._wordLengths, this._cardinalities, key, result.size + result.affected, result.size);
+                }
+
+                resolve(result.affected);
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Clear the dictionary.
+     *
      * @return {Promise.<undefined>}
      */
     clear() {
         return new Promise((resolve, reject) => this._adapter.clear().then(() => {
             this._wordCount = this._anagramCount = 0;
+            this._wordLengths.clear();
+            this._cardinalities.clear();
+
+            if (this._keyIndex) {
+                this._keyIndex.clear();
+            }
+
+            if (this._setIndex) {
+                this._setIndex.clear();
+            }
+
             resolve();
         }));
     }
+
+    /**
+     * Get the anagram sets matching a word containing wildcards.
+     *
+     * See `get()`.
+     *
+     * @private
+     * @param  {string}          word   Word containing one or more wildcards
+     * @param  {GetOpts}         [opts] Options for get. `includeInput` does not apply.
+     * @return {Promise.<array>}        Array of {@link WildcardMatch}
+     */
+    _getWildcard(word, opts) {
+        return new Promise((resolve, reject) => {
+            if (!isValidWord(word.replace(WILDCARDS, 'a'))) {
+                throw `Input word "${word}" is invalid`;
+            }
+
+            word = util.normalizeText(word.trim());
+
+            opts = opts || {};
+
+            const letters = normalizeWord(word.replace(WILDCARDS, ''), this._text);
+
+            let keys;
+
+            this._keys().then(index => {
+                keys = index.superKeys(letters, util.graphemes(word).length).sort(compareStrings);
+
+                return this._adapter.getMany(keys);
+            }).then(anagramSets => {
+                let matches = [];
+
+                anagramSets.forEach((anagramSet, i) => {
+                    if (opts.excludeProperNouns) {
+                        anagramSet = anagramSet.filter(str => !util.isProperNoun(str));
+                    }
+
+                    if (anagramSet.length) {
+                        matches.push({ blanks: subtractSorted(keys[i], letters), anagrams: anagramSet });
+                    }
+                });
+
+                const limit = +opts.limit;
+
+                if (limit) {
+                    matches = matches.slice(0, limit);
+                }
+
+                resolve(matches);
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Get the index of anagram set keys, building it from the store on first use.
+     *
+     * Once built, the index is kept current by `add()`, `addMany()`, `delete()` and `clear()`.
+     *
+     * @private
+     * @return {Promise.<KeyIndex>} The key index
+     */
+    _keys() {
+        if (!this._keyIndexReady) {
+            const index = this._keyIndex = new KeyIndex();
+
+            this._keyIndexReady = this._adapter.each((anagramSet, key) => index.add(key)).then(() => index);
+        }
+
+        return this._keyIndexReady;
+    }
+
+    /**
+     * Get the index of anagram sets by key length and set size, building it from the store
+     * on first use (unless `recount()` built it).
+     *
+     * An adapter that indexes set sizes itself (ie, implements `eachByCardinality()`) need
+     * only read the sets of more than one word to build it. Once built, the index is kept
+     * current by `add()`, `addMany()`, `delete()` and `clear()`.
+     *
+     * @private
+     * @return {Promise.<SetIndex>} The set index
+     */
+    _sets() {
+        if (!this._setIndexReady) {
+            const index = this._setIndex = new SetIndex(),
+                iteratee = (anagramSet, key) => index.set(key, anagramSet.length);
+
+            this._setIndexReady = (isFunction(this._adapter.eachByCardinality) ?
+                this._adapter.eachByCardinality(2, Infinity, iteratee) :
+                this._adapter.each(iteratee)).then(() => index);
+        }
+
+        return this._setIndexReady;
+    }
+
+    /**
+     * Get the anagram sets of some keys, or a page of them, reading only those from the store.
+     *
+     * Sets that have shrunk to one word since their keys were looked up are left out.
+     *
+     * @private
+     * @param  {array}                         keys   Keys of anagram sets
+     * @param  {PageOpts}                      [page] If given, get a page of the sets in key order
+     * @return {Promise.<(array|AnagramPage)>}        An array of the anagram set arrays in key order,
+     *                                                or a page of them if `page` is given
+     */
+    _getSets(keys, page) {
+        const result = page ? openPage(page) : null;
+
+        keys = keys.sort(compareStrings);
+
+        if (page) {
+            keys = keys.filter(key => result.after === null || key > result.after).slice(0, result.limit + 1);
+        }
+
+        return this._adapter.getMany(keys).then(anagramSets => {
+            if (!page) {
+                return anagramSets.filter(anagramSet => anagramSet.length > 1);
+            }
+
+            anagramSets.forEach((anagramSet, i) => {
+                if (anagramSet.length > 1) {
+                    addToPage(result, anagramSet, keys[i]);
+                }
+            });
+
+            return closePage(result);
+        });
+    }
+
+    /**
+     * Count a word added to the store in the dictionary counts and stats (and the indexes).
+     *
+     * @private
+     * @param  {string}           key    Key of the word's anagram set
+     * @param  {SetOpResult}      result Result of the adapter's add
+     * @return {DictionaryCounts}        Affected count increments
+     */
+    _countAdd(key, result) {
+        let wordCountIncrement = 0,
+            anagramCountIncrement = 0;
+
+        if (result.affected) {
+            if (this._keyIndex) {
+                this._keyIndex.add(key);
+            }
+
+            if (this._setIndex) {
+                this._setIndex.set(key, result.size);
+            }
+
+            wordCountIncrement = result.affected;
+            this._wordCount += wordCountIncrement;
+
+            // if set was empty before add, subtract 1 from affected count since we don't consider the first value of a set when counting anagrams
+            anagramCountIncrement = result.affected - (result.size === result.affected ? 1 : 0);
+            this._anagramCount += anagramCountIncrement;
+
+            countSet(this._wordLengths, this._cardinalities, key, result.size - result.affected, result.size);
+        }
+
+        return {
+            word: wordCountIncrement,
+            anagram: anagramCountIncrement
+        };
+    }
 }
 
 module.exports = AnagramService;
 
 // ANAGRAMSERVICE HELPER FUNCTIIONS
 
+/**
+ * Count a change in the size of an anagram set in the histograms of word lengths and
+ * set cardinalities.
+ *
+ * A key has as many characters as each word of its set, so the set's words need not be known.
+ *
+ * @private
+ * @function countSet
+ * @param  {Histogram} wordLengths   Histogram of word lengths
+ * @param  {Histogram} cardinalities Histogram of the cardinalities of sets of more than one word
+ * @param  {string}    key           Key of the anagram set
+ * @param  {number}    before        Number of words in the set before the change
+ * @param  {number}    after         Number of words in the set after the change
+ * @return {undefined}
+ */
+function countSet(wordLengths, cardinalities, key, before, after) {
+    wordLengths.add(util.graphemes(key).length, after - before);
+
+    if (before > 1) {
+        cardinalities.remove(before);
+    }
+
+    if (after > 1) {
+        cardinalities.add(after);
+    }
+}
+
+/**
+ * Get the percentiles reported by `stats()` from a histogram.
+ *
+ * @private
+ * @function percentiles
+ * @param  {Histogram} histogram Histogram
+ * @return {object}              Percentiles, by name (eg, `p90`)
+ */
+function percentiles(histogram) {
+    const result = {};
+
+    STATS_PERCENTILES.forEach(p => result[`p${p}`] = histogram.percentile(p));
+
+    return result;
+}
+
 /**
  * Generate "normalized" (ie, character-sorted) version of a word. 
  *
  * Used to make keys for anagram sets. 
  *
+ * The word is NFC-normalized, lowercased per locale and (optionally)
+ * stripped of diacritics before its characters are sorted. A letter and
+ * its combining marks sort as one character (see `util.graphemes()`).
+ *
  * Assume trimmed input.
  *
  * @private
  * @function normalizeWord
- * @param  {string} word Input to normalize
- * @return {string}      Normalized version of word
+ * @param  {string}   word Input to normalize
+ * @param  {TextOpts} text Text handling options
+ * @return {string}        Normalized version of word
  */
-function normalizeWord(word) {
-    return word.toLowerCase().split('').sort().join('');
+function normalizeWord(word, text) {
+    word = util.normalizeText(word).toLocaleLowerCase(text.locale);
+
+    if (text.foldDiacritics) {
+        word = util.foldDiacritics(word);
+    }
+
+    return Array.from(util.graphemes(word)).sort().join('');
 }
 
 /**
  * Test for valid word as per AnagramService constraints.
  * 
- * Assumes word characters are limited to uppercase/lowercase a-z
- * and hyphen (but may not start or end with a hyphen).
- *
- * TODO: expand support for international characters.
+ * Word characters are letters of any alphabet (each optionally followed by
+ * combining marks) and hyphen (but may not start or end with a hyphen).
  *
  * @private
  * @function isValidWord
@@ -555,23 +1473,271 @@ function normalizeWord(word) {
  *                       `false` otherwise.
  */
 function isValidWord(str) {
-    return isString(str) && /^[A-Za-z]+(-?[A-Za-z]+)*$/.test(str.trim());
+    return isString(str) && /^\p{L}[\p{L}\p{M}]*(-\p{L}[\p{L}\p{M}]*)*$/u.test(str.trim());
+}
+
+/**
+ * Test for valid phrase, ie, one or more whitespace-delimited valid words.
+ *
+ * @private
+ * @function isValidPhrase
+ * @param  {string}  str Phrase to test for validity
+ * @return {boolean}     `true` if `str` is a valid phrase.
+ *                       `false` otherwise.
+ */
+function isValidPhrase(str) {
+    return isString(str) && !!str.trim() && str.trim().split(/\s+/).every(isValidWord);
+}
+
+/**
+ * Generate a key for a phrase that is independent of word order and case.
+ *
+ * Used to detect duplicate phrases.
+ *
+ * @private
+ * @function phraseKey
+ * @param  {array}    words Words of the phrase
+ * @param  {TextOpts} text  Text handling options
+ * @return {string}         Key for the phrase
+ */
+function phraseKey(words, text) {
+    return words.map(word => word.toLocaleLowerCase(text.locale)).sort().join(' ');
+}
+
+/**
+ * Compare two strings by code unit order, for use with `Array.prototype.sort()`.
+ *
+ * @private
+ * @function compareStrings
+ * @param  {string} a First string
+ * @param  {string} b Second string
+ * @return {number}   Negative if `a` sorts first, positive if `b` sorts first, 0 if equal
+ */
+function compareStrings(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Get the characters of a character-sorted string that remain after taking away
+ * the characters of another character-sorted string.
+ *
+ * @private
+ * @function subtractSorted
+ * @param  {string} str Character-sorted string
+ * @param  {string} sub Character-sorted characters to take away. Those not in `str` are ignored.
+ * @return {array}      Remaining characters of `str` in sorted order
+ */
+function subtractSorted(str, sub) {
+    const chars = util.graphemes(str),
+        subChars = util.graphemes(sub),
+        result = [];
+
+    for (let i = 0, j = 0; i < chars.length; i++) {
+        while (j < subChars.length && subChars[j] < chars[i]) {
+            j++;
+        }
+
+        if (chars[i] === subChars[j]) {
+            j++;
+        } else {
+            result.push(chars[i]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Coerce an option to a number within bounds, falling back to a default
+ * if the option is not numeric.
+ *
+ * @private
+ * @function boundedNumber
+ * @param  {any}    val      Option value
+ * @param  {number} fallback Value to use if `val` is not numeric
+ * @param  {number} min      Lower bound
+ * @param  {number} max      Upper bound
+ * @return {number}          The bounded number
+ */
+function boundedNumber(val, fallback, min, max) {
+    const num = val == null || val === '' ? NaN : +val;
+
+    return Math.min(Math.max(isNaN(num) ? fallback : num, min), max);
+}
+
+/**
+ * Start collecting a page of anagram sets.
+ *
+ * Pages hold the anagram sets with the lowest keys after the cursor, so that
+ * paging is stable whatever order the adapter iterates in. Only one more set than
+ * fits on the page is kept at a time, however many sets qualify.
+ *
+ * @private
+ * @function openPage
+ * @param  {PageOpts} opts Page options
+ * @return {object}        Page state for `addToPage()` and `closePage()`
+ */
+function openPage(opts) {
+    return {
+        limit: boundedNumber(opts.limit, PAGE_LIMIT, 1, PAGE_MAX_LIMIT),
+        after: opts.cursor == null || opts.cursor === '' ? null : decodeCursor(opts.cursor),
+        entries: [] // { key, anagramSet } sorted by key, at most limit + 1 of them
+    };
+}
+
+/**
+ * Offer an anagram set to a page, which keeps it if its key is after the cursor
+ * and among the lowest keys offered so far.
+ *
+ * @private
+ * @function addToPage
+ * @param  {object}    page       Page state from `openPage()`
+ * @param  {array}     anagramSet Anagram set
+ * @param  {string}    key        Key of the anagram set
+ * @return {undefined}
+ */
+function addToPage(page, anagramSet, key) {
+    const entries = page.entries;
+
+    if (page.after !== null && key <= page.after || entries.length > page.limit && key >= entries[page.limit].key) {
+        return;
+    }
+
+    // binary search for the insertion point
+
+    let lo = 0,
+        hi = entries.length;
+
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+
+        if (entries[mid].key < key) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+
+    if (entries[lo] && entries[lo].key === key) {
+        return; // already offered
+    }
+
+    entries.splice(lo, 0, { key, anagramSet });
+
+    if (entries.length > page.limit + 1) {
+        entries.pop();
+    }
+}
+
+/**
+ * Finish a page of anagram sets.
+ *
+ * @private
+ * @function closePage
+ * @param  {object}      page Page state from `openPage()`
+ * @return {AnagramPage}      The page
+ */
+function closePage(page) {
+    const more = page.entries.length > page.limit,
+        entries = more ? page.entries.slice(0, page.limit) : page.entries;
+
+    return {
+        anagrams: entries.map(entry => entry.anagramSet),
+        cursor: more ? encodeCursor(entries[entries.length - 1].key) : null
+    };
+}
+
+/**
+ * Make an opaque, URL-safe cursor for the page of results after a key.
+ *
+ * @private
+ * @function encodeCursor
+ * @param  {string} key Key of the last anagram set on a page
+ * @return {string}     The cursor
+ */
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify({ after: key })).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Get the key a cursor was made for.
+ *
+ * @private
+ * @function decodeCursor
+ * @param  {string} cursor Cursor from `encodeCursor()`
+ * @return {string}        The key of the last anagram set on the previous page
+ * @throws {string}        If the cursor is invalid
+ */
+function decodeCursor(cursor) {
+    const decoded = isString(cursor) && /^[\w-]+$/.test(cursor) ?
+        util.silentJSONParse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString()) :
+        undefined;
+
+    if (!decoded || !isString(decoded.after)) {
+        throw `Invalid cursor "${cursor}"`;
+    }
+
+    return decoded.after;
+}
+
+/**
+ * Get the anagrams of a word from its anagram set, as per the options of `get()`.
+ *
+ * @private
+ * @function anagramsOf
+ * @param  {string}   word       Word (normalized text, as given otherwise)
+ * @param  {array}    anagramSet The anagram set of the word's key, if any
+ * @param  {GetOpts}  [opts]     Options for get
+ * @param  {TextOpts} text       Text handling options
+ * @return {array}               The anagrams, or an empty array if the word is unknown
+ */
+function anagramsOf(word, anagramSet, opts, text) {
+    if (!anagramSet || !hasWord(anagramSet, word, text)) { // no matches or input is not a known word
+        return [];
+    }
+
+    if (!opts || !opts.includeInput) {
+        // filter input word from results (default behavior)
+        anagramSet = anagramSet.filter(str => str !== word); // only filter exact match
+        // anagramSet = anagramSet.filter(str => !sameWord(word, str));
+    }
+
+    if (opts) {
+        if (opts.excludeProperNouns) {
+            // filter proper nouns from results
+            anagramSet = anagramSet.filter(str => !util.isProperNoun(str) || str === word); // do not filter input word (if included per opts.includeInput)
+        }
+
+        let limit = +opts.limit;
+
+        if (limit) {
+            anagramSet = anagramSet.slice(0, limit);
+        }
+    }
+
+    return anagramSet;
 }
 
 /**
  * Test whether an array contains a word, allowing matches on 
- * lowercase proper nouns.
+ * lowercase proper nouns (and, if diacritics are folded, on
+ * words that differ only by diacritics).
  * 
  * @private
  * @function hasWord
- * @param  {array}   arr  Array to test for containment of `word`
- * @param  {string}  word Word to test containment of
- * @return {boolean}      `true` if `arr` contains `word`.
- *                        `false` otherwise.
+ * @param  {array}    arr  Array to test for containment of `word`
+ * @param  {string}   word Word to test containment of
+ * @param  {TextOpts} text Text handling options
+ * @return {boolean}       `true` if `arr` contains `word`.
+ *                         `false` otherwise.
  */
-function hasWord(arr, word) {
+function hasWord(arr, word, text) {
+    const fold = text.foldDiacritics ? util.foldDiacritics : str => str;
+
+    word = fold(word);
+
     for (let i = 0; i < arr.length; i++) {
-        if (sameWord(word, arr[i])) {
+        if (sameWord(word, fold(arr[i]), text)) {
             return true;
         }
     }
@@ -579,6 +1745,21 @@ function hasWord(arr, word) {
     return false;
 }
 
+/**
+ * Test whether any word of an array matches an earlier one (see `sameWord()`).
+ *
+ * @private
+ * @function hasRepeatedWord
+ * @param  {array}    words Words to test for repeats
+ * @param  {TextOpts} text  Text handling options
+ * @return {boolean}        `true` if a word appears more than once.
+ *                          `false` otherwise.
+ */
+function hasRepeatedWord(words, text) {
+    return words.some((word, i) => words.slice(0, i).some(prev =>
+        sameWord(word, prev, text) || sameWord(prev, word, text)));
+}
+
 /**
  * Check if a word matches a target word, allowing lowercase proper nouns.
  *
@@ -589,12 +1770,13 @@ function hasWord(arr, word) {
  *
  * @private
  * @function sameWord
- * @param  {string}  word   Word to compare to target word
- * @param  {string}  target Target word to match
- * @return {boolean}        `true` if `word` matches `target`.
- *                          `false` otherwise.
+ * @param  {string}   word   Word to compare to target word
+ * @param  {string}   target Target word to match
+ * @param  {TextOpts} text   Text handling options
+ * @return {boolean}         `true` if `word` matches `target`.
+ *                           `false` otherwise.
  */
-function sameWord(word, target) {
+function sameWord(word, target, text) {
     if (word.length !== target.length) {
         return false;
     }
@@ -619,7 +1801,7 @@ function sameWord(word, target) {
         }
 
         for (let i = 0; i < targetComponents.length; i++) {
-            if (!sameWord(wordComponents[i], targetComponents[i])) {
+            if (!sameWord(wordComponents[i], targetComponents[i], text)) {
                 return false;
             }
         }
@@ -627,9 +1809,68 @@ function sameWord(word, target) {
         return true;
     }
 
-    return (word[0].toUpperCase() + word.substr(1)) === target;
+    const first = util.graphemes(word)[0];
+
+    return (first.toLocaleUpperCase(text.locale) + word.substr(first.length)) === target;
 }
 
+/**
+ * Open a words file for reading, gunzipping it if it's gzipped (ie, starts with the gzip
+ * magic number).
+ *
+ * @private
+ * @function openWordList
+ * @param  {string}                    path Path to words file
+ * @return {Promise.<stream.Readable>}      A stream of the file's text
+ */
+function openWordList(path) {
+    return new Promise((resolve, reject) => {
+        fs.open(path, 'r', (err, fd) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            const magic = Buffer.alloc(GZIP_MAGIC.length);
+
+            fs.read(fd, magic, 0, magic.length, 0, (err, bytesRead) => {
+                if (err) {
+                    fs.close(fd, () => reject(err));
+                    return;
+                }
+
+                const file = fs.createReadStream(null, { fd, start: 0 });
+
+                if (bytesRead < magic.length || !magic.equals(GZIP_MAGIC)) {
+                    resolve(file);
+                    return;
+                }
+
+                const gunzip = zlib.createGunzip();
+
+                file.on('error', ex => gunzip.emit('error', ex)); // so that read errors reach the reader too
+                resolve(file.pipe(gunzip));
+            });
+        });
+    });
+}
+
+/**
+ * @typedef {object} AnagramServiceOpts
+ * @property {string}  [locale]         BCP 47 language tag (eg, 'de', 'tr') for locale-aware casing
+ *                                      of words. Defaults to the runtime's default locale.
+ * @property {boolean} [foldDiacritics] If truthy, ignore diacritics when matching words, so that
+ *                                      eg, "étale" and "etale" are anagrams of each other.
+ *                                      Changes anagram set keys, so a store must be reloaded
+ *                                      after toggling it.
+ */
+
+/**
+ * @typedef {object} TextOpts
+ * @property {string}  [locale]        BCP 47 language tag for casing, or `undefined` for default locale
+ * @property {boolean} foldDiacritics  Whether diacritics are ignored
+ */
+
 /**
  * @typedef {object} DictionaryCounts
  * @property {number} word    The total number of words in the dictionary
@@ -654,6 +1895,60 @@ function sameWord(word, target) {
  * @property {number} maxCardinality     Maximum anagram cardinality in the dictionary
  * @property {number} medianCardinality  Median anagram cardinality in the dictionary
  * @property {number} averageCardinality Average anagram cardinality in the dictionary
+ * @property {object} wordLengthPercentiles  50th, 90th, 95th and 99th percentile word lengths
+ *                                           (`p50`, `p90`, `p95` and `p99`), by the nearest-rank method
+ * @property {object} cardinalityPercentiles 50th, 90th, 95th and 99th percentile anagram cardinalities,
+ *                                           likewise
+ * @property {object} wordLengthHistogram    Number of words of each length, by length
+ * @property {object} cardinalityHistogram   Number of anagram sets of each cardinality, by cardinality
+ */
+
+/**
+ * @typedef {object} KeyedAnagramSet
+ * @property {string} key   Key of the anagram set (ie, its normalized letters)
+ * @property {array}  words Words in the anagram set
+ */
+
+/**
+ * @typedef {object} PageOpts
+ * @property {number} [limit]  Max number of anagram sets per page (default 100, at most 1000)
+ * @property {string} [cursor] Cursor from the previous page. If omitted, get the first page.
+ */
+
+/**
+ * @typedef {object} AnagramPage
+ * @property {array}  anagrams Anagram set arrays on the page, in order of their keys
+ * @property {string} cursor   Cursor for the next page, or `null` if this is the last page
+ */
+
+/**
+ * @typedef {object} LoadOpts
+ * @property {function} [onProgress] Called with the {@link LoadProgress} so far as each batch of
+ *                                   words is added
+ */
+
+/**
+ * @typedef {object} LoadProgress
+ * @property {number} lines    Lines read so far
+ * @property {number} word     Words added so far
+ * @property {number} anagram  Anagrams added so far
+ * @property {number} rejected Words rejected so far
+ */
+
+/**
+ * @typedef {object} LoadReport
+ * @property {number} word          The number of words added
+ * @property {number} anagram       The number of anagrams added (see {@link DictionaryCounts})
+ * @property {number} lines         The number of lines read
+ * @property {number} rejectedCount The number of words rejected
+ * @property {array}  rejected      The first 1,000 rejected words, each as a {@link RejectedWord}
+ */
+
+/**
+ * @typedef {object} RejectedWord
+ * @property {number} line   Line number of the word (from 1)
+ * @property {string} word   The word
+ * @property {string} reason Why the word was rejected (eg, it's invalid)
  */
 
 /**
@@ -664,6 +1959,79 @@ function sameWord(word, target) {
  *                                          Ignored if < 1.
  */
 
+/**
+ * @typedef {object} CompareOpts
+ * @property {string} [mode] `dictionary` (the default) to compare words as per `areAnagrams()`,
+ *                           or `letters` to compare their letters alone
+ */
+
+/**
+ * @typedef {object} AnagramComparison
+ * @property {boolean} areAnagrams              `true` if the words are all anagrams of each other
+ *                                              per the mode. `false` otherwise.
+ * @property {string}  mode                     The mode of the comparison
+ * @property {array}   words                    The words compared (trimmed)
+ * @property {object}  explanation              Why the words are or aren't anagrams
+ * @property {array}   explanation.unknownWords Valid words that aren't in the dictionary
+ * @property {array}   explanation.invalidWords Words that aren't valid words
+ * @property {array}   explanation.letters      For each valid word, `{ word, extra, missing }`: the
+ *                                              letters it has beyond the first word's, and those of
+ *                                              the first word it lacks (sorted)
+ */
+
+/**
+ * @typedef {object} LookupResult
+ * @property {array}  [anagrams] Anagram results for the word as per `get()`, unless it was invalid
+ * @property {string} [error]    Why the word was invalid, if it was
+ */
+
+/**
+ * @typedef {object} NearOpts
+ * @property {string}  [near]               `add` (the default), `remove` or `replace`: how the
+ *                                          letters of matching sets differ from the input's
+ * @property {number}  [distance]           Number of letters added, removed or changed (default 1, at most 2)
+ * @property {boolean} [excludeProperNouns] If truthy, exclude proper nouns from results
+ * @property {number}  [limit]              Upper bound on number of anagram sets to return.
+ *                                          Ignored if < 1.
+ */
+
+/**
+ * @typedef {object} NearMatch
+ * @property {array} removed  Letters of the input missing from the set's words (sorted)
+ * @property {array} added    Letters of the set's words that the input lacks (sorted)
+ * @property {array} anagrams The matching anagram set
+ */
+
+/**
+ * @typedef {object} WildcardMatch
+ * @property {array} blanks   Letters the input wildcards resolved to (sorted)
+ * @property {array} anagrams The matching anagram set
+ */
+
+/**
+ * @typedef {object} PhraseOpts
+ * @property {number}  [maxWords]           Max number of words per phrase (default 3, at most 6)
+ * @property {number}  [minWordLength]      Min length of each word in a phrase (default 2)
+ * @property {number}  [limit]              Max number of phrases to return (default 100, at most 500)
+ * @property {number}  [timeout]            Time budget for the search in milliseconds (default 1000, at most 5000)
+ * @property {boolean} [excludeProperNouns] If truthy, exclude phrases containing proper nouns
+ * @property {boolean} [includeInput]       If truthy, include the input phrase itself if found
+ */
+
+/**
+ * @typedef {object} PhraseAnagramResults
+ * @property {array}   anagrams Matching phrases, each a string of space-delimited words
+ * @property {boolean} complete `false` if the search was cut short by `limit` or `timeout`.
+ *                              `true` otherwise.
+ */
+
+/**
+ * @typedef {object} SubAnagramOpts
+ * @property {number}  [minLength]          Minimum word length of anagram sets to return
+ * @property {number}  [maxLength]          Maximum word length of anagram sets to return
+ * @property {boolean} [excludeProperNouns] If truthy, exclude proper nouns from results
+ */
+
 /**
  * @typedef {object} DeleteOpts
  * @property {boolean} [includeAnagrams] If truthy, also delete all anagrams of input word
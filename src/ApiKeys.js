@@ -0,0 +1,148 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const isString = require('lodash.isstring');
+
+const ROLES = ['read-only', 'editor', 'admin']; // from least to most privileged
+
+/**
+ * The API keys that may be presented to the server, each granting a role.
+ *
+ * Roles are ranked, each granting everything the roles before it do:
+ *
+ * - `read-only`: query dictionaries (which anonymous clients may also do)
+ * - `editor`: also add and delete words
+ * - `admin`: also clear dictionaries and create, preload and drop named dictionaries
+ *
+ * Keys are read from a local JSON file of the form:
+ *
+ * <pre><code>{
+ *   "keys": [
+ *     { "key": "2f6c...", "name": "import job", "role": "editor" }
+ *   ]
+ * }</code></pre>
+ *
+ * Keys are held as SHA-256 digests so that looking one up takes the same time however
+ * much of a presented key matches.
+ */
+class ApiKeys {
+    /**
+     * @param {array} keys Array of {@link ApiKeyEntry}
+     */
+    constructor(keys) {
+        if (!Array.isArray(keys)) {
+            throw 'Invalid API keys';
+        }
+
+        this._keys = new Map(); // digest of key => ApiKeyInfo
+
+        keys.forEach((entry, i) => {
+            if (!entry || !isString(entry.key) || !entry.key) {
+                throw `API key #${i + 1} is missing its "key"`;
+            }
+
+            if (!ApiKeys.isRole(entry.role)) {
+                throw `API key #${i + 1} has invalid role "${entry.role}". Use one of: ${ROLES.join(', ')}`;
+            }
+
+            const digest = digestKey(entry.key);
+
+            if (this._keys.has(digest)) {
+                throw `API key #${i + 1} is a duplicate`;
+            }
+
+            this._keys.set(digest, { name: entry.name || `key #${i + 1}`, role: entry.role });
+        });
+    }
+
+    /**
+     * Read API keys from a JSON file.
+     *
+     * @param  {string}  filePath Path to the file
+     * @return {ApiKeys}          The keys
+     */
+    static fromFile(filePath) {
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        return new ApiKeys(config && config.keys);
+    }
+
+    /**
+     * Get the roles, from least to most privileged.
+     *
+     * @return {array} Role names
+     */
+    static roles() {
+        return ROLES.slice();
+    }
+
+    /**
+     * Test whether a string is a role.
+     *
+     * @param  {string}  role String to test
+     * @return {boolean}      `true` if `role` is a role.
+     *                        `false` otherwise.
+     */
+    static isRole(role) {
+        return ROLES.indexOf(role) !== -1;
+    }
+
+    /**
+     * Test whether a role grants the privileges of another role.
+     *
+     * @param  {string}  role     Role held
+     * @param  {string}  required Role required
+     * @return {boolean}          `true` if `role` is at least as privileged as `required`.
+     *                            `false` otherwise.
+     */
+    static grants(role, required) {
+        return ApiKeys.isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    /**
+     * Look up a key.
+     *
+     * @param  {string}     key Key presented by a client
+     * @return {ApiKeyInfo}     Name and role of the key, or `undefined` if the key is unknown
+     */
+    authenticate(key) {
+        return isString(key) && key ? this._keys.get(digestKey(key)) : undefined;
+    }
+
+    /**
+     * Get the number of keys.
+     *
+     * @return {number} Number of keys
+     */
+    size() {
+        return this._keys.size;
+    }
+}
+
+module.exports = ApiKeys;
+
+/**
+ * Digest a key for storage and lookup.
+ *
+ * @private
+ * @function digestKey
+ * @param  {string} key Key to digest
+ * @return {string}     Hex SHA-256 digest of the key
+ */
+function digestKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * @typedef {object} ApiKeyEntry
+ * @property {string} key    The secret key that clients present
+ * @property {string} [name] Who or what the key belongs to, for logs
+ * @property {string} role   Role granted by the key (`read-only`, `editor` or `admin`)
+ */
+
+/**
+ * @typedef {object} ApiKeyInfo
+ * @property {string} name Who or what the key belongs to
+ * @property {string} role Role granted by the key
+ */
@@ -0,0 +1,369 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const isFunction = require('lodash.isfunction');
+
+const AnagramService = require('./AnagramService');
+const util = require('./util/util');
+
+const DEFAULT_NAME = 'default';
+const VALID_NAME = /^\w{1,64}$/; // also keeps names safe for use in adapter namespaces (eg, key prefixes, table names)
+
+/**
+ * A set of named anagram dictionaries served side by side, each an AnagramService
+ * backed by its own adapter.
+ *
+ * The default dictionary always exists and cannot be dropped. Other dictionaries are
+ * created and dropped at runtime, each with a new adapter from the `createAdapter()`
+ * factory, which must give every name its own namespace in the underlying store (eg,
+ * a Redis key prefix or a SQLite table) so dictionaries never see each other's words.
+ *
+ * If a catalog file is configured, the names and options of created dictionaries are
+ * saved to it, so that `restore()` can bring them back after a restart (their words
+ * persist as per their adapters).
+ */
+class Dictionaries {
+    /**
+     * @param {AnagramService}   defaultService The default dictionary
+     * @param {DictionariesOpts} [opts]         Options for named dictionaries
+     */
+    constructor(defaultService, opts) {
+        if (!defaultService) {
+            throw 'Invalid default dictionary';
+        }
+
+        opts = opts || {};
+
+        this._defaultService = defaultService;
+        this._createAdapter = opts.createAdapter;
+        this._catalog = opts.catalog;
+        this._serviceOpts = pickServiceOpts(opts); // defaults for created dictionaries
+        this._entries = new Map(); // name => DictionaryEntry
+    }
+
+    /**
+     * Get the name of the default dictionary.
+     *
+     * @return {string} The name of the default dictionary
+     */
+    defaultName() {
+        return DEFAULT_NAME;
+    }
+
+    /**
+     * Test whether a string may be used as a dictionary name.
+     *
+     * Names are 1 to 64 letters, digits or underscores.
+     *
+     * @param  {string}  name Name to test
+     * @return {boolean}      `true` if `name` is a valid dictionary name.
+     *                        `false` otherwise.
+     */
+    isValidName(name) {
+        return VALID_NAME.test(name);
+    }
+
+    /**
+     * Test whether a string may be used as a dictionary's locale, ie, whether it's a
+     * well-formed BCP 47 language tag (eg, "de" or "pt-BR").
+     *
+     * @param  {string}  locale Locale to test
+     * @return {boolean}        `true` if `locale` is a valid locale.
+     *                          `false` otherwise.
+     */
+    isValidLocale(locale) {
+        return canonicalLocale(locale) != null;
+    }
+
+    /**
+     * Test whether named dictionaries can be created, ie, whether there is an adapter factory.
+     *
+     * @return {boolean} `true` if named dictionaries can be created.
+     *                   `false` otherwise.
+     */
+    canCreate() {
+        return isFunction(this._createAdapter);
+    }
+
+    /**
+     * Test whether a dictionary exists (or is being created).
+     *
+     * @param  {string}  name Dictionary name
+     * @return {boolean}      `true` if the dictionary exists or is being created.
+     *                        `false` otherwise.
+     */
+    has(name) {
+        return name === DEFAULT_NAME || this._entries.has(name);
+    }
+
+    /**
+     * Get a dictionary by name.
+     *
+     * @param  {string}         [name] Dictionary name. Omit for the default dictionary.
+     * @return {AnagramService}        The dictionary, or `undefined` if there is no dictionary by that name
+     */
+    get(name) {
+        if (name == null || name === DEFAULT_NAME) {
+            return this._defaultService;
+        }
+
+        const entry = this._entries.get(name);
+
+        return entry && entry.ready ? entry.service : undefined;
+    }
+
+    /**
+     * Describe a dictionary.
+     *
+     * @param  {string}         [name] Dictionary name. Omit for the default dictionary.
+     * @return {DictionaryInfo}        Description of the dictionary, or `undefined` if there is
+     *                                 no dictionary by that name
+     */
+    describe(name) {
+        const service = this.get(name);
+
+        if (!service) {
+            return undefined;
+        }
+
+        const opts = name == null || name === DEFAULT_NAME ? this._serviceOpts : this._entries.get(name).opts;
+
+        return Object.assign({ name: name == null ? DEFAULT_NAME : name }, opts, {
+            counts: { word: service.wordCount(), anagram: service.anagramCount() }
+        });
+    }
+
+    /**
+     * List the dictionaries, starting with the default dictionary.
+     *
+     * @return {array} Array of {@link DictionaryInfo}
+     */
+    list() {
+        const names = Array.from(this._entries.keys()).sort();
+
+        return [DEFAULT_NAME].concat(names).map(name => this.describe(name)).filter(Boolean); // skip dictionaries still being created
+    }
+
+    /**
+     * Create a named dictionary.
+     *
+     * <pre><code>dictionaries.create('spanish', { locale: 'es' }).then(service =>
+     *   service.load('espanol.txt'));</code></pre>
+     *
+     * @param  {string}                   name   Name of the dictionary to create
+     * @param  {AnagramServiceOpts}       [opts] Text handling options for the dictionary.
+     *                                           Default to the options given to the constructor.
+     *                                           The locale is kept in its canonical form (eg, "pt-BR" for "PT-br").
+     * @return {Promise.<AnagramService>}        The new dictionary
+     */
+    create(name, opts) {
+        return new Promise((resolve, reject) => {
+            if (!this.isValidName(name) || name === DEFAULT_NAME) {
+                throw `Dictionary name "${name}" is invalid`;
+            }
+
+            if (this._entries.has(name)) {
+                throw `Dictionary "${name}" already exists`;
+            }
+
+            if (!this.canCreate()) {
+                throw 'Named dictionaries are not supported by this server';
+            }
+
+            if (opts && opts.locale != null && !this.isValidLocale(opts.locale)) {
+                throw `Locale "${opts.locale}" is invalid`;
+            }
+
+            opts = Object.assign({}, this._serviceOpts, pickServiceOpts(opts));
+
+            this._open(name, opts).then(service => {
+                this._saveCatalog();
+                resolve(service);
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Drop a named dictionary, deleting all of its words and releasing its adapter.
+     *
+     * @param  {string}              name Name of the dictionary to drop
+     * @return {Promise.<undefined>}
+     */
+    drop(name) {
+        return new Promise((resolve, reject) => {
+            if (name === DEFAULT_NAME) {
+                throw 'The default dictionary cannot be dropped';
+            }
+
+            const entry = this._entries.get(name);
+
+            if (!entry || !entry.ready) {
+                throw `Dictionary "${name}" does not exist`;
+            }
+
+            // remove right away so that no more requests reach the dictionary while it's cleared
+
+            this._entries.delete(name);
+            this._saveCatalog();
+
+            entry.service.clear().then(() => closeAdapter(entry.adapter)).then(() => resolve()).catch(reject);
+        });
+    }
+
+    /**
+     * Re-create the named dictionaries listed in the catalog file, if any.
+     *
+     * @return {Promise.<array>} Names of restored dictionaries
+     */
+    restore() {
+        return new Promise((resolve, reject) => {
+            if (!this._catalog || !fs.existsSync(this._catalog)) {
+                resolve([]);
+                return;
+            }
+
+            const catalog = JSON.parse(fs.readFileSync(this._catalog, 'utf8'));
+
+            Promise.all(catalog.dictionaries.map(dictionary => this._open(dictionary.name, pickServiceOpts(dictionary))))
+                .then(() => resolve(catalog.dictionaries.map(dictionary => dictionary.name)))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Create the AnagramService and adapter for a named dictionary and count the words
+     * its store may already hold.
+     *
+     * The name is reserved right away so that concurrent creates of the same name fail.
+     *
+     * @private
+     * @param  {string}                   name Dictionary name
+     * @param  {AnagramServiceOpts}       opts Text handling options
+     * @return {Promise.<AnagramService>}      The dictionary
+     */
+    _open(name, opts) {
+        const adapter = this._createAdapter(name),
+            entry = { adapter, service: new AnagramService(adapter, opts), opts, ready: false };
+
+        this._entries.set(name, entry);
+
+        return entry.service.recount().then(() => {
+            entry.ready = true;
+            return entry.service;
+        }).catch(ex => {
+            this._entries.delete(name);
+            throw ex;
+        });
+    }
+
+    /**
+     * Write the names and options of named dictionaries to the catalog file, if any.
+     *
+     * The file is replaced atomically so that a crash never leaves a partial catalog.
+     *
+     * @private
+     * @return {undefined}
+     */
+    _saveCatalog() {
+        if (!this._catalog) {
+            return;
+        }
+
+        const dictionaries = Array.from(this._entries.keys()).sort().map(name => Object.assign({ name }, this._entries.get(name).opts)),
+            tmpPath = `${this._catalog}.tmp`;
+
+        util.makeDir(path.dirname(this._catalog));
+
+        fs.writeFileSync(tmpPath, util.formatJSON({ dictionaries }));
+        fs.renameSync(tmpPath, this._catalog);
+    }
+}
+
+Dictionaries.DEFAULT_NAME = DEFAULT_NAME; // eg, for naming the default dictionary's resources before it's registered
+
+module.exports = Dictionaries;
+
+/**
+ * Pick the AnagramService options out of an object, dropping any that are not set.
+ *
+ * @private
+ * @function pickServiceOpts
+ * @param  {object}             obj Object that may hold AnagramService options
+ * @return {AnagramServiceOpts}     The options, with the locale in its canonical form if it's valid
+ */
+function pickServiceOpts(obj) {
+    const opts = {};
+
+    if (obj && obj.locale != null) {
+        opts.locale = canonicalLocale(obj.locale) || String(obj.locale);
+    }
+
+    if (obj && obj.foldDiacritics != null) {
+        opts.foldDiacritics = !!obj.foldDiacritics;
+    }
+
+    return opts;
+}
+
+/**
+ * Get the canonical form of a locale (eg, "pt-BR" for "PT-br").
+ *
+ * @private
+ * @function canonicalLocale
+ * @param  {string} locale BCP 47 language tag
+ * @return {string}        The canonical language tag, or `null` if `locale` is not a well-formed tag
+ */
+function canonicalLocale(locale) {
+    try {
+        return Intl.getCanonicalLocales(String(locale))[0] || null;
+    } catch (ex) {
+        return null; // a RangeError
+    }
+}
+
+/**
+ * Release an adapter's resources (eg, connections, open files), if it holds any.
+ *
+ * @private
+ * @function closeAdapter
+ * @param  {Adapter}             adapter Adapter to release
+ * @return {Promise.<undefined>}
+ */
+function closeAdapter(adapter) {
+    if (isFunction(adapter.close)) {
+        return adapter.close();
+    }
+
+    if (isFunction(adapter.quit)) { // eg, RedisAdapter
+        return adapter.quit();
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * @typedef {object} DictionariesOpts
+ * @property {function} [createAdapter]  Factory that receives a dictionary name and returns a new
+ *                                       adapter whose store is separate from every other dictionary's.
+ *                                       Named dictionaries cannot be created without it.
+ * @property {string}   [catalog]        Path to a JSON file in which to remember named dictionaries
+ * @property {string}   [locale]         Default locale for named dictionaries (see AnagramServiceOpts)
+ * @property {boolean}  [foldDiacritics] Default diacritic folding for named dictionaries (see AnagramServiceOpts)
+ */
+
+/**
+ * @typedef {object} DictionaryEntry
+ * @property {Adapter}            adapter The dictionary's adapter
+ * @property {AnagramService}     service The dictionary
+ * @property {AnagramServiceOpts} opts    Text handling options of the dictionary
+ * @property {boolean}            ready   Whether the dictionary has finished opening
+ */
+
+/**
+ * @typedef {object} DictionaryInfo
+ * @property {string}           name             Dictionary name
+ * @property {string}           [locale]         Locale of the dictionary, if set
+ * @property {boolean}          [foldDiacritics] Whether the dictionary folds diacritics, if set
+ * @property {DictionaryCounts} counts           Word and anagram counts of the dictionary
+ */
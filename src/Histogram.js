@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * A histogram of small non-negative integers (eg, word lengths), for summary statistics
+ * that are kept current as values come and go rather than computed by sorting every value.
+ *
+ * <pre><code>const histogram = new Histogram();
+ * [3, 4, 4, 7].forEach(value => histogram.add(value));
+ * histogram.remove(7);
+ * histogram.median(); // 4
+ * histogram.buckets(); // { 3: 1, 4: 2 }</code></pre>
+ *
+ * Statistics take time in proportion to the number of distinct values, not the number
+ * of values. Like `util.median()` and friends, they're NaN while the histogram is empty.
+ */
+class Histogram {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Count a value.
+     *
+     * @param  {number}    value Value to count
+     * @param  {number}    [n]   Times to count it (default 1)
+     * @return {undefined}
+     */
+    add(value, n) {
+        n = n == null ? 1 : n;
+
+        this._counts[value] = (this._counts[value] || 0) + n;
+        this._count += n;
+        this._sum += value * n;
+    }
+
+    /**
+     * Uncount a value.
+     *
+     * @param  {number}    value Value to uncount
+     * @param  {number}    [n]   Times to uncount it (default 1)
+     * @return {undefined}
+     */
+    remove(value, n) {
+        this.add(value, -(n == null ? 1 : n));
+    }
+
+    /**
+     * Forget all values.
+     *
+     * @return {undefined}
+     */
+    clear() {
+        this._counts = []; // value => times counted
+        this._count = 0;
+        this._sum = 0;
+    }
+
+    /**
+     * Get the number of values counted.
+     *
+     * @return {number} The number of values
+     */
+    count() {
+        return this._count;
+    }
+
+    /**
+     * Find the minimum value.
+     *
+     * @return {number} Minimum value
+     */
+    min() {
+        return this._count ? this._counts.findIndex(n => n > 0) : NaN;
+    }
+
+    /**
+     * Find the maximum value.
+     *
+     * @return {number} Maximum value
+     */
+    max() {
+        for (let value = this._counts.length - 1; value >= 0 && this._count; value--) {
+            if (this._counts[value] > 0) {
+                return value;
+            }
+        }
+
+        return NaN;
+    }
+
+    /**
+     * Find the average value.
+     *
+     * @return {number} Average value
+     */
+    average() {
+        return this._count ? this._sum / this._count : NaN;
+    }
+
+    /**
+     * Find the median value.
+     *
+     * @return {number} Median value (the average of the two values in the middle for an even count)
+     */
+    median() {
+        return (this._rank(Math.floor((this._count + 1) / 2)) + this._rank(Math.floor(this._count / 2) + 1)) / 2;
+    }
+
+    /**
+     * Find a percentile, by the nearest-rank method (ie, the least value that at least
+     * `p` percent of the values are no greater than).
+     *
+     * @param  {number} p Percent, from 0 to 100
+     * @return {number}   The `p`th percentile value
+     */
+    percentile(p) {
+        return this._rank(Math.max(1, Math.ceil(p / 100 * this._count)));
+    }
+
+    /**
+     * Get the times each value was counted.
+     *
+     * @return {object} Times counted by value, for each value counted at least once, in value order
+     */
+    buckets() {
+        const buckets = {};
+
+        this._counts.forEach((n, value) => {
+            if (n > 0) {
+                buckets[value] = n;
+            }
+        });
+
+        return buckets;
+    }
+
+    /**
+     * Find the value of a rank, ie, of a position in the values in order.
+     *
+     * @private
+     * @param  {number} rank Rank, from 1 to the number of values
+     * @return {number}      Value at `rank`, or NaN if there is no such rank
+     */
+    _rank(rank) {
+        let seen = 0;
+
+        for (let value = 0; value < this._counts.length; value++) {
+            seen += this._counts[value] || 0;
+
+            if (seen >= rank && rank >= 1) {
+                return value;
+            }
+        }
+
+        return NaN;
+    }
+}
+
+module.exports = Histogram;
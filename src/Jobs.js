@@ -0,0 +1,162 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_FINISHED = 100; // finished jobs to remember
+
+/**
+ * Background jobs (eg, imports of word lists), tracked by id so that clients can
+ * check on their progress and get their reports once they finish.
+ *
+ * <pre><code>const jobs = new Jobs();
+ * const job = jobs.start('import', { dictionary: 'default' }, setProgress => service.load(stream, { onProgress: setProgress }));
+ * jobs.get(job.id); // { id, type: 'import', dictionary: 'default', status: 'running', progress: {...}, ... }</code></pre>
+ *
+ * Jobs are kept in memory, so they're forgotten on restart. Only the most recently
+ * finished jobs are remembered; running jobs are always remembered.
+ */
+class Jobs {
+    /**
+     * @param {JobsOpts} [opts] Options
+     */
+    constructor(opts) {
+        opts = opts || {};
+
+        this._maxFinished = opts.maxFinished || DEFAULT_MAX_FINISHED;
+        this._jobs = new Map(); // id => job, in order of creation
+    }
+
+    /**
+     * Start a job.
+     *
+     * @param  {string}   type    Type of job (eg, `import`)
+     * @param  {object}   details Details to report with the job (eg, the dictionary it works on)
+     * @param  {function} run     Does the work. Receives a function to call with the job's
+     *                            progress so far and the job's id, and returns a promise for
+     *                            the job's report.
+     * @return {JobInfo}          The job, as of its start
+     */
+    start(type, details, run) {
+        const job = {
+            id: crypto.randomBytes(16).toString('hex'),
+            type,
+            details: details || {},
+            status: 'running',
+            createdAt: new Date(),
+            finishedAt: null,
+            progress: null,
+            report: null,
+            error: null
+        };
+
+        this._jobs.set(job.id, job);
+
+        let promise;
+
+        try {
+            promise = Promise.resolve(run(progress => {
+                job.progress = progress;
+            }, job.id));
+        } catch (ex) {
+            promise = Promise.reject(ex);
+        }
+
+        promise.then(report => {
+            job.report = report;
+            this._finish(job, 'succeeded');
+        }).catch(ex => {
+            job.error = ex instanceof Error ? ex.message : String(ex);
+            this._finish(job, 'failed');
+        });
+
+        return describe(job);
+    }
+
+    /**
+     * Get a job.
+     *
+     * @param  {string}  id Job id
+     * @return {JobInfo}    The job, or `undefined` if there is no job by that id
+     */
+    get(id) {
+        const job = this._jobs.get(id);
+
+        return job && describe(job);
+    }
+
+    /**
+     * Mark a job finished.
+     *
+     * @private
+     * @param  {object}    job    Job
+     * @param  {string}    status `succeeded` or `failed`
+     * @return {undefined}
+     */
+    _finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date();
+
+        this._forgetFinished();
+    }
+
+    /**
+     * Forget the oldest finished jobs beyond the most that may be remembered.
+     *
+     * @private
+     * @return {undefined}
+     */
+    _forgetFinished() {
+        const finished = Array.from(this._jobs.values()).filter(job => job.status !== 'running');
+
+        finished.slice(0, Math.max(0, finished.length - this._maxFinished)).forEach(job => this._jobs.delete(job.id));
+    }
+}
+
+module.exports = Jobs;
+
+/**
+ * Describe a job for clients.
+ *
+ * @private
+ * @function describe
+ * @param  {object}  job Job
+ * @return {JobInfo}     The job's public fields
+ */
+function describe(job) {
+    const info = Object.assign({ id: job.id, type: job.type }, job.details, {
+        status: job.status,
+        createdAt: job.createdAt.toISOString(),
+        progress: job.progress
+    });
+
+    if (job.finishedAt) {
+        info.finishedAt = job.finishedAt.toISOString();
+    }
+
+    if (job.report) {
+        info.report = job.report;
+    }
+
+    if (job.error) {
+        info.error = job.error;
+    }
+
+    return info;
+}
+
+/**
+ * @typedef {object} JobsOpts
+ * @property {number} [maxFinished] Most finished jobs to remember (default 100)
+ */
+
+/**
+ * @typedef {object} JobInfo
+ * @property {string} id           Job id
+ * @property {string} type         Type of job (eg, `import`)
+ * @property {string} status       `running`, `succeeded` or `failed`
+ * @property {string} createdAt    When the job started (ISO 8601)
+ * @property {string} [finishedAt] When the job finished (ISO 8601)
+ * @property {object} progress     The job's progress so far, as last reported by the job, or `null`
+ * @property {object} [report]     What the job did, once it succeeded
+ * @property {string} [error]      Why the job failed, if it did
+ */
@@ -0,0 +1,308 @@
+'use strict';
+
+const util = require('./util/util');
+
+/**
+ * An in-memory index of anagram set keys for finding the keys that can be built
+ * from (or that contain) a set of letters without scanning every key in the store.
+ *
+ * Keys are bucketed by their distinct characters (eg, "adr", "aadr" and "addr"
+ * all go in bucket "adr"). Characters are as per `util.graphemes()`, so lengths
+ * count a letter with combining marks as one character. A key can only be built from some letters if its bucket
+ * is a subset of those letters, so a lookup only visits qualifying buckets, either
+ * by enumerating subsets of the letters (few distinct letters) or by testing each
+ * bucket (many distinct letters), whichever is cheaper.
+ */
+class KeyIndex {
+    constructor() {
+        this._buckets = new Map(); // distinct characters => Set of keys
+        this._size = 0;
+    }
+
+    /**
+     * Get the number of keys in the index.
+     *
+     * @return {number} The number of keys in the index
+     */
+    size() {
+        return this._size;
+    }
+
+    /**
+     * Get every key in the index.
+     *
+     * @return {array} Keys in no particular order
+     */
+    keys() {
+        const result = [];
+
+        this._buckets.forEach(bucket => bucket.forEach(key => result.push(key)));
+
+        return result;
+    }
+
+    /**
+     * Add a key to the index.
+     *
+     * @param  {string}    key Normalized (ie, character-sorted) key to add
+     * @return {undefined}
+     */
+    add(key) {
+        const signature = distinctChars(key);
+
+        let bucket = this._buckets.get(signature);
+
+        if (!bucket) {
+            bucket = new Set();
+            this._buckets.set(signature, bucket);
+        }
+
+        if (!bucket.has(key)) {
+            bucket.add(key);
+            this._size++;
+        }
+    }
+
+    /**
+     * Delete a key from the index.
+     *
+     * @param  {string}    key Normalized (ie, character-sorted) key to delete
+     * @return {undefined}
+     */
+    delete(key) {
+        const signature = distinctChars(key),
+            bucket = this._buckets.get(signature);
+
+        if (bucket && bucket.delete(key)) {
+            this._size--;
+
+            if (!bucket.size) {
+                this._buckets.delete(signature);
+            }
+        }
+    }
+
+    /**
+     * Clear the index.
+     *
+     * @return {undefined}
+     */
+    clear() {
+        this._buckets.clear();
+        this._size = 0;
+    }
+
+    /**
+     * Find the keys that can be built from some or all of a set of letters.
+     *
+     * Each letter may be used at most as many times as it occurs in `letters`.
+     *
+     * @param  {string} letters     Normalized (ie, character-sorted) letters to build keys from
+     * @param  {number} [minLength] Minimum length of keys to return
+     * @param  {number} [maxLength] Maximum length of keys to return
+     * @return {array}              Qualifying keys in no particular order
+     */
+    subKeys(letters, minLength, maxLength) {
+        const min = minLength || 1,
+            max = Math.min(maxLength || Infinity, util.graphemes(letters).length),
+            counts = util.countLetters(letters),
+            distinct = util.graphemes(distinctChars(letters)),
+            result = [];
+
+        const visit = bucket => {
+            if (!bucket) {
+                return;
+            }
+
+            bucket.forEach(key => {
+                const len = util.graphemes(key).length;
+
+                if (min <= len && len <= max && util.hasLetters(counts, key)) {
+                    result.push(key);
+                }
+            });
+        };
+
+        if (Math.pow(2, distinct.length) < this._buckets.size) {
+            // look up every non-empty subset of the distinct letters
+
+            for (let mask = 1; mask < (1 << distinct.length); mask++) {
+                let signature = '';
+
+                for (let i = 0; i < distinct.length; i++) {
+                    if (mask & (1 << i)) {
+                        signature += distinct[i];
+                    }
+                }
+
+                visit(this._buckets.get(signature));
+            }
+        } else {
+            // test every bucket
+
+            this._buckets.forEach((bucket, signature) => {
+                if (util.hasLetters(counts, signature)) {
+                    visit(bucket);
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the keys of a given length that contain all of a set of letters.
+     *
+     * Each letter must occur in a key at least as many times as it occurs in `letters`.
+     *
+     * @param  {string} letters Normalized (ie, character-sorted) letters that keys must contain
+     * @param  {number} length  Length of keys to return
+     * @return {array}          Qualifying keys in no particular order
+     */
+    superKeys(letters, length) {
+        const distinct = distinctChars(letters),
+            extra = length - util.graphemes(letters).length, // number of characters in a qualifying key beyond those in letters
+            result = [];
+
+        if (extra < 0) {
+            return result;
+        }
+
+        this._buckets.forEach((bucket, signature) => {
+            if (util.graphemes(signature).length > util.graphemes(distinct).length + extra || !containsSorted(signature, distinct)) {
+                return;
+            }
+
+            bucket.forEach(key => {
+                if (util.graphemes(key).length === length && containsSorted(key, letters)) {
+                    result.push(key);
+                }
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Find the keys of a given length that contain all but at most a few of a set of letters.
+     *
+     * Letters count as many times as they occur in `letters` (eg, "aes" lacks one of the
+     * letters of "aess").
+     *
+     * @param  {string} letters Normalized (ie, character-sorted) letters that keys must mostly contain
+     * @param  {number} length  Length of keys to return
+     * @param  {number} missing Most letters of `letters` a key may lack
+     * @return {array}          Qualifying keys in no particular order
+     */
+    nearKeys(letters, length, missing) {
+        const counts = util.countLetters(letters),
+            shared = util.graphemes(letters).length - missing, // least number of characters a qualifying key shares with letters
+            result = [];
+
+        if (shared > length) {
+            return result;
+        }
+
+        this._buckets.forEach((bucket, signature) => {
+            // a key lacks at least one letter for each distinct letter its bucket lacks
+
+            const lacking = counts.size - Array.from(util.graphemes(signature)).filter(ch => counts.has(ch)).length;
+
+            if (lacking > missing) {
+                return;
+            }
+
+            bucket.forEach(key => {
+                if (util.graphemes(key).length === length && countShared(counts, key) >= shared) {
+                    result.push(key);
+                }
+            });
+        });
+
+        return result;
+    }
+}
+
+module.exports = KeyIndex;
+
+/**
+ * Count the characters of a character-sorted string that are available in a set of
+ * character counts (eg, as returned by `util.countLetters()`).
+ *
+ * @private
+ * @function countShared
+ * @param  {Map}    counts Map of character to number of available occurrences
+ * @param  {string} str    Character-sorted string
+ * @return {number}        Number of characters of `str` that `counts` has, counting repeats
+ *                         only as often as they're available
+ */
+function countShared(counts, str) {
+    const chars = util.graphemes(str);
+
+    let shared = 0;
+
+    for (let i = 0; i < chars.length;) {
+        const ch = chars[i];
+
+        let n = 0;
+
+        while (chars[i] === ch) { // count run of identical characters
+            n++;
+            i++;
+        }
+
+        shared += Math.min(n, counts.get(ch) || 0);
+    }
+
+    return shared;
+}
+
+/**
+ * Get the distinct characters of a character-sorted string.
+ *
+ * @private
+ * @function distinctChars
+ * @param  {string} str Character-sorted string
+ * @return {string}     Character-sorted string of the distinct characters in `str`
+ */
+function distinctChars(str) {
+    const chars = util.graphemes(str);
+
+    let result = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        if (chars[i] !== chars[i - 1]) {
+            result += chars[i];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Test whether a character-sorted string contains all characters of another
+ * character-sorted string, counting repeated characters.
+ *
+ * @private
+ * @function containsSorted
+ * @param  {string}  str Character-sorted string to test
+ * @param  {string}  sub Character-sorted characters that `str` must contain
+ * @return {boolean}     `true` if `str` contains every character of `sub`.
+ *                       `false` otherwise.
+ */
+function containsSorted(str, sub) {
+    const chars = util.graphemes(str),
+        subChars = util.graphemes(sub);
+
+    let j = 0;
+
+    for (let i = 0; i < chars.length && j < subChars.length; i++) {
+        if (chars[i] === subChars[j]) {
+            j++;
+        } else if (chars[i] > subChars[j]) {
+            return false; // subChars[j] would have appeared by now
+        }
+    }
+
+    return j === subChars.length;
+}
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Rations requests per client with token buckets.
+ *
+ * Each budget (eg, one for cheap lookups and a tighter one for scans of the whole store)
+ * gives every client a bucket of `limit` tokens that refills at `limit` tokens per
+ * `interval` seconds. Each request takes a token from its client's bucket for the
+ * request's budget, and is refused when the bucket is empty. A client may thus burst up
+ * to `limit` requests, then keep up a steady `limit` requests per `interval`.
+ *
+ * <pre><code>const limiter = new RateLimiter({ lookup: { limit: 600, interval: 60 } });
+ * limiter.take('lookup', '127.0.0.1'); // { allowed: true, limit: 600, remaining: 599, reset: 1, retryAfter: 0 }</code></pre>
+ *
+ * Buckets of idle clients are forgotten once they would be full again, so memory
+ * grows with the number of recently active clients only.
+ */
+class RateLimiter {
+    /**
+     * @param {object} budgets Map of budget name to {@link RateLimitBudget}
+     */
+    constructor(budgets) {
+        if (!budgets) {
+            throw 'Invalid rate limit budgets';
+        }
+
+        this._budgets = new Map(); // name => RateLimitBudget
+        this._buckets = new Map(); // budget name + client => { tokens, updated }
+        this._lastSweep = 0;
+        this._sweepInterval = 0; // ms
+
+        Object.keys(budgets).forEach(name => {
+            const budget = budgets[name] || {},
+                limit = +budget.limit,
+                interval = +budget.interval;
+
+            if (!(limit >= 1) || !(interval > 0)) {
+                throw `Rate limit budget "${name}" is invalid. Use a limit of 1 or more requests per interval of more than 0 seconds.`;
+            }
+
+            this._budgets.set(name, { limit: Math.floor(limit), interval });
+            this._sweepInterval = Math.max(this._sweepInterval, interval * 1000);
+        });
+    }
+
+    /**
+     * Test whether there is a budget by a given name.
+     *
+     * @param  {string}  name Budget name
+     * @return {boolean}      `true` if there is a budget by that name.
+     *                        `false` otherwise.
+     */
+    has(name) {
+        return this._budgets.has(name);
+    }
+
+    /**
+     * Take a token from a client's bucket for a budget.
+     *
+     * @param  {string}          name   Budget name
+     * @param  {string}          client Client identifier (eg, IP address or API key name)
+     * @param  {number}          [now]  Current time in ms. Defaults to `Date.now()`.
+     * @return {RateLimitResult}        Whether the request is allowed, and the state of the bucket
+     */
+    take(name, client, now) {
+        const budget = this._budgets.get(name);
+
+        if (!budget) {
+            throw `Unknown rate limit budget "${name}"`;
+        }
+
+        now = now == null ? Date.now() : now;
+
+        this._sweep(now);
+
+        const rate = budget.limit / budget.interval, // tokens per second
+            id = `${name}\n${client}`,
+            bucket = this._buckets.get(id) || { tokens: budget.limit, updated: now };
+
+        bucket.tokens = Math.min(budget.limit, bucket.tokens + (now - bucket.updated) / 1000 * rate);
+        bucket.updated = now;
+
+        const allowed = bucket.tokens >= 1;
+
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+
+        this._buckets.set(id, bucket);
+
+        return {
+            allowed,
+            limit: budget.limit,
+            remaining: Math.floor(bucket.tokens),
+            reset: Math.ceil((budget.limit - bucket.tokens) / rate),
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate)
+        };
+    }
+
+    /**
+     * Forget buckets that have refilled, at most once per longest budget interval.
+     *
+     * @private
+     * @param  {number}    now Current time in ms
+     * @return {undefined}
+     */
+    _sweep(now) {
+        if (now - this._lastSweep < this._sweepInterval) {
+            return;
+        }
+
+        this._lastSweep = now;
+
+        this._buckets.forEach((bucket, id) => {
+            const budget = this._budgets.get(id.slice(0, id.indexOf('\n')));
+
+            if (now - bucket.updated >= budget.interval * 1000) { // refilled by now
+                this._buckets.delete(id);
+            }
+        });
+    }
+}
+
+module.exports = RateLimiter;
+
+/**
+ * @typedef {object} RateLimitBudget
+ * @property {number} limit    Number of requests a client may make per interval
+ * @property {number} interval Length of the interval in seconds
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed    Whether the request may proceed
+ * @property {number}  limit      Number of requests allowed per interval
+ * @property {number}  remaining  Number of requests the client may make right away
+ * @property {number}  reset      Seconds until the client's bucket is full again
+ * @property {number}  retryAfter Seconds until the client may make another request
+ *                                (0 if the request is allowed)
+ */
@@ -0,0 +1,198 @@
+'use strict';
+
+const util = require('./util/util');
+
+/**
+ * An in-memory index of the keys of anagram sets (ie, sets of more than one word) by
+ * key length and by set size, for finding the sets of a length or cardinality without
+ * scanning every key in the store.
+ *
+ * <pre><code>const index = new SetIndex();
+ * index.set('ader', 3); // eg, dare, dear, read
+ * index.set('act', 2);
+ * index.keysByLength(4, Infinity); // ['ader']
+ * index.maxSize(); // 3</code></pre>
+ *
+ * Lengths are in characters as per `util.graphemes()`, so a key's length is that of each
+ * word of its set. Sets of one word aren't indexed, since no length or cardinality query
+ * returns them.
+ */
+class SetIndex {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Get the number of anagram sets in the index.
+     *
+     * @return {number} The number of anagram sets in the index
+     */
+    size() {
+        return this._sizes.size;
+    }
+
+    /**
+     * Record the size of a set, indexing it if it has more than one word and
+     * dropping it from the index otherwise.
+     *
+     * @param  {string}    key  Key of the set
+     * @param  {number}    size Number of words in the set
+     * @return {undefined}
+     */
+    set(key, size) {
+        const oldSize = this._sizes.get(key);
+
+        if (oldSize === size) {
+            return;
+        }
+
+        if (oldSize) {
+            removeFromBucket(this._bySize, oldSize, key);
+        }
+
+        if (size > 1) {
+            if (!oldSize) {
+                addToBucket(this._byLength, util.graphemes(key).length, key);
+            }
+
+            addToBucket(this._bySize, size, key);
+            this._sizes.set(key, size);
+        } else if (oldSize) {
+            removeFromBucket(this._byLength, util.graphemes(key).length, key);
+            this._sizes.delete(key);
+        }
+    }
+
+    /**
+     * Remove all sets from the index.
+     *
+     * @return {undefined}
+     */
+    clear() {
+        this._sizes = new Map(); // key => set size
+        this._byLength = new Map(); // key length => Set of keys
+        this._bySize = new Map(); // set size => Set of keys
+    }
+
+    /**
+     * Find the keys of the anagram sets with a key length in a range.
+     *
+     * @param  {number} min Minimum key length
+     * @param  {number} max Maximum key length (may be `Infinity`)
+     * @return {array}      Qualifying keys, in no particular order
+     */
+    keysByLength(min, max) {
+        return keysInRange(this._byLength, min, max);
+    }
+
+    /**
+     * Find the keys of the anagram sets with a size in a range.
+     *
+     * @param  {number} min Minimum set size
+     * @param  {number} max Maximum set size (may be `Infinity`)
+     * @return {array}      Qualifying keys, in no particular order
+     */
+    keysBySize(min, max) {
+        return keysInRange(this._bySize, min, max);
+    }
+
+    /**
+     * Find the greatest key length of the anagram sets.
+     *
+     * @return {number} Greatest key length, or 0 if the index is empty
+     */
+    maxLength() {
+        return maxBucket(this._byLength);
+    }
+
+    /**
+     * Find the greatest size of the anagram sets.
+     *
+     * @return {number} Greatest set size, or 0 if the index is empty
+     */
+    maxSize() {
+        return maxBucket(this._bySize);
+    }
+}
+
+module.exports = SetIndex;
+
+/**
+ * Add a key to a bucket, creating the bucket if need be.
+ *
+ * @private
+ * @function addToBucket
+ * @param  {Map}       buckets Buckets of keys
+ * @param  {number}    value   Value of the bucket
+ * @param  {string}    key     Key
+ * @return {undefined}
+ */
+function addToBucket(buckets, value, key) {
+    let bucket = buckets.get(value);
+
+    if (!bucket) {
+        buckets.set(value, bucket = new Set());
+    }
+
+    bucket.add(key);
+}
+
+/**
+ * Remove a key from a bucket, dropping the bucket once it's empty.
+ *
+ * @private
+ * @function removeFromBucket
+ * @param  {Map}       buckets Buckets of keys
+ * @param  {number}    value   Value of the bucket
+ * @param  {string}    key     Key
+ * @return {undefined}
+ */
+function removeFromBucket(buckets, value, key) {
+    const bucket = buckets.get(value);
+
+    if (bucket && bucket.delete(key) && !bucket.size) {
+        buckets.delete(value);
+    }
+}
+
+/**
+ * Get the keys of the buckets with a value in a range.
+ *
+ * @private
+ * @function keysInRange
+ * @param  {Map}    buckets Buckets of keys
+ * @param  {number} min     Minimum value
+ * @param  {number} max     Maximum value (may be `Infinity`)
+ * @return {array}          Keys
+ */
+function keysInRange(buckets, min, max) {
+    const keys = [];
+
+    buckets.forEach((bucket, value) => {
+        if (min <= value && value <= max) {
+            bucket.forEach(key => keys.push(key));
+        }
+    });
+
+    return keys;
+}
+
+/**
+ * Find the greatest value of the buckets.
+ *
+ * @private
+ * @function maxBucket
+ * @param  {Map}    buckets Buckets of keys
+ * @return {number}         Greatest value, or 0 if there are no buckets
+ */
+function maxBucket(buckets) {
+    let max = 0;
+
+    buckets.forEach((bucket, value) => {
+        if (value > max) {
+            max = value;
+        }
+    });
+
+    return max;
+}
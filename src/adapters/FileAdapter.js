@@ -0,0 +1,370 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const Logger = require('../logging/Logger');
+const MemoryAdapter = require('./MemoryAdapter');
+const util = require('../util/util');
+
+const DEFAULT_DIR = 'data';
+const DEFAULT_COMPACT_THRESHOLD = 10000; // number of journal entries that triggers compaction
+const COMPACT_CHUNK_SIZE = 1000; // store entries serialized per snapshot write
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+/**
+ * An AnagramService adapter that keeps the store in memory (see MemoryAdapter) and
+ * persists it to local files, so no external database is needed.
+ *
+ * Every change is appended to a journal file before its promise resolves. Once the
+ * journal grows past a threshold, the whole store is written to a snapshot file and
+ * the journal is truncated. On construction, the snapshot is loaded and the journal
+ * replayed on top of it.
+ *
+ * A change survives a crash of the server process as soon as its promise resolves,
+ * but may be lost on power failure since the journal is not fsync'ed per write.
+ * Compaction writes the snapshot a chunk of entries at a time, letting other work
+ * run in between. Changes made meanwhile wait to be journaled until it's done.
+ *
+ * Only suitable for a single server process per data directory.
+ *
+ * @implements {Adapter}
+ */
+class FileAdapter extends MemoryAdapter {
+    /**
+     * @param {FileAdapterOpts} [opts] Storage options
+     */
+    constructor(opts) {
+        super();
+
+        opts = opts || {};
+
+        const dir = opts.dir || DEFAULT_DIR;
+
+        this._snapshotPath = path.join(dir, SNAPSHOT_FILE);
+        this._journalPath = path.join(dir, JOURNAL_FILE);
+        this._compactThreshold = opts.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+        this._logger = opts.logger || new Logger();
+
+        this._entryCount = 0; // entries in journal file
+        this._buffer = []; // journal lines waiting to be written
+        this._waiters = []; // promise callbacks waiting for buffered journal lines to be written
+        this._writing = false; // whether the journal is being written or compacted
+        this._closing = false;
+
+        util.makeDir(dir);
+
+        this._restore();
+
+        this._fd = fs.openSync(this._journalPath, 'a');
+    }
+
+    /**
+     * Add a value to the set of values associated with a key.
+     *
+     * The set is kept free of duplicates based on strict equality.
+     *
+     * @param  {string}                key The key for which to add the value
+     * @param  {any}                   val The value to add
+     * @return {Promise.<SetOpResult>}     Information about the add operation
+     */
+    add(key, val) {
+        return super.add(key, val).then(result => {
+            if (!result.affected) {
+                return result;
+            }
+
+            return this._journal({ op: 'add', key, val }).then(() => result);
+        });
+    }
+
+    /**
+     * Delete a value from the set of values associated with a key.
+     *
+     * @param  {string}                key   The key for which to delete the value
+     * @param  {(any|function)}        [val] The value to delete or a predicate generator
+     *                                       function that returns (based on the current
+     *                                       set of values) a predicate for matching
+     *                                       values to KEEP.
+     *                                       If omitted (ie, `undefined` or `null`),
+     *                                       delete full set of values for key.
+     * @return {Promise.<SetOpResult>}       Information about the delete operation
+     */
+    delete(key, val) {
+        return super.delete(key, val).then(result => {
+            if (!result.affected) {
+                return result;
+            }
+
+            // journal the resulting set rather than the operation since predicates can't be serialized
+            return this._journal({ op: 'set', key, vals: this._map.get(key) || [] }).then(() => result);
+        });
+    }
+
+    /**
+     * Clear store.
+     *
+     * @return {Promise.<undefined>}
+     */
+    clear() {
+        return super.clear().then(() => this._journal({ op: 'clear' }));
+    }
+
+    /**
+     * Write any buffered journal entries and close the journal file.
+     *
+     * The adapter must not be used after it is closed.
+     *
+     * @return {Promise.<undefined>}
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            const closeFile = () => fs.close(this._fd, err => err ? reject(err) : resolve());
+
+            this._closing = true; // so no compaction starts once the file is closed
+
+            // wait for buffered entries to be written
+            this._waiters.push({ resolve: closeFile, reject });
+            this._flush();
+        });
+    }
+
+    /**
+     * Append an entry to the journal.
+     *
+     * Entries queued while a write is in progress are written together by the next write.
+     *
+     * @private
+     * @param  {object}              entry Journal entry
+     * @return {Promise.<undefined>}       Resolves once the entry is written to the journal file
+     */
+    _journal(entry) {
+        return new Promise((resolve, reject) => {
+            this._buffer.push(JSON.stringify(entry) + '\n');
+            this._waiters.push({ resolve, reject });
+            this._flush();
+        });
+    }
+
+    /**
+     * Write buffered journal entries, compacting afterwards if the journal is over threshold.
+     *
+     * Entries queued during compaction wait for it, so that truncating the journal loses none of them.
+     *
+     * @private
+     * @return {undefined}
+     */
+    _flush() {
+        if (this._writing || !this._waiters.length) {
+            return;
+        }
+
+        const lines = this._buffer,
+            waiters = this._waiters;
+
+        this._buffer = [];
+        this._waiters = [];
+
+        const settle = err => {
+            if (!err) {
+                this._entryCount += lines.length;
+            }
+
+            const compacting = !err && !this._closing && this._entryCount >= this._compactThreshold ?
+                this._compact().catch(ex => {
+                    // journal is intact, so try again next time
+                    this._logger.error('journal compaction failed', { journal: this._journalPath, error: ex });
+                }) :
+                Promise.resolve();
+
+            compacting.then(() => {
+                this._writing = false;
+
+                waiters.forEach(waiter => err ? waiter.reject(err) : waiter.resolve());
+
+                this._flush();
+            });
+        };
+
+        this._writing = true;
+
+        if (!lines.length) {
+            return settle();
+        }
+
+        fs.write(this._fd, lines.join(''), settle);
+    }
+
+    /**
+     * Write the whole store to the snapshot file and truncate the journal.
+     *
+     * The store is written a chunk of entries at a time, so it may change in between. Every
+     * change made after compaction starts is still buffered for the journal, and is written
+     * to the fresh journal once compaction is done. Replaying those on top of a snapshot
+     * that already reflects some of them is harmless, since adds are idempotent and deletes
+     * journal the resulting set.
+     *
+     * @private
+     * @return {Promise.<undefined>}
+     */
+    _compact() {
+        return new Promise((resolve, reject) => {
+            const tmpPath = `${this._snapshotPath}.tmp`,
+                entries = this._map.entries();
+
+            fs.open(tmpPath, 'w', (err, fd) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                let started = false;
+
+                const fail = ex => fs.close(fd, () => reject(ex));
+
+                const replaceSnapshot = () => {
+                    fs.fsync(fd, err => {
+                        if (err) {
+                            return fail(err);
+                        }
+
+                        fs.close(fd, err => {
+                            if (err) {
+                                return reject(err);
+                            }
+
+                            // atomically replace previous snapshot
+                            fs.rename(tmpPath, this._snapshotPath, err => {
+                                if (err) {
+                                    return reject(err);
+                                }
+
+                                fs.ftruncate(this._fd, 0, err => {
+                                    if (err) {
+                                        return reject(err);
+                                    }
+
+                                    this._entryCount = 0;
+                                    resolve();
+                                });
+                            });
+                        });
+                    });
+                };
+
+                // write the store as a JSON array of [key, values] pairs, a chunk at a time
+
+                const writeChunk = () => {
+                    const pairs = [];
+
+                    let next;
+
+                    while (pairs.length < COMPACT_CHUNK_SIZE && !(next = entries.next()).done) {
+                        pairs.push(JSON.stringify(next.value));
+                    }
+
+                    const done = pairs.length < COMPACT_CHUNK_SIZE,
+                        text = (!started ? '[' : pairs.length ? ',' : '') + pairs.join(',') + (done ? ']' : '');
+
+                    started = true;
+
+                    fs.write(fd, text, err => {
+                        if (err) {
+                            return fail(err);
+                        }
+
+                        if (done) {
+                            replaceSnapshot();
+                        } else {
+                            setImmediate(writeChunk);
+                        }
+                    });
+                };
+
+                writeChunk();
+            });
+        });
+    }
+
+    /**
+     * Load the snapshot file and replay the journal file into the store.
+     *
+     * A partially written last journal line (eg, from a crash mid-write) is discarded.
+     *
+     * @private
+     * @return {undefined}
+     */
+    _restore() {
+        if (fs.existsSync(this._snapshotPath)) {
+            this._map = new Map(JSON.parse(fs.readFileSync(this._snapshotPath, 'utf8')));
+        }
+
+        if (!fs.existsSync(this._journalPath)) {
+            return;
+        }
+
+        const journal = fs.readFileSync(this._journalPath, 'utf8'),
+            end = journal.lastIndexOf('\n') + 1; // end of last complete line
+
+        if (end < journal.length) {
+            fs.truncateSync(this._journalPath, Buffer.byteLength(journal.substr(0, end)));
+        }
+
+        journal.substr(0, end).split('\n').forEach((line, i) => {
+            if (!line) {
+                return;
+            }
+
+            let entry;
+
+            try {
+                entry = JSON.parse(line);
+            } catch (ex) {
+                throw `Corrupt journal entry at ${this._journalPath}:${i + 1}`;
+            }
+
+            this._replay(entry);
+            this._entryCount++;
+        });
+    }
+
+    /**
+     * Apply a journal entry to the store.
+     *
+     * @private
+     * @param  {object}    entry Journal entry
+     * @return {undefined}
+     */
+    _replay(entry) {
+        if (entry.op === 'add') {
+            const values = this._map.get(entry.key);
+
+            if (!values) {
+                this._map.set(entry.key, [entry.val]);
+            } else if (!values.includes(entry.val)) { // entry may already be reflected in snapshot
+                values.push(entry.val);
+            }
+        } else if (entry.op === 'set') {
+            if (entry.vals.length) {
+                this._map.set(entry.key, entry.vals);
+            } else {
+                this._map.delete(entry.key);
+            }
+        } else if (entry.op === 'clear') {
+            this._map.clear();
+        } else {
+            throw `Unknown journal operation "${entry.op}"`;
+        }
+    }
+}
+
+module.exports = FileAdapter;
+
+/**
+ * @typedef {object} FileAdapterOpts
+ * @property {string} [dir]              Directory for the snapshot and journal files (default 'data').
+ *                                       Created if it does not exist.
+ * @property {number} [compactThreshold] Number of journal entries after which the store is
+ *                                       compacted into a snapshot (default 10000)
+ * @property {Logger} [logger]           Where to log failures to compact (default a Logger on stdout)
+ */
@@ -4,14 +4,121 @@ const isFunction = require('lodash.isfunction');
 
 var Redis = require('ioredis');
 
+const DEFAULT_KEY_PREFIX = 'anagram:';
+const SCAN_COUNT = 1000; // number of keys to request per SCAN iteration
+const MAX_DELETE_ATTEMPTS = 10; // number of times to retry a predicate delete that lost a race with another write
+const SCRIPT_BATCH_SIZE = 1000; // most adds or deletes sent in one script call, so the arguments stay within JS and Lua limits
+
+// atomically add a value, scored after the set's current last value to preserve insertion order,
+// and report { affected, size }
+const ADD_SCRIPT = `
+    if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+        local last = redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')
+        local score = last[2] and tonumber(last[2]) + 1 or 1
+        redis.call('ZADD', KEYS[1], score, ARGV[1])
+        return { 1, redis.call('ZCARD', KEYS[1]) }
+    end
+    return { 0, redis.call('ZCARD', KEYS[1]) }`;
+
+// atomically remove a value and report { affected, size }
+const REMOVE_SCRIPT = `
+    local removed = redis.call('ZREM', KEYS[1], ARGV[1])
+    return { removed, redis.call('ZCARD', KEYS[1]) }`;
+
+// atomically remove a whole set and report the number of values removed
+const REMOVE_ALL_SCRIPT = `
+    local size = redis.call('ZCARD', KEYS[1])
+    redis.call('DEL', KEYS[1])
+    return size`;
+
+// atomically remove some values only if the set still holds exactly the values it held when
+// they were chosen. ARGV[1] is the number n of values to remove, ARGV[2..n+1] are the values
+// to remove and ARGV[n+2..] are the values to keep. returns the final set size or -1 if the
+// set has changed in the meantime.
+const REMOVE_IF_UNCHANGED_SCRIPT = `
+    local n = tonumber(ARGV[1])
+    if redis.call('ZCARD', KEYS[1]) ~= #ARGV - 1 then
+        return -1
+    end
+    for i = 2, #ARGV do
+        if not redis.call('ZSCORE', KEYS[1], ARGV[i]) then
+            return -1
+        end
+    end
+    for i = 2, n + 1 do
+        redis.call('ZREM', KEYS[1], ARGV[i])
+    end
+    return redis.call('ZCARD', KEYS[1])`;
+
+// atomically add each value (ARGV[i]) to its set (KEYS[i]), in order, as ADD_SCRIPT does, and
+// report the affected count and size of each add as a string of space-delimited numbers
+const ADD_MANY_SCRIPT = `
+    local results = {}
+    for i = 1, #KEYS do
+        local affected = 0
+        if not redis.call('ZSCORE', KEYS[i], ARGV[i]) then
+            local last = redis.call('ZRANGE', KEYS[i], -1, -1, 'WITHSCORES')
+            local score = last[2] and tonumber(last[2]) + 1 or 1
+            redis.call('ZADD', KEYS[i], score, ARGV[i])
+            affected = 1
+        end
+        results[#results + 1] = affected
+        results[#results + 1] = redis.call('ZCARD', KEYS[i])
+    end
+    return table.concat(results, ' ')`;
+
+// atomically remove a value (ARGV[2i] if ARGV[2i-1] is '1') or the whole set from each set
+// (KEYS[i]), in order, and report the affected count and size of each removal as a string of
+// space-delimited numbers
+const REMOVE_MANY_SCRIPT = `
+    local results = {}
+    for i = 1, #KEYS do
+        if ARGV[i * 2 - 1] == '1' then
+            results[#results + 1] = redis.call('ZREM', KEYS[i], ARGV[i * 2])
+        else
+            results[#results + 1] = redis.call('ZCARD', KEYS[i])
+            redis.call('DEL', KEYS[i])
+        end
+        results[#results + 1] = redis.call('ZCARD', KEYS[i])
+    end
+    return table.concat(results, ' ')`;
+
 /**
  * An AnagramService adapter using Redis.
  *
+ * Each key/set pair is stored as a Redis sorted set scored by insertion order, so
+ * sets come back in the order their values were added (as with MemoryAdapter).
+ * The store persists and replicates per the Redis configuration. Values are
+ * stored as strings.
+ *
+ * Adds and deletes run as Lua scripts so that each is atomic with respect to
+ * concurrent writes from this or any other server sharing the Redis instance.
+ * Batches (see `getMany()`, `addMany()` and `deleteMany()`) take a single round trip,
+ * and batches of adds and deletes are atomic too. Batches of more than 1000 adds or
+ * deletes are split into runs of 1000, each a round trip and atomic on its own.
+ *
  * @implements {Adapter}
  */
 class RedisAdapter {
+    /**
+     * @param {RedisAdapterOpts} [opts] Connection options
+     */
     constructor(opts) {
-        this._redis = new Redis();
+        opts = opts || {};
+
+        this._redis = opts.client || new Redis({
+            host: opts.host,
+            port: opts.port,
+            password: opts.password,
+            db: opts.db
+        });
+
+        this._prefix = opts.keyPrefix == null ? DEFAULT_KEY_PREFIX : opts.keyPrefix;
+
+        this._redis.defineCommand('anagramAdd', { numberOfKeys: 1, lua: ADD_SCRIPT });
+        this._redis.defineCommand('anagramRemove', { numberOfKeys: 1, lua: REMOVE_SCRIPT });
+        this._redis.defineCommand('anagramRemoveAll', { numberOfKeys: 1, lua: REMOVE_ALL_SCRIPT });
+        this._redis.defineCommand('anagramRemoveIfUnchanged', { numberOfKeys: 1, lua: REMOVE_IF_UNCHANGED_SCRIPT });
     }
 
     /**
@@ -23,9 +130,7 @@ class RedisAdapter {
      */
     get(key) {
         return new Promise((resolve, reject) => {
-
-            // IMPLEMENTATION TODO: implement get and resolve with array of values, falling back to empty array
-
+            this._redis.zrange(this._prefix + key, 0, -1).then(resolve).catch(reject);
         });
     }
 
@@ -40,29 +145,10 @@ class RedisAdapter {
      */
     add(key, val) {
         return new Promise((resolve, reject) => {
-
-            // IMPLEMENTATION TODO: const values = <GET VALUES FROM STORE>;
-
-            if (!values) {
-                // add new set
-
-                // IMPLEMENTATION TODO: set key to [val]
-
-                resolve({ affected: 1, size: 1 });
-                return;
-            }
-
-            if (!values.includes(val)) { // avoid adding duplicate values
-                // add value to existing set
-                values.push(val);
-
-                // IMPLEMENTATION TODO: update key with values array
-
-                resolve({ affected: 1, size: values.length });
-                return;
-            }
-
-            resolve({ affected: 0, size: values.length });
+            this._redis.anagramAdd(this._prefix + key, val).then(result => resolve({
+                affected: result[0],
+                size: result[1]
+            })).catch(reject);
         });
     }
 
@@ -70,85 +156,180 @@ class RedisAdapter {
      * Delete a value from the set of values associated with a key.
      *
      * @param  {string}                key   The key for which to delete the value
-     * @param  {(any|function)}        [val] The value to delete or a predicate generator 
+     * @param  {(any|function)}        [val] The value to delete or a predicate generator
      *                                       function that returns (based on the current
-     *                                       set of values) a predicate for matching 
+     *                                       set of values) a predicate for matching
      *                                       values to KEEP.
-     *                                       If omitted (ie, `undefined` or `null`), 
+     *                                       If omitted (ie, `undefined` or `null`),
      *                                       delete full set of values for key.
      * @return {Promise.<SetOpResult>}       Information about the delete operation
      */
     delete(key, val) {
         return new Promise((resolve, reject) => {
-
-            // IMPLEMENTATION TODO: const values = <GET VALUES FROM STORE> || [];
+            const redisKey = this._prefix + key;
 
             if (val == null) { // delete full set
-
-                // IMPLEMENTATION TODO: delete key from store
-
-                resolve({ affected: values.length, size: 0 });
+                this._redis.anagramRemoveAll(redisKey).then(affected => resolve({ affected, size: 0 })).catch(reject);
                 return;
             }
 
             if (isFunction(val)) { // val is a predicate generator
-                const predicate = val(values);
+                // the predicate runs here rather than in Redis, so remove the values it rejects
+                // only if the set is unchanged since we read it. otherwise read it again and retry.
 
-                if (!isFunction(predicate)) {
-                    reject('Predicate generator did not return a predicate');
-                    return;
-                }
+                let attempts = 0;
 
-                const filteredValues = values.filter(predicate);
+                const attempt = () => this._redis.zrange(redisKey, 0, -1).then(values => {
+                    const predicate = val(values);
 
-                if (!filteredValues.length) { // filtered set is empty
+                    if (!isFunction(predicate)) {
+                        throw 'Predicate generator did not return a predicate';
+                    }
 
-                    // IMPLEMENTATION TODO: delete key from store
+                    const removals = [],
+                        keeps = [];
 
-                } else {
+                    values.forEach(value => (predicate(value) ? keeps : removals).push(value));
 
-                    // IMPLEMENTATION TODO: set key to filteredValues
+                    if (!removals.length) {
+                        return { affected: 0, size: values.length };
+                    }
 
-                }
+                    return this._redis.anagramRemoveIfUnchanged(redisKey, removals.length, ...removals, ...keeps).then(size => {
+                        if (size < 0) { // set changed under us
+                            if (++attempts >= MAX_DELETE_ATTEMPTS) {
+                                throw `Gave up deleting from "${key}" after ${attempts} concurrent modifications`;
+                            }
+
+                            return attempt();
+                        }
 
-                resolve({ affected: values.length - filteredValues.length, size: filteredValues.length });
+                        return { affected: removals.length, size };
+                    });
+                });
+
+                attempt().then(resolve).catch(reject);
                 return;
             }
 
-            const idx = values.indexOf(val);
+            this._redis.anagramRemove(redisKey, val).then(result => resolve({
+                affected: result[0],
+                size: result[1]
+            })).catch(reject);
+        });
+    }
 
-            if (idx > -1) { // val is in the set
-                if (values.length === 1) { // set only contains val
+    /**
+     * Get the sets of values for several keys, in a single round trip.
+     *
+     * @param  {array}           keys The keys for which to get corresponding values
+     * @return {Promise.<array>}      The set of values for each key, in order.
+     *                                Empty array for each key without a match.
+     */
+    getMany(keys) {
+        return new Promise((resolve, reject) => {
+            const pipeline = this._redis.pipeline();
 
-                    // IMPLEMENTATION TODO: delete key from store
+            keys.forEach(key => pipeline.zrange(this._prefix + key, 0, -1));
 
-                    resolve({ affected: 1, size: 0 });
-                } else { // set contains val and others
-                    values.splice(idx, 1);
+            execPipeline(pipeline).then(resolve).catch(reject);
+        });
+    }
 
-                    // IMPLEMENTATION TODO: update key with values array
+    /**
+     * Add values to the sets of values associated with keys, in a single round trip
+     * per 1000 adds.
+     *
+     * @param  {array}           entries Each {@link AdapterEntry} to add, in order
+     * @return {Promise.<array>}         The {@link SetOpResult} of each add, in order
+     */
+    addMany(entries) {
+        return new Promise((resolve, reject) => {
+            let results = [];
+
+            // runs are sent one after another, since a later run may add to the same sets.
+            // sent with EVAL rather than as a defined command since the number of keys varies.
 
-                    resolve({ affected: 1, size: values.length });
+            const nextRun = i => {
+                if (i >= entries.length) {
+                    return results;
                 }
 
-                return;
-            }
+                const run = entries.slice(i, i + SCRIPT_BATCH_SIZE),
+                    keys = run.map(entry => this._prefix + entry.key),
+                    vals = run.map(entry => entry.val);
+
+                return this._redis.eval(ADD_MANY_SCRIPT, keys.length, ...keys, ...vals).then(runResults => {
+                    results = results.concat(toSetOpResults(runResults));
+                    return nextRun(i + run.length);
+                });
+            };
+
+            Promise.resolve(0).then(nextRun).then(resolve).catch(reject);
+        });
+    }
+
+    /**
+     * Delete values from the sets of values associated with keys.
+     *
+     * Deletes by predicate generator run one at a time (see `delete()`), and each run of
+     * other deletes between them in a single round trip per 1000 deletes.
+     *
+     * @param  {array}           entries Each {@link AdapterEntry} to delete (as per `delete()`), in order
+     * @return {Promise.<array>}         The {@link SetOpResult} of each delete, in order
+     */
+    deleteMany(entries) {
+        return new Promise((resolve, reject) => {
+            let results = [],
+                i = 0;
+
+            const nextRun = () => {
+                if (i >= entries.length) {
+                    return results;
+                }
+
+                if (isFunction(entries[i].val)) {
+                    const entry = entries[i++];
+
+                    return this.delete(entry.key, entry.val).then(result => {
+                        results.push(result);
+                        return nextRun();
+                    });
+                }
+
+                const keys = [],
+                    args = [];
 
-            resolve({ affected: 0, size: values.length });
+                for (; i < entries.length && !isFunction(entries[i].val) && keys.length < SCRIPT_BATCH_SIZE; i++) {
+                    keys.push(this._prefix + entries[i].key);
+                    args.push(entries[i].val == null ? '0' : '1', entries[i].val == null ? '' : entries[i].val); // '0' deletes the full set
+                }
+
+                return this._redis.eval(REMOVE_MANY_SCRIPT, keys.length, ...keys, ...args).then(runResults => {
+                    results = results.concat(toSetOpResults(runResults));
+                    return nextRun();
+                });
+            };
+
+            Promise.resolve().then(nextRun).then(resolve).catch(reject);
         });
     }
 
     /**
      * Clear store.
      *
+     * Only keys under this adapter's key prefix are deleted.
+     *
      * @return {Promise.<undefined>}
      */
     clear() {
         return new Promise((resolve, reject) => {
+            const deletes = [];
 
-            // IMPLEMENTATION TODO: clear store
-
-            resolve();
+            this._scan(keys => deletes.push(this._redis.del(...keys)))
+                .then(() => Promise.all(deletes))
+                .then(() => resolve())
+                .catch(reject);
         });
     }
 
@@ -160,12 +341,123 @@ class RedisAdapter {
      */
     each(iteratee) {
         return new Promise((resolve, reject) => {
+            const seen = new Set(), // SCAN may return a key more than once
+                batches = [];
+
+            this._scan(keys => {
+                keys = keys.filter(key => !seen.has(key));
+                keys.forEach(key => seen.add(key));
+
+                const pipeline = this._redis.pipeline();
+
+                keys.forEach(key => pipeline.zrange(key, 0, -1));
+
+                batches.push(pipeline.exec().then(results => results.forEach((result, i) => {
+                    if (result[0]) {
+                        throw result[0];
+                    }
+
+                    if (result[1].length) { // set may have been emptied since it was scanned
+                        iteratee(result[1], keys[i].substr(this._prefix.length));
+                    }
+                })));
+            }).then(() => Promise.all(batches)).then(() => resolve()).catch(reject);
+        });
+    }
+
+    /**
+     * Close the connection to Redis.
+     *
+     * @return {Promise.<undefined>}
+     */
+    quit() {
+        return new Promise((resolve, reject) => {
+            this._redis.quit().then(() => resolve()).catch(reject);
+        });
+    }
+
+    /**
+     * Call a function on each batch of Redis keys under this adapter's key prefix.
+     *
+     * @private
+     * @param  {function}            onKeys Function that receives an array of (prefixed) keys
+     * @return {Promise.<undefined>}        Resolves once all keys have been scanned
+     */
+    _scan(onKeys) {
+        return new Promise((resolve, reject) => {
+            const stream = this._redis.scanStream({ match: `${escapeGlob(this._prefix)}*`, count: SCAN_COUNT });
 
-            // IMPLEMENTATION TODO: iterate store
+            stream.on('data', keys => {
+                if (keys.length) {
+                    onKeys(keys);
+                }
+            });
 
-            resolve();
+            stream.on('end', resolve);
+            stream.on('error', reject);
         });
     }
 }
 
 module.exports = RedisAdapter;
+
+/**
+ * Escape Redis glob-style pattern characters in a string.
+ *
+ * @private
+ * @function escapeGlob
+ * @param  {string} str String to escape
+ * @return {string}     String matching itself literally in a Redis pattern
+ */
+function escapeGlob(str) {
+    return str.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert what a batch script reports to SetOpResults.
+ *
+ * @private
+ * @function toSetOpResults
+ * @param  {string} report Affected count and size of each operation, space-delimited
+ * @return {array}         The {@link SetOpResult} of each operation
+ */
+function toSetOpResults(report) {
+    const results = report.split(' ').map(Number),
+        setOpResults = [];
+
+    for (let i = 0; i < results.length; i += 2) {
+        setOpResults.push({ affected: results[i], size: results[i + 1] });
+    }
+
+    return setOpResults;
+}
+
+/**
+ * Run the commands of a pipeline.
+ *
+ * @private
+ * @function execPipeline
+ * @param  {Pipeline}        pipeline ioredis pipeline
+ * @return {Promise.<array>}          The result of each command, in order.
+ *                                    Rejects with the error of the first command that failed.
+ */
+function execPipeline(pipeline) {
+    return pipeline.exec().then(results => results.map(result => {
+        if (result[0]) {
+            throw result[0];
+        }
+
+        return result[1];
+    }));
+}
+
+/**
+ * @typedef {object} RedisAdapterOpts
+ * @property {string} [host]      Redis host (default 'localhost')
+ * @property {number} [port]      Redis port (default 6379)
+ * @property {string} [password]  Redis password
+ * @property {number} [db]        Redis database index (default 0)
+ * @property {string} [keyPrefix] Prefix for every Redis key written by the adapter (default 'anagram:').
+ *                                Lets several dictionaries share a Redis instance.
+ * @property {object} [client]    An existing ioredis (or compatible) client to use instead of connecting
+ */
@@ -0,0 +1,453 @@
+'use strict';
+
+const path = require('path');
+const isFunction = require('lodash.isfunction');
+const sqlite3 = require('sqlite3');
+
+const util = require('../util/util');
+
+const DEFAULT_FILENAME = 'data/anagrams.sqlite';
+const DEFAULT_TABLE = 'anagram_sets';
+const MAX_KEYS_PER_SELECT = 500; // keys per query in getMany(), well under SQLite's limit on parameters
+
+/**
+ * An AnagramService adapter using SQLite.
+ *
+ * Suited to single-server deployments that need persistence without running a
+ * database server. Each key/set pair is a row keyed by the key, with the set of
+ * values stored as a JSON array alongside the key length (in characters, as per
+ * `util.graphemes()`) and set size. Both of the latter are indexed so that queries
+ * by word length or cardinality (see `eachByLength()` and `eachByCardinality()`)
+ * don't need to scan every row.
+ *
+ * Each operation runs in its own transaction on a single connection, one at a
+ * time, so the read-then-write logic of `add()` and `delete()` is atomic. Batches
+ * (see `addMany()` and `deleteMany()`) run in a single transaction, which saves a
+ * commit per value.
+ *
+ * @implements {Adapter}
+ */
+class SqliteAdapter {
+    /**
+     * @param {SqliteAdapterOpts} [opts] Storage options
+     */
+    constructor(opts) {
+        opts = opts || {};
+
+        const filename = opts.filename || DEFAULT_FILENAME;
+
+        this._table = opts.table || DEFAULT_TABLE;
+
+        if (!/^\w+$/.test(this._table)) {
+            throw `Invalid table name "${this._table}"`;
+        }
+
+        if (filename !== ':memory:') {
+            util.makeDir(path.dirname(filename));
+        }
+
+        this._db = new sqlite3.Database(filename);
+
+        // operations are chained on this promise so that only one runs at a time
+
+        this._queue = exec(this._db, `
+            PRAGMA journal_mode = WAL;
+            PRAGMA synchronous = NORMAL;
+            CREATE TABLE IF NOT EXISTS ${this._table} (
+                key TEXT PRIMARY KEY,
+                key_length INTEGER NOT NULL,
+                size INTEGER NOT NULL,
+                vals TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ${this._table}_key_length ON ${this._table} (key_length);
+            CREATE INDEX IF NOT EXISTS ${this._table}_size ON ${this._table} (size);`);
+    }
+
+    /**
+     * Get the set of values for a key.
+     *
+     * @param  {string}          key The key for which to get corresponding values
+     * @return {Promise.<array>}     The corresponding set of values.
+     *                               Empty array if no match for key.
+     */
+    get(key) {
+        return this._enqueue(() => this._values(key));
+    }
+
+    /**
+     * Add a value to the set of values associated with a key.
+     *
+     * The set is kept free of duplicates based on strict equality.
+     *
+     * @param  {string}                key The key for which to add the value
+     * @param  {any}                   val The value to add
+     * @return {Promise.<SetOpResult>}     Information about the add operation
+     */
+    add(key, val) {
+        return this._transaction(() => this._add(key, val));
+    }
+
+    /**
+     * Delete a value from the set of values associated with a key.
+     *
+     * @param  {string}                key   The key for which to delete the value
+     * @param  {(any|function)}        [val] The value to delete or a predicate generator
+     *                                       function that returns (based on the current
+     *                                       set of values) a predicate for matching
+     *                                       values to KEEP.
+     *                                       If omitted (ie, `undefined` or `null`),
+     *                                       delete full set of values for key.
+     * @return {Promise.<SetOpResult>}       Information about the delete operation
+     */
+    delete(key, val) {
+        return this._transaction(() => this._delete(key, val));
+    }
+
+    /**
+     * Get the sets of values for several keys, in one query per 500 keys.
+     *
+     * @param  {array}           keys The keys for which to get corresponding values
+     * @return {Promise.<array>}      The set of values for each key, in order.
+     *                                Empty array for each key without a match.
+     */
+    getMany(keys) {
+        return this._enqueue(() => {
+            const sets = new Map(); // key => values
+
+            let chunks = Promise.resolve();
+
+            for (let i = 0; i < keys.length; i += MAX_KEYS_PER_SELECT) {
+                const chunk = keys.slice(i, i + MAX_KEYS_PER_SELECT);
+
+                chunks = chunks.then(() => allRows(this._db, `SELECT key, vals FROM ${this._table} WHERE key IN (${chunk.map(() => '?').join()})`, chunk))
+                    .then(rows => rows.forEach(row => sets.set(row.key, JSON.parse(row.vals))));
+            }
+
+            return chunks.then(() => keys.map(key => sets.get(key) || []));
+        });
+    }
+
+    /**
+     * Add values to the sets of values associated with keys, in a single transaction.
+     *
+     * @param  {array}           entries Each {@link AdapterEntry} to add, in order
+     * @return {Promise.<array>}         The {@link SetOpResult} of each add, in order
+     */
+    addMany(entries) {
+        return this._transaction(() => inOrder(entries, entry => this._add(entry.key, entry.val)));
+    }
+
+    /**
+     * Delete values from the sets of values associated with keys, in a single transaction.
+     *
+     * @param  {array}           entries Each {@link AdapterEntry} to delete (as per `delete()`), in order
+     * @return {Promise.<array>}         The {@link SetOpResult} of each delete, in order
+     */
+    deleteMany(entries) {
+        return this._transaction(() => inOrder(entries, entry => this._delete(entry.key, entry.val)));
+    }
+
+    /**
+     * Clear store.
+     *
+     * @return {Promise.<undefined>}
+     */
+    clear() {
+        return this._enqueue(() => run(this._db, `DELETE FROM ${this._table}`));
+    }
+
+    /**
+     * Call iteratee on each key/set pair in the store.
+     *
+     * Rows are streamed from the database rather than read all at once.
+     *
+     * @param  {StoreIteratee}       iteratee A function that receives the set and key of each pair in the store
+     * @return {Promise.<undefined>}
+     */
+    each(iteratee) {
+        return this._each('', [], iteratee);
+    }
+
+    /**
+     * Call iteratee on each key/set pair in the store with a key length in a range.
+     *
+     * Uses the key length index, so only qualifying rows are read.
+     *
+     * @param  {number}              min      Minimum key length
+     * @param  {number}              max      Maximum key length (may be `Infinity`)
+     * @param  {StoreIteratee}       iteratee A function that receives the set and key of each qualifying pair
+     * @return {Promise.<undefined>}
+     */
+    eachByLength(min, max, iteratee) {
+        return this._each('WHERE key_length BETWEEN ? AND ?', [min, toSqlNumber(max)], iteratee);
+    }
+
+    /**
+     * Call iteratee on each key/set pair in the store with a set size in a range.
+     *
+     * Uses the set size index, so only qualifying rows are read.
+     *
+     * @param  {number}              min      Minimum set size
+     * @param  {number}              max      Maximum set size (may be `Infinity`)
+     * @param  {StoreIteratee}       iteratee A function that receives the set and key of each qualifying pair
+     * @return {Promise.<undefined>}
+     */
+    eachByCardinality(min, max, iteratee) {
+        return this._each('WHERE size BETWEEN ? AND ?', [min, toSqlNumber(max)], iteratee);
+    }
+
+    /**
+     * Close the database connection.
+     *
+     * @return {Promise.<undefined>}
+     */
+    close() {
+        return this._enqueue(() => new Promise((resolve, reject) => this._db.close(err => err ? reject(err) : resolve())));
+    }
+
+    /**
+     * Stream rows matching a condition to an iteratee.
+     *
+     * @private
+     * @param  {string}              where    SQL WHERE clause (or empty string)
+     * @param  {array}               params   Parameters for the WHERE clause
+     * @param  {StoreIteratee}       iteratee A function that receives the set and key of each row
+     * @return {Promise.<undefined>}
+     */
+    _each(where, params, iteratee) {
+        return this._enqueue(() => new Promise((resolve, reject) => {
+            let error;
+
+            this._db.each(`SELECT key, vals FROM ${this._table} ${where}`, params, (err, row) => {
+                if (err || error) {
+                    error = error || err;
+                    return;
+                }
+
+                try {
+                    iteratee(JSON.parse(row.vals), row.key);
+                } catch (ex) {
+                    error = ex;
+                }
+            }, err => error || err ? reject(error || err) : resolve());
+        }));
+    }
+
+    /**
+     * Add a value to a set, within a transaction.
+     *
+     * @private
+     * @param  {string}                key The key for which to add the value
+     * @param  {any}                   val The value to add
+     * @return {Promise.<SetOpResult>}     Information about the add operation
+     */
+    _add(key, val) {
+        return this._values(key).then(values => {
+            if (!values.length) {
+                // add new set
+                return this._write(key, [val]).then(() => ({ affected: 1, size: 1 }));
+            }
+
+            if (!values.includes(val)) { // avoid adding duplicate values
+                // add value to existing set
+                values.push(val);
+                return this._write(key, values).then(() => ({ affected: 1, size: values.length }));
+            }
+
+            return { affected: 0, size: values.length };
+        });
+    }
+
+    /**
+     * Delete a value from a set (as per `delete()`), within a transaction.
+     *
+     * @private
+     * @param  {string}                key   The key for which to delete the value
+     * @param  {(any|function)}        [val] The value to delete, a predicate generator, or nothing
+     * @return {Promise.<SetOpResult>}       Information about the delete operation
+     */
+    _delete(key, val) {
+        return this._values(key).then(values => {
+            if (val == null) { // delete full set
+                return this._write(key, []).then(() => ({ affected: values.length, size: 0 }));
+            }
+
+            if (isFunction(val)) { // val is a predicate generator
+                const predicate = val(values);
+
+                if (!isFunction(predicate)) {
+                    throw 'Predicate generator did not return a predicate';
+                }
+
+                const filteredValues = values.filter(predicate);
+
+                if (filteredValues.length === values.length) { // nothing to delete
+                    return { affected: 0, size: values.length };
+                }
+
+                return this._write(key, filteredValues).then(() => ({ affected: values.length - filteredValues.length, size: filteredValues.length }));
+            }
+
+            const idx = values.indexOf(val);
+
+            if (idx > -1) { // val is in the set
+                values.splice(idx, 1);
+                return this._write(key, values).then(() => ({ affected: 1, size: values.length }));
+            }
+
+            return { affected: 0, size: values.length };
+        });
+    }
+
+    /**
+     * Read the set of values for a key.
+     *
+     * @private
+     * @param  {string}          key The key for which to read values
+     * @return {Promise.<array>}     The set of values. Empty array if no match for key.
+     */
+    _values(key) {
+        return getRow(this._db, `SELECT vals FROM ${this._table} WHERE key = ?`, [key]).then(row => row ? JSON.parse(row.vals) : []);
+    }
+
+    /**
+     * Write the set of values for a key, deleting the row if the set is empty.
+     *
+     * @private
+     * @param  {string}              key    The key for which to write values
+     * @param  {array}               values The set of values
+     * @return {Promise.<undefined>}
+     */
+    _write(key, values) {
+        if (!values.length) {
+            return run(this._db, `DELETE FROM ${this._table} WHERE key = ?`, [key]);
+        }
+
+        return run(this._db, `INSERT OR REPLACE INTO ${this._table} (key, key_length, size, vals) VALUES (?, ?, ?, ?)`, [key, util.graphemes(key).length, values.length, JSON.stringify(values)]);
+    }
+
+    /**
+     * Run an operation once all previously queued operations have finished.
+     *
+     * @private
+     * @param  {function} operation Function returning a promise (or value)
+     * @return {Promise}            Settles with the result of `operation`
+     */
+    _enqueue(operation) {
+        const result = this._queue.then(operation);
+
+        this._queue = result.catch(() => {}); // a failed operation must not block the queue
+
+        return result;
+    }
+
+    /**
+     * Run an operation in a transaction, once all previously queued operations have finished.
+     *
+     * The transaction is rolled back if the operation fails.
+     *
+     * @private
+     * @param  {function} operation Function returning a promise (or value)
+     * @return {Promise}            Settles with the result of `operation`
+     */
+    _transaction(operation) {
+        return this._enqueue(() => run(this._db, 'BEGIN IMMEDIATE')
+            .then(operation)
+            .then(result => run(this._db, 'COMMIT').then(() => result))
+            .catch(ex => run(this._db, 'ROLLBACK').then(() => Promise.reject(ex))));
+    }
+}
+
+module.exports = SqliteAdapter;
+
+/**
+ * Run a SQL statement that returns no rows.
+ *
+ * @private
+ * @function run
+ * @param  {Database}            db       The sqlite3 database
+ * @param  {string}              sql      SQL statement
+ * @param  {array}               [params] Statement parameters
+ * @return {Promise.<undefined>}
+ */
+function run(db, sql, params) {
+    return new Promise((resolve, reject) => db.run(sql, params || [], err => err ? reject(err) : resolve()));
+}
+
+/**
+ * Run a SQL query and get its first row.
+ *
+ * @private
+ * @function getRow
+ * @param  {Database}         db       The sqlite3 database
+ * @param  {string}           sql      SQL query
+ * @param  {array}            [params] Query parameters
+ * @return {Promise.<object>}          The first row, or `undefined` if none
+ */
+function getRow(db, sql, params) {
+    return new Promise((resolve, reject) => db.get(sql, params || [], (err, row) => err ? reject(err) : resolve(row)));
+}
+
+/**
+ * Run a SQL query and get all of its rows.
+ *
+ * @private
+ * @function allRows
+ * @param  {Database}        db       The sqlite3 database
+ * @param  {string}          sql      SQL query
+ * @param  {array}           [params] Query parameters
+ * @return {Promise.<array>}          The rows
+ */
+function allRows(db, sql, params) {
+    return new Promise((resolve, reject) => db.all(sql, params || [], (err, rows) => err ? reject(err) : resolve(rows)));
+}
+
+/**
+ * Run an operation on each item of an array, one after another.
+ *
+ * @private
+ * @function inOrder
+ * @param  {array}           items     Items
+ * @param  {function}        operation Receives an item and returns a promise
+ * @return {Promise.<array>}           The result of each operation, in order
+ */
+function inOrder(items, operation) {
+    const results = [];
+
+    return items.reduce((promise, item) => promise.then(() => operation(item)).then(result => results.push(result)), Promise.resolve())
+        .then(() => results);
+}
+
+/**
+ * Run one or more semicolon-delimited SQL statements without parameters.
+ *
+ * @private
+ * @function exec
+ * @param  {Database}            db  The sqlite3 database
+ * @param  {string}              sql SQL statements
+ * @return {Promise.<undefined>}
+ */
+function exec(db, sql) {
+    return new Promise((resolve, reject) => db.exec(sql, err => err ? reject(err) : resolve()));
+}
+
+/**
+ * Convert a range bound to a number SQLite can compare against.
+ *
+ * @private
+ * @function toSqlNumber
+ * @param  {number} num Range bound, possibly `Infinity`
+ * @return {number}     `num`, or the largest safe integer if `num` is `Infinity`
+ */
+function toSqlNumber(num) {
+    return num === Infinity ? Number.MAX_SAFE_INTEGER : num;
+}
+
+/**
+ * @typedef {object} SqliteAdapterOpts
+ * @property {string} [filename] Path to the database file (default 'data/anagrams.sqlite').
+ *                               Its directory is created if it does not exist.
+ *                               Use ':memory:' for a non-persistent database.
+ * @property {string} [table]    Name of the table holding key/set pairs (default 'anagram_sets').
+ *                               Lets several dictionaries share a database file.
+ */
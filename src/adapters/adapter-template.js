@@ -15,11 +15,41 @@ const isFunction = require('lodash.isfunction');
  * managing the set of values per key, querying for a set by key, 
  * and iterating key/set pairs.
  *
+ * AnagramService answers length and cardinality queries from indexes of anagram sets by
+ * key length and set size, which it keeps in memory and updates as it adds and deletes
+ * words. It rebuilds them from the store on `recount()` or on first use, via `each()`
+ * unless the adapter persists indexes of its own and implements the following optional
+ * methods (see SqliteAdapter), in which case a rebuild reads only the sets it needs:
+ *
+ *   eachByLength(min, max, iteratee)      Call iteratee on each key/set pair with a
+ *                                         key length from min to max (inclusive)
+ *   eachByCardinality(min, max, iteratee) Call iteratee on each key/set pair with a
+ *                                         set size from min to max (inclusive)
+ *
+ * Both return a Promise that resolves once iteration is done. max may be `Infinity`.
+ *
+ * It may also implement batch versions of get, add and delete, which AnagramService uses
+ * for bulk work (eg, adding a word list) so that a networked store needn't make a round
+ * trip per key (see RedisAdapter and SqliteAdapter):
+ *
+ *   getMany(keys)          Resolve the set of values for each key, in order
+ *   addMany(entries)       Add each entry's val to the set for its key, resolving a
+ *                          SetOpResult per entry, in order
+ *   deleteMany(entries)    Delete each entry's val (as per delete()) from the set for its
+ *                          key, resolving a SetOpResult per entry, in order
+ *
+ * Entries are {@link AdapterEntry} objects, and the results of addMany() and deleteMany()
+ * must be as if the entries were applied one after another. AnagramService falls back to
+ * the single-key methods for any batch method an adapter lacks (see withBatchOps.js).
+ *
  * IMPLEMENTATION TODO: update description below to "An AnagramService adapter using ..." 
  * that explains pros/cons of specific underlying store
  *
  * IMPLEMENTATION TODO: change @interface tag below to @implements {Adapter}
  *
+ * IMPLEMENTATION TODO: add test/adapters/{{underlying store}}Adapter.test.js that runs
+ * the adapter through the conformance suite in test/adapters/conformance.js
+ *
  */
 
 /**
@@ -198,6 +228,13 @@ module.exports = Adapter; // IMPLEMENTATION TODO: rename Adapter to {{underlying
  * @param {string} key The key of the current key/set pair
  */
 
+/**
+ * @typedef {object} AdapterEntry
+ * @property {string}         key   The key of the set to change
+ * @property {(any|function)} [val] The value to add or delete, or a predicate generator
+ *                                  function for deletes (see delete())
+ */
+
 /**
  * @typedef {object} SetOpResult
  * @property {number} affected Number of values in the relevant set that were
@@ -0,0 +1,58 @@
+'use strict';
+
+const isFunction = require('lodash.isfunction');
+
+const BATCH_OPERATIONS = ['getMany', 'addMany', 'deleteMany'];
+
+/**
+ * Give an adapter the optional batch operations (`getMany()`, `addMany()` and `deleteMany()`,
+ * see adapter-template.js), falling back to its single-key operations for any it lacks.
+ *
+ * <pre><code>const adapter = withBatchOps(new MemoryAdapter());
+ * adapter.addMany([{ key: 'ader', val: 'read' }, { key: 'act', val: 'cat' }]); // resolves [{ affected: 1, size: 1 }, { affected: 1, size: 1 }]</code></pre>
+ *
+ * The fallbacks run the operations on different keys concurrently and those on the same key
+ * one after another, so the results are as if the batch were applied in order. The wrapper
+ * otherwise has exactly the methods of the adapter.
+ *
+ * @param  {Adapter} adapter Adapter to wrap
+ * @return {Adapter}         The wrapped adapter
+ */
+module.exports = function withBatchOps(adapter) {
+    const fallbacks = {
+        getMany: keys => Promise.all(keys.map(key => adapter.get(key))),
+        addMany: entries => inKeyOrder(entries, entry => adapter.add(entry.key, entry.val)),
+        deleteMany: entries => inKeyOrder(entries, entry => adapter.delete(entry.key, entry.val))
+    };
+
+    return new Proxy(adapter, {
+        get(target, prop) {
+            const value = target[prop];
+
+            return BATCH_OPERATIONS.indexOf(prop) !== -1 && !isFunction(value) ? fallbacks[prop] : value;
+        }
+    });
+};
+
+/**
+ * Run an operation on each entry of a batch, waiting for the operations on an entry's key
+ * that come before it.
+ *
+ * @private
+ * @function inKeyOrder
+ * @param  {array}           entries   Batch of {@link AdapterEntry}
+ * @param  {function}        operation Receives an entry and returns a promise
+ * @return {Promise.<array>}           The result of each operation, in the order of the entries.
+ *                                     Rejects if any operation fails.
+ */
+function inKeyOrder(entries, operation) {
+    const lastOps = new Map(); // key => promise of the last operation on the key
+
+    return Promise.all(entries.map(entry => {
+        const result = (lastOps.get(entry.key) || Promise.resolve()).then(() => operation(entry));
+
+        lastOps.set(entry.key, result.catch(() => {})); // a failed operation must not hold up the rest
+
+        return result;
+    }));
+}
@@ -0,0 +1,49 @@
+'use strict';
+
+const path = require('path');
+const program = require('commander');
+
+const startServer = require('./server');
+const FileAdapter = require('./adapters/FileAdapter');
+const Logger = require('./logging/Logger');
+const RotatingFileSink = require('./logging/RotatingFileSink');
+
+program
+    .option('-p, --port <n>', 'A port number', parseInt)
+    .option('-d, --data-dir <path>', 'Directory for dictionary files (default "data")')
+    .option('--preload <path>', 'A words file to load on startup')
+    .option('--locale <tag>', 'A language tag (eg, "de") for casing words')
+    .option('--fold-diacritics', 'Treat words that differ only by diacritics as anagrams')
+    .option('--api-keys <path>', 'A JSON file of API keys allowed to change dictionaries')
+    .option('--rate-limit <n>', 'Requests per minute per client (default 600, 0 for no limit)', parseInt)
+    .option('--scan-rate-limit <n>', 'Dictionary scans per minute per client (default 30)', parseInt)
+    .option('--trust-proxy', 'Identify clients by the X-Forwarded-For header')
+    .option('--max-upload-size <bytes>', 'Largest word list upload in bytes (default 100 MB)', parseInt)
+    .option('--log-level <level>', 'Least severe level to log: error, warn, info (default) or debug')
+    .option('--log-bodies', 'Log request and response bodies')
+    .option('--log-file <path>', 'Log to a file, rotated by size, rather than stdout')
+    .parse(process.argv);
+
+const dataDir = program.dataDir || 'data';
+
+// the server and its adapters share a logger, so that adapters' failures (eg, to compact) are logged alongside requests
+
+const logger = new Logger({
+    level: program.logLevel,
+    logBodies: program.logBodies,
+    sink: program.logFile ? new RotatingFileSink({ path: program.logFile }) : undefined
+});
+
+startServer({
+    adapter: new FileAdapter({ dir: dataDir, logger }),
+    createAdapter: name => new FileAdapter({ dir: path.join(dataDir, 'dictionaries', name), logger }), // for named dictionaries
+    catalog: path.join(dataDir, 'dictionaries.json'),
+    port: program.port || 3000,
+    locale: program.locale,
+    foldDiacritics: program.foldDiacritics,
+    apiKeys: program.apiKeys,
+    rateLimit: { lookup: program.rateLimit, scan: program.scanRateLimit, trustProxy: program.trustProxy },
+    maxUploadSize: program.maxUploadSize,
+    logger,
+    preload: program.preload // FileAdapter persists words across restarts, so preload only when seeding
+});
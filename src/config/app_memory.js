@@ -5,10 +5,29 @@ const program = require('commander');
 const startServer = require('./server');
 const MemoryAdapter = require('./adapters/MemoryAdapter');
 
-program.option('-p, --port <n>', 'A port number', parseInt).parse(process.argv);
+program
+    .option('-p, --port <n>', 'A port number', parseInt)
+    .option('--locale <tag>', 'A language tag (eg, "de") for casing words')
+    .option('--fold-diacritics', 'Treat words that differ only by diacritics as anagrams')
+    .option('--api-keys <path>', 'A JSON file of API keys allowed to change dictionaries')
+    .option('--rate-limit <n>', 'Requests per minute per client (default 600, 0 for no limit)', parseInt)
+    .option('--scan-rate-limit <n>', 'Dictionary scans per minute per client (default 30)', parseInt)
+    .option('--trust-proxy', 'Identify clients by the X-Forwarded-For header')
+    .option('--max-upload-size <bytes>', 'Largest word list upload in bytes (default 100 MB)', parseInt)
+    .option('--log-level <level>', 'Least severe level to log: error, warn, info (default) or debug')
+    .option('--log-bodies', 'Log request and response bodies')
+    .option('--log-file <path>', 'Log to a file, rotated by size, rather than stdout')
+    .parse(process.argv);
 
 startServer({
     adapter: new MemoryAdapter(),
+    createAdapter: () => new MemoryAdapter(), // for named dictionaries
     port: program.port || 3000,
+    locale: program.locale,
+    foldDiacritics: program.foldDiacritics,
+    apiKeys: program.apiKeys,
+    rateLimit: { lookup: program.rateLimit, scan: program.scanRateLimit, trustProxy: program.trustProxy },
+    maxUploadSize: program.maxUploadSize,
+    log: { level: program.logLevel, bodies: program.logBodies, file: program.logFile },
     preload: 'src/config/dictionary.txt' // preload since we're using MemoryAdapter
 });
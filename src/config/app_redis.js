@@ -5,9 +5,46 @@ const program = require('commander');
 const startServer = require('./server');
 const RedisAdapter = require('./adapters/RedisAdapter');
 
-program.option('-p, --port <n>', 'A port number', parseInt).parse(process.argv);
+program
+    .option('-p, --port <n>', 'A port number', parseInt)
+    .option('--redis-host <host>', 'Redis host (default localhost)')
+    .option('--redis-port <n>', 'Redis port (default 6379)', parseInt)
+    .option('--key-prefix <prefix>', 'Prefix for Redis keys (default "anagram:")')
+    .option('--preload <path>', 'A words file to load on startup')
+    .option('--catalog <path>', 'A file in which to remember named dictionaries across restarts')
+    .option('--locale <tag>', 'A language tag (eg, "de") for casing words')
+    .option('--fold-diacritics', 'Treat words that differ only by diacritics as anagrams')
+    .option('--api-keys <path>', 'A JSON file of API keys allowed to change dictionaries')
+    .option('--rate-limit <n>', 'Requests per minute per client (default 600, 0 for no limit)', parseInt)
+    .option('--scan-rate-limit <n>', 'Dictionary scans per minute per client (default 30)', parseInt)
+    .option('--trust-proxy', 'Identify clients by the X-Forwarded-For header')
+    .option('--max-upload-size <bytes>', 'Largest word list upload in bytes (default 100 MB)', parseInt)
+    .option('--log-level <level>', 'Least severe level to log: error, warn, info (default) or debug')
+    .option('--log-bodies', 'Log request and response bodies')
+    .option('--log-file <path>', 'Log to a file, rotated by size, rather than stdout')
+    .parse(process.argv);
+
+const keyPrefix = program.keyPrefix || 'anagram:';
+
+function createAdapter(prefix) {
+    return new RedisAdapter({
+        host: program.redisHost,
+        port: program.redisPort,
+        keyPrefix: prefix
+    });
+}
 
 startServer({
-    adapter: new RedisAdapter(),
+    adapter: createAdapter(keyPrefix),
+    // named dictionaries get prefixes like "anagram.spanish:", which the default dictionary's "anagram:" doesn't match
+    createAdapter: name => createAdapter(`${keyPrefix.replace(/:$/, '')}.${name}:`),
+    catalog: program.catalog,
     port: program.port || 3000,
+    locale: program.locale,
+    foldDiacritics: program.foldDiacritics,
+    apiKeys: program.apiKeys,
+    rateLimit: { lookup: program.rateLimit, scan: program.scanRateLimit, trustProxy: program.trustProxy },
+    maxUploadSize: program.maxUploadSize,
+    log: { level: program.logLevel, bodies: program.logBodies, file: program.logFile },
+    preload: program.preload // Redis persists words across restarts, so preload only when seeding
 });
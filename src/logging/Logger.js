@@ -0,0 +1,155 @@
+'use strict';
+
+const StreamSink = require('./StreamSink');
+
+const LEVELS = ['error', 'warn', 'info', 'debug']; // from most to least severe
+
+/**
+ * Writes log entries as JSON lines, eg:
+ *
+ * <pre><code>{"time":"2017-10-02T17:04:05.123Z","level":"info","msg":"request","reqId":"8c1d...","method":"GET",...}</code></pre>
+ *
+ * Entries less severe than the logger's level are dropped. Each entry is written to a
+ * sink, ie, an object with a `write(line)` method and an optional `close()` method
+ * (see StreamSink and RotatingFileSink), so that entries can be fed to files, log
+ * shippers or analytics engines alike.
+ */
+class Logger {
+    /**
+     * @param {LoggerOpts} [opts] Options
+     */
+    constructor(opts) {
+        opts = opts || {};
+
+        const level = opts.level || 'info';
+
+        if (!Logger.isLevel(level)) {
+            throw `Invalid log level "${level}". Use one of: ${LEVELS.join(', ')}`;
+        }
+
+        this._level = LEVELS.indexOf(level);
+        this._sink = opts.sink || new StreamSink(process.stdout);
+        this._logBodies = !!opts.logBodies;
+    }
+
+    /**
+     * Test whether a string is a log level.
+     *
+     * @param  {string}  level String to test
+     * @return {boolean}       `true` if `level` is a log level.
+     *                         `false` otherwise.
+     */
+    static isLevel(level) {
+        return LEVELS.indexOf(level) !== -1;
+    }
+
+    /**
+     * Test whether entries of a level are written.
+     *
+     * @param  {string}  level Log level
+     * @return {boolean}       `true` if entries of `level` are written.
+     *                         `false` otherwise.
+     */
+    isEnabled(level) {
+        return LEVELS.indexOf(level) <= this._level && Logger.isLevel(level);
+    }
+
+    /**
+     * Test whether request and response bodies should be logged.
+     *
+     * @return {boolean} `true` if bodies should be logged.
+     *                   `false` otherwise.
+     */
+    logsBodies() {
+        return this._logBodies;
+    }
+
+    /**
+     * Write an entry.
+     *
+     * Fields named `error` may hold thrown values of any kind, including strings and
+     * Error objects.
+     *
+     * @param  {string}    level    Log level
+     * @param  {string}    msg      What happened
+     * @param  {object}    [fields] More properties of the entry
+     * @return {undefined}
+     */
+    log(level, msg, fields) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const entry = Object.assign({ time: new Date().toISOString(), level, msg }, fields);
+
+        if (entry.error instanceof Error) {
+            entry.error = entry.error.stack || entry.error.message;
+        } else if (entry.error != null && typeof entry.error === 'object') {
+            entry.error = String(entry.error.message || entry.error);
+        }
+
+        this._sink.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    /**
+     * Write an `error` entry (see `log()`).
+     *
+     * @param  {string}    msg      What happened
+     * @param  {object}    [fields] More properties of the entry
+     * @return {undefined}
+     */
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    /**
+     * Write a `warn` entry (see `log()`).
+     *
+     * @param  {string}    msg      What happened
+     * @param  {object}    [fields] More properties of the entry
+     * @return {undefined}
+     */
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    /**
+     * Write an `info` entry (see `log()`).
+     *
+     * @param  {string}    msg      What happened
+     * @param  {object}    [fields] More properties of the entry
+     * @return {undefined}
+     */
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    /**
+     * Write a `debug` entry (see `log()`).
+     *
+     * @param  {string}    msg      What happened
+     * @param  {object}    [fields] More properties of the entry
+     * @return {undefined}
+     */
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    /**
+     * Flush and release the sink.
+     *
+     * @return {Promise.<undefined>}
+     */
+    close() {
+        return Promise.resolve(this._sink.close ? this._sink.close() : undefined);
+    }
+}
+
+module.exports = Logger;
+
+/**
+ * @typedef {object} LoggerOpts
+ * @property {string}  [level]     Least severe level to write: `error`, `warn`, `info` (default) or `debug`
+ * @property {object}  [sink]      Where to write entries (default a StreamSink on stdout)
+ * @property {boolean} [logBodies] Whether request and response bodies should be logged (default false)
+ */
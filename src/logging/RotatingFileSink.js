@@ -0,0 +1,114 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const util = require('../util/util');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // bytes
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * A log sink that appends lines to a file, rotating it once it grows past a size.
+ *
+ * On rotation, `app.log` is renamed `app.log.1`, `app.log.1` is renamed `app.log.2`, and
+ * so on, keeping at most `maxFiles` rotated files, and a new `app.log` is started. Lines
+ * still being flushed to the old file when it's renamed land in the renamed file.
+ */
+class RotatingFileSink {
+    /**
+     * @param {RotatingFileSinkOpts} opts Options
+     */
+    constructor(opts) {
+        if (!opts || !opts.path) {
+            throw 'No log file specified';
+        }
+
+        this._path = opts.path;
+        this._maxSize = opts.maxSize || DEFAULT_MAX_SIZE;
+        this._maxFiles = opts.maxFiles == null ? DEFAULT_MAX_FILES : opts.maxFiles;
+
+        util.makeDir(path.dirname(this._path));
+
+        this._size = fs.existsSync(this._path) ? fs.statSync(this._path).size : 0;
+        this._stream = this._open();
+    }
+
+    /**
+     * Write a line, rotating the file first if the line would take it past the maximum size.
+     *
+     * @param  {string}    line Line to write, including its line break
+     * @return {undefined}
+     */
+    write(line) {
+        const size = Buffer.byteLength(line);
+
+        if (this._size && this._size + size > this._maxSize) {
+            this._rotate();
+        }
+
+        this._size += size;
+        this._stream.write(line);
+    }
+
+    /**
+     * Flush and close the file.
+     *
+     * @return {Promise.<undefined>}
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            this._stream.end(err => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Open the file for appending.
+     *
+     * @private
+     * @return {stream.Writable} Stream that appends to the file
+     */
+    _open() {
+        // open synchronously so that the file exists (and can be rotated) right away
+
+        const stream = fs.createWriteStream(null, { fd: fs.openSync(this._path, 'a') });
+
+        stream.on('error', err => console.error(`Log file error: ${err}`)); // nowhere else to report it
+
+        return stream;
+    }
+
+    /**
+     * Shift rotated files up by one, dropping the oldest, and start a new file.
+     *
+     * @private
+     * @return {undefined}
+     */
+    _rotate() {
+        this._stream.end();
+
+        if (this._maxFiles) {
+            for (let i = this._maxFiles - 1; i >= 1; i--) {
+                if (fs.existsSync(`${this._path}.${i}`)) {
+                    fs.renameSync(`${this._path}.${i}`, `${this._path}.${i + 1}`);
+                }
+            }
+
+            fs.renameSync(this._path, `${this._path}.1`);
+        } else {
+            fs.unlinkSync(this._path);
+        }
+
+        this._size = 0;
+        this._stream = this._open();
+    }
+}
+
+module.exports = RotatingFileSink;
+
+/**
+ * @typedef {object} RotatingFileSinkOpts
+ * @property {string} path       Path of the log file
+ * @property {number} [maxSize]  Size in bytes past which to rotate the file (default 10 MB)
+ * @property {number} [maxFiles] Number of rotated files to keep (default 5)
+ */
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * A log sink that writes lines to a writable stream (eg, `process.stdout`).
+ */
+class StreamSink {
+    /**
+     * @param {stream.Writable} stream Stream to write to
+     */
+    constructor(stream) {
+        if (!stream || typeof stream.write !== 'function') {
+            throw 'Invalid stream';
+        }
+
+        this._stream = stream;
+    }
+
+    /**
+     * Write a line.
+     *
+     * @param  {string}    line Line to write, including its line break
+     * @return {undefined}
+     */
+    write(line) {
+        this._stream.write(line);
+    }
+}
+
+module.exports = StreamSink;
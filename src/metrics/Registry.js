@@ -0,0 +1,317 @@
+'use strict';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+const VALID_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * A set of metrics, rendered in the Prometheus text exposition format
+ * (see https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ * <pre><code>const registry = new Registry();
+ * const requests = registry.counter('http_requests_total', 'HTTP requests', ['method']);
+ * requests.inc({ method: 'GET' });
+ * registry.render(); // '# HELP http_requests_total HTTP requests\n# TYPE http_requests_total counter\nhttp_requests_total{method="GET"} 1\n'</code></pre>
+ *
+ * Each metric keeps a series per distinct combination of label values.
+ */
+class Registry {
+    constructor() {
+        this._metrics = new Map(); // name => metric
+    }
+
+    /**
+     * Define a counter, ie, a value that only goes up (eg, number of requests).
+     *
+     * @param  {string}  name         Metric name
+     * @param  {string}  help         Description of the metric
+     * @param  {array}   [labelNames] Names of the labels that tell series apart
+     * @return {Counter}              The counter
+     */
+    counter(name, help, labelNames) {
+        return this._define(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * Define a gauge, ie, a value that goes up and down (eg, number of words).
+     *
+     * Gauges may be set as things change, or be given a function that collects their
+     * values when the registry is rendered.
+     *
+     * @param  {string}   name         Metric name
+     * @param  {string}   help         Description of the metric
+     * @param  {array}    [labelNames] Names of the labels that tell series apart
+     * @param  {function} [collect]    Returns the values of the gauge as an array of
+     *                                 `{ labels, value }` objects, on each render
+     * @return {Gauge}                 The gauge
+     */
+    gauge(name, help, labelNames, collect) {
+        return this._define(new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * Define a histogram, ie, counts of observed values (eg, latencies) in buckets by size.
+     *
+     * @param  {string}    name         Metric name
+     * @param  {string}    help         Description of the metric
+     * @param  {array}     [labelNames] Names of the labels that tell series apart
+     * @param  {array}     [buckets]    Upper bounds of the buckets, ascending. Defaults to
+     *                                  bounds suited to request latencies in seconds.
+     * @return {Histogram}              The histogram
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this._define(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format.
+     *
+     * @return {string} The metrics
+     */
+    render() {
+        return Array.from(this._metrics.values()).map(metric => [
+            `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+            `# TYPE ${metric.name} ${metric.type}`
+        ].concat(metric.lines()).join('\n') + '\n').join('');
+    }
+
+    /**
+     * Add a metric, which must have a unique name.
+     *
+     * @private
+     * @param  {object} metric Metric to add
+     * @return {object}        The metric
+     */
+    _define(metric) {
+        if (this._metrics.has(metric.name)) {
+            throw `Metric "${metric.name}" is already defined`;
+        }
+
+        this._metrics.set(metric.name, metric);
+
+        return metric;
+    }
+}
+
+module.exports = Registry;
+
+/**
+ * Base of the metric types, keeping a value per series.
+ *
+ * @private
+ */
+class Metric {
+    constructor(type, name, help, labelNames) {
+        if (!VALID_NAME.test(name)) {
+            throw `Metric name "${name}" is invalid`;
+        }
+
+        this.type = type;
+        this.name = name;
+        this.help = help || name;
+        this.labelNames = labelNames || [];
+        this._series = new Map(); // rendered labels => { labels, value }
+    }
+
+    /**
+     * Get a series, creating it if need be.
+     *
+     * @param  {object}   [labels] Label values of the series
+     * @param  {function} create   Returns the initial value of a new series
+     * @return {object}            The series, as `{ labels, value }` where `labels` are rendered
+     */
+    _get(labels, create) {
+        const key = formatLabels(this.labelNames, labels);
+
+        let series = this._series.get(key);
+
+        if (!series) {
+            series = { labels: key, value: create() };
+            this._series.set(key, series);
+        }
+
+        return series;
+    }
+
+    /**
+     * Render the samples of the metric.
+     *
+     * @return {array} Lines of samples
+     */
+    lines() {
+        return Array.from(this._series.values()).map(series => `${this.name}${series.labels} ${formatValue(series.value)}`);
+    }
+}
+
+/**
+ * @private
+ */
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * Add to the counter of a series.
+     *
+     * @param  {object}    [labels] Label values of the series
+     * @param  {number}    [n]      Amount to add (default 1)
+     * @return {undefined}
+     */
+    inc(labels, n) {
+        this._get(labels, () => 0).value += n == null ? 1 : n;
+    }
+}
+
+/**
+ * @private
+ */
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+
+        this._collect = collect;
+    }
+
+    /**
+     * Set the value of a series.
+     *
+     * @param  {object}    [labels] Label values of the series
+     * @param  {number}    value    Value
+     * @return {undefined}
+     */
+    set(labels, value) {
+        this._get(labels, () => 0).value = value;
+    }
+
+    lines() {
+        if (this._collect) {
+            this._series.clear();
+            this._collect().forEach(sample => this.set(sample.labels, sample.value));
+        }
+
+        return super.lines();
+    }
+}
+
+/**
+ * @private
+ */
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+
+        if ((labelNames || []).indexOf('le') !== -1) {
+            throw `Histogram "${name}" may not have an "le" label`;
+        }
+
+        this._buckets = (buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    }
+
+    /**
+     * Count a value in a series.
+     *
+     * @param  {object}    [labels] Label values of the series
+     * @param  {number}    value    Observed value
+     * @return {undefined}
+     */
+    observe(labels, value) {
+        const series = this._get(labels, () => ({ counts: this._buckets.map(() => 0), sum: 0, count: 0 })).value;
+
+        // counts are kept per bucket and summed up on render
+
+        const i = this._buckets.findIndex(bound => value <= bound);
+
+        if (i !== -1) {
+            series.counts[i]++;
+        }
+
+        series.sum += value;
+        series.count++;
+    }
+
+    lines() {
+        const lines = [];
+
+        this._series.forEach(series => {
+            const labels = series.labels.slice(1, -1); // without braces
+            let cumulative = 0;
+
+            const bucketLine = (bound, count) =>
+                `${this.name}_bucket{${labels ? `${labels},` : ''}le="${formatValue(bound)}"} ${count}`;
+
+            this._buckets.forEach((bound, i) => {
+                cumulative += series.value.counts[i];
+                lines.push(bucketLine(bound, cumulative));
+            });
+
+            lines.push(bucketLine(Infinity, series.value.count));
+            lines.push(`${this.name}_sum${series.labels} ${formatValue(series.value.sum)}`);
+            lines.push(`${this.name}_count${series.labels} ${series.value.count}`);
+        });
+
+        return lines;
+    }
+}
+
+/**
+ * Render label values, eg, `{method="GET",status="200"}`, or an empty string without labels.
+ *
+ * @private
+ * @function formatLabels
+ * @param  {array}  labelNames Names of the labels, in order
+ * @param  {object} [labels]   Label values by name
+ * @return {string}            The rendered labels
+ */
+function formatLabels(labelNames, labels) {
+    if (!labelNames.length) {
+        return '';
+    }
+
+    labels = labels || {};
+
+    return `{${labelNames.map(name => `${name}="${escapeLabelValue(labels[name] == null ? '' : labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * Render a sample value.
+ *
+ * @private
+ * @function formatValue
+ * @param  {number} value Value
+ * @return {string}       The rendered value
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+
+    return String(value);
+}
+
+/**
+ * Escape a label value.
+ *
+ * @private
+ * @function escapeLabelValue
+ * @param  {*}      value Value
+ * @return {string}       The escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape a metric description.
+ *
+ * @private
+ * @function escapeHelp
+ * @param  {string} help Description
+ * @return {string}      The escaped description
+ */
+function escapeHelp(help) {
+    return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+const Registry = require('./Registry');
+const instrumentAdapter = require('./instrumentAdapter');
+
+const ADAPTER_BUCKETS = [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+const EVENT_LOOP_INTERVAL = 500; // ms between event loop lag samples
+
+/**
+ * The metrics of an Anagram Server, for scraping by Prometheus:
+ *
+ * - `anagram_http_requests_total` and `anagram_http_request_duration_seconds`, per method, route and status
+ * - `anagram_adapter_operation_duration_seconds`, per dictionary and adapter operation
+ * - `anagram_word_count` and `anagram_anagram_count`, per dictionary
+ * - `anagram_preload_duration_seconds`, per dictionary
+ * - `anagram_event_loop_lag_seconds`, ie, how late a timer last fired, which grows as
+ *   long-running work (eg, a big scan) holds up every other request
+ */
+class ServerMetrics {
+    constructor() {
+        this._registry = new Registry();
+        this._dictionaries = null;
+
+        this._requests = this._registry.counter('anagram_http_requests_total', 'HTTP requests served', ['method', 'route', 'status']);
+        this._requestDuration = this._registry.histogram('anagram_http_request_duration_seconds', 'Time to serve HTTP requests', ['method', 'route', 'status']);
+        this._adapterDuration = this._registry.histogram('anagram_adapter_operation_duration_seconds', 'Time for adapter operations to complete', ['dictionary', 'operation'], ADAPTER_BUCKETS);
+
+        this._registry.gauge('anagram_word_count', 'Words in the dictionary', ['dictionary'], () => this._collectCounts('word'));
+        this._registry.gauge('anagram_anagram_count', 'Anagrams in the dictionary (a set of n words that are anagrams of each other counts n-1)', ['dictionary'], () => this._collectCounts('anagram'));
+
+        this._preloadDuration = this._registry.gauge('anagram_preload_duration_seconds', 'Time the last preload of the dictionary took', ['dictionary']);
+        this._eventLoopLag = this._registry.gauge('anagram_event_loop_lag_seconds', 'How late the last event loop lag sample fired');
+
+        this._eventLoopLag.set(null, 0);
+        this._monitorEventLoop();
+    }
+
+    /**
+     * Count the words of dictionaries, as of each render.
+     *
+     * @param  {Dictionaries} dictionaries Dictionaries to count
+     * @return {undefined}
+     */
+    watchDictionaries(dictionaries) {
+        this._dictionaries = dictionaries;
+    }
+
+    /**
+     * Wrap an adapter so that the latencies of its operations are measured.
+     *
+     * @param  {Adapter} adapter    Adapter to wrap
+     * @param  {string}  dictionary Name of the dictionary the adapter serves
+     * @return {Adapter}            The wrapped adapter
+     */
+    instrumentAdapter(adapter, dictionary) {
+        return instrumentAdapter(adapter, this._adapterDuration, { dictionary });
+    }
+
+    /**
+     * Count a served request.
+     *
+     * @param  {string}    method  HTTP method
+     * @param  {string}    route   Route path (eg, `/anagrams/:word`), or `null` if no route matched
+     * @param  {number}    status  HTTP status code
+     * @param  {number}    seconds Time to serve the request
+     * @return {undefined}
+     */
+    observeRequest(method, route, status, seconds) {
+        const labels = { method, route: route || 'unmatched', status };
+
+        this._requests.inc(labels);
+        this._requestDuration.observe(labels, seconds);
+    }
+
+    /**
+     * Record how long a preload took.
+     *
+     * @param  {string}    dictionary Name of the preloaded dictionary
+     * @param  {number}    seconds    Time the preload took
+     * @return {undefined}
+     */
+    observePreload(dictionary, seconds) {
+        this._preloadDuration.set({ dictionary }, seconds);
+    }
+
+    /**
+     * Render the metrics in the Prometheus text exposition format.
+     *
+     * @return {string} The metrics
+     */
+    render() {
+        return this._registry.render();
+    }
+
+    /**
+     * Stop sampling event loop lag.
+     *
+     * @return {undefined}
+     */
+    close() {
+        clearTimeout(this._eventLoopTimer);
+    }
+
+    /**
+     * Get the word or anagram counts of the watched dictionaries.
+     *
+     * @private
+     * @param  {string} count `word` or `anagram`
+     * @return {array}        Gauge samples
+     */
+    _collectCounts(count) {
+        return this._dictionaries ? this._dictionaries.list().map(info => ({ labels: { dictionary: info.name }, value: info.counts[count] })) : [];
+    }
+
+    /**
+     * Sample event loop lag by measuring how late a timer fires, over and over.
+     *
+     * The timer does not keep the process alive.
+     *
+     * @private
+     * @return {undefined}
+     */
+    _monitorEventLoop() {
+        const start = process.hrtime();
+
+        this._eventLoopTimer = setTimeout(() => {
+            const elapsed = process.hrtime(start),
+                lag = elapsed[0] + elapsed[1] / 1e9 - EVENT_LOOP_INTERVAL / 1000;
+
+            this._eventLoopLag.set(null, Math.max(0, lag));
+            this._monitorEventLoop();
+        }, EVENT_LOOP_INTERVAL);
+
+        this._eventLoopTimer.unref();
+    }
+}
+
+module.exports = ServerMetrics;
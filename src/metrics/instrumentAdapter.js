@@ -0,0 +1,53 @@
+'use strict';
+
+const isFunction = require('lodash.isfunction');
+
+const OPERATIONS = ['get', 'add', 'delete', 'clear', 'each', 'eachByLength', 'eachByCardinality', 'getMany', 'addMany', 'deleteMany'];
+
+/**
+ * Wrap an adapter so that the latency of each operation is observed in a histogram.
+ *
+ * The wrapper has exactly the methods of the adapter (so that optional methods are still
+ * detected as present or absent), and observes the time until each operation's promise
+ * settles, with `operation` and any given labels.
+ *
+ * @param  {Adapter}   adapter   Adapter to wrap
+ * @param  {Histogram} histogram Histogram with an `operation` label, in seconds
+ * @param  {object}    [labels]  More labels for each observation (eg, the dictionary name)
+ * @return {Adapter}             The wrapped adapter
+ */
+module.exports = function instrumentAdapter(adapter, histogram, labels) {
+    const wrapped = new Map(); // operation => wrapped method
+
+    return new Proxy(adapter, {
+        get(target, prop) {
+            const value = target[prop];
+
+            if (OPERATIONS.indexOf(prop) === -1 || !isFunction(value)) {
+                return value;
+            }
+
+            if (!wrapped.has(prop)) {
+                const opLabels = Object.assign({}, labels, { operation: prop });
+
+                wrapped.set(prop, function(...args) {
+                    const start = process.hrtime(),
+                        observe = () => {
+                            const elapsed = process.hrtime(start);
+                            histogram.observe(opLabels, elapsed[0] + elapsed[1] / 1e9);
+                        };
+
+                    return value.apply(target, args).then(result => {
+                        observe();
+                        return result;
+                    }, ex => {
+                        observe();
+                        throw ex;
+                    });
+                });
+            }
+
+            return wrapped.get(prop);
+        }
+    });
+};
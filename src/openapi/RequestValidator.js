@@ -0,0 +1,306 @@
+'use strict';
+
+const isString = require('lodash.isstring');
+
+const util = require('../util/util');
+
+/**
+ * Validates requests against the parameters and request bodies of the operations in an
+ * OpenAPI document.
+ *
+ * Supports the subset of schemas the document uses: `string` (`minLength`, `maxLength`,
+ * `pattern`, `enum`), `integer` and `number` (`minimum`, `maximum`), `boolean` (`true` or
+ * `false` in query strings), `array` (`items`, `minItems`, `maxItems`; comma-delimited in
+ * query strings) and `object` (`required`, `properties`), plus `$ref` to component schemas.
+ *
+ * Query parameters that aren't described are ignored, as are bodies of operations that
+ * don't take JSON.
+ */
+class RequestValidator {
+    /**
+     * @param {object} spec OpenAPI document
+     */
+    constructor(spec) {
+        if (!spec || !spec.paths) {
+            throw 'Invalid OpenAPI document';
+        }
+
+        this._spec = spec;
+    }
+
+    /**
+     * Find the operation of a route.
+     *
+     * @param  {string} method HTTP method (eg, `get` or `delete`)
+     * @param  {string} path   Route path in Restify form (eg, `/anagrams/:word`)
+     * @return {object}        The operation object, or `undefined` if the document doesn't describe the route
+     */
+    operation(method, path) {
+        const item = this._spec.paths[path.replace(/:(\w+)/g, '{$1}')];
+
+        return item && item[method.toLowerCase()];
+    }
+
+    /**
+     * Validate a request against an operation.
+     *
+     * If the body is a JSON string (eg, sent without a JSON content type), it's parsed and
+     * `req.body` is replaced with the parsed value.
+     *
+     * @param  {object} operation Operation object
+     * @param  {object} req       Restify request (or an object with `params`, `query` and `body`)
+     * @return {array}            Descriptions of each problem with the request, empty if it's valid
+     */
+    validate(operation, req) {
+        const errors = [];
+
+        (operation.parameters || []).forEach(param => {
+            const source = param.in === 'path' ? req.params : param.in === 'query' ? req.query : null;
+
+            if (!source) {
+                return;
+            }
+
+            const label = `${param.in === 'path' ? 'Path' : 'Query'} parameter "${param.name}"`,
+                value = source[param.name];
+
+            if (value == null || value === '' && param.in === 'path') {
+                if (param.required) {
+                    errors.push(`${label} is required`);
+                }
+
+                return;
+            }
+
+            if (Array.isArray(value)) {
+                errors.push(`${label} must be given once`);
+                return;
+            }
+
+            this._checkParam(label, this._resolve(param.schema), value, errors);
+        });
+
+        if (operation.requestBody) {
+            this._checkBody(operation.requestBody, req, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a path or query parameter, whose value is a string to be coerced per its schema.
+     *
+     * @private
+     * @param  {string}    label  Parameter label for error messages
+     * @param  {object}    schema Schema of the parameter
+     * @param  {string}    value  Raw value
+     * @param  {array}     errors Errors to add to
+     * @return {undefined}
+     */
+    _checkParam(label, schema, value, errors) {
+        if (schema.type === 'array') {
+            const items = value === '' ? [] : value.split(',').map(item => item.trim());
+
+            this._check(label, schema, items, errors);
+            return;
+        }
+
+        this._check(label, schema, coerce(schema.type, value), errors, value);
+    }
+
+    /**
+     * Check a request body, parsing it if it's a JSON string.
+     *
+     * @private
+     * @param  {object}    requestBody Request body object of the operation
+     * @param  {object}    req         Request
+     * @param  {array}     errors      Errors to add to
+     * @return {undefined}
+     */
+    _checkBody(requestBody, req, errors) {
+        const content = requestBody.content['application/json'];
+
+        if (!content) {
+            return; // eg, an upload, which is streamed by its route
+        }
+
+        let body = req.body;
+
+        // restify parses JSON only if content-type is application/json
+
+        if (isString(body)) {
+            body = util.silentJSONParse(body);
+
+            if (body === undefined) {
+                errors.push('Body must be valid JSON');
+                return;
+            }
+
+            req.body = body;
+        }
+
+        if (body == null || body === '') {
+            if (requestBody.required) {
+                errors.push('Body is required');
+            }
+
+            return;
+        }
+
+        this._check('Body', this._resolve(content.schema), body, errors);
+    }
+
+    /**
+     * Check a value against a schema.
+     *
+     * @private
+     * @param  {string}    label  Value label for error messages
+     * @param  {object}    schema Schema
+     * @param  {*}         value  Value
+     * @param  {array}     errors Errors to add to
+     * @param  {string}    [raw]  Value as given, if it was coerced from a string
+     * @return {undefined}
+     */
+    _check(label, schema, value, errors, raw) {
+        const got = ` (got ${JSON.stringify(raw === undefined ? value : raw)})`;
+
+        if (!hasType(schema.type, value)) {
+            errors.push(`${label} must be ${TYPE_NAMES[schema.type]}${got}`);
+            return;
+        }
+
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            errors.push(`${label} must be one of: ${schema.enum.join(', ')}${got}`);
+        }
+
+        if (schema.minimum != null && value < schema.minimum) {
+            errors.push(`${label} must be at least ${schema.minimum}${got}`);
+        }
+
+        if (schema.maximum != null && value > schema.maximum) {
+            errors.push(`${label} must be at most ${schema.maximum}${got}`);
+        }
+
+        if (schema.type === 'string') {
+            if (schema.minLength != null && value.length < schema.minLength) {
+                errors.push(schema.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${schema.minLength} characters long${got}`);
+            }
+
+            if (schema.maxLength != null && value.length > schema.maxLength) {
+                errors.push(`${label} must be at most ${schema.maxLength} characters long${got}`);
+            }
+
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                errors.push(`${label} must match ${schema.pattern}${got}`);
+            }
+        }
+
+        if (schema.type === 'array') {
+            if (schema.minItems != null && value.length < schema.minItems) {
+                errors.push(`${label} must list at least ${schema.minItems} items (got ${value.length})`);
+            }
+
+            if (schema.maxItems != null && value.length > schema.maxItems) {
+                errors.push(`${label} must list at most ${schema.maxItems} items (got ${value.length})`);
+            }
+
+            if (schema.items) {
+                const items = this._resolve(schema.items);
+
+                value.forEach((item, i) => this._check(`${label} item ${i + 1}`, items, item, errors));
+            }
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(name => {
+                if (value[name] == null) {
+                    errors.push(`${label} property "${name}" is required`);
+                }
+            });
+
+            Object.keys(schema.properties || {}).forEach(name => {
+                if (value[name] != null) {
+                    this._check(`${label} property "${name}"`, this._resolve(schema.properties[name]), value[name], errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Follow a schema reference, if it is one.
+     *
+     * @private
+     * @param  {object} schema Schema or reference object
+     * @return {object}        The schema
+     */
+    _resolve(schema) {
+        if (!schema.$ref) {
+            return schema;
+        }
+
+        const name = schema.$ref.replace('#/components/schemas/', '');
+
+        return this._spec.components.schemas[name];
+    }
+}
+
+module.exports = RequestValidator;
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+};
+
+/**
+ * Coerce a string to a type, leaving it as is if it doesn't represent a value of the type.
+ *
+ * @private
+ * @function coerce
+ * @param  {string} type  Schema type
+ * @param  {string} value Value
+ * @return {*}            The coerced value
+ */
+function coerce(type, value) {
+    if ((type === 'integer' || type === 'number') && /^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(value)) {
+        return +value;
+    }
+
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+
+    return value;
+}
+
+/**
+ * Test whether a value is of a schema type.
+ *
+ * @private
+ * @function hasType
+ * @param  {string}  type  Schema type
+ * @param  {*}       value Value
+ * @return {boolean}       `true` if `value` is of `type` (or `type` is not set).
+ *                         `false` otherwise.
+ */
+function hasType(type, value) {
+    switch (type) {
+        case 'string':
+            return isString(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
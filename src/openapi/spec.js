@@ -0,0 +1,602 @@
+'use strict';
+
+const pkg = require('../../package.json');
+
+const DICTIONARY_BASE = '/dictionaries/{name}'; // base path of routes on named dictionaries
+
+/**
+ * Build the OpenAPI 3.0 document that describes the Anagram Server API.
+ *
+ * Besides documenting the API (it's served at `GET /openapi.json`), the document drives
+ * the server: every route must be described in it, requests are validated against its
+ * parameters and request bodies (see RequestValidator), and the `x-required-role` of an
+ * operation is the API key role it requires.
+ *
+ * Operations marked `x-dictionary` are also served under `/dictionaries/{name}` for named
+ * dictionaries. Operations marked `x-read-only` only read dictionaries, though they're
+ * not GETs (eg, because they take a body).
+ *
+ * @return {object} The OpenAPI document
+ */
+module.exports = function buildSpec() {
+    const paths = {};
+
+    Object.keys(PATHS).forEach(path => {
+        paths[path] = PATHS[path];
+
+        const item = {};
+
+        Object.keys(PATHS[path]).filter(method => PATHS[path][method]['x-dictionary']).forEach(method => {
+            const operation = PATHS[path][method];
+
+            item[method] = Object.assign({}, operation, {
+                operationId: `${operation.operationId}InDictionary`,
+                summary: `${operation.summary} (named dictionary)`,
+                parameters: [dictionaryName()].concat(operation.parameters || [])
+            });
+        });
+
+        if (Object.keys(item).length) {
+            paths[DICTIONARY_BASE + path] = item;
+        }
+    });
+
+    return {
+        openapi: '3.0.0',
+        info: {
+            title: 'Anagram Server',
+            description: pkg.description,
+            version: pkg.version
+        },
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: SCHEMAS
+        }
+    };
+};
+
+/**
+ * Describe a path parameter.
+ *
+ * @private
+ * @function pathParam
+ * @param  {string} name        Parameter name
+ * @param  {string} description What the parameter is for
+ * @param  {object} [schema]    Schema of the value (default a string)
+ * @return {object}             The parameter object
+ */
+function pathParam(name, description, schema) {
+    return { name, in: 'path', required: true, description, schema: schema || { type: 'string' } };
+}
+
+/**
+ * Describe a query parameter.
+ *
+ * @private
+ * @function queryParam
+ * @param  {string} name        Parameter name
+ * @param  {string} description What the parameter is for
+ * @param  {object} schema      Schema of the value
+ * @return {object}             The parameter object
+ */
+function queryParam(name, description, schema) {
+    const param = { name, in: 'query', description, schema };
+
+    if (schema.type === 'array') {
+        param.style = 'form';
+        param.explode = false; // comma-delimited
+    }
+
+    return param;
+}
+
+/**
+ * Describe a boolean query parameter.
+ *
+ * @private
+ * @function flag
+ * @param  {string} name        Parameter name
+ * @param  {string} description What the parameter is for
+ * @return {object}             The parameter object
+ */
+function flag(name, description) {
+    return queryParam(name, description, { type: 'boolean' });
+}
+
+/**
+ * Describe an integer query parameter.
+ *
+ * @private
+ * @function integer
+ * @param  {string} name        Parameter name
+ * @param  {string} description What the parameter is for
+ * @param  {number} minimum     Least allowed value
+ * @param  {number} [maximum]   Greatest allowed value
+ * @return {object}             The parameter object
+ */
+function integer(name, description, minimum, maximum) {
+    const schema = { type: 'integer', minimum };
+
+    if (maximum != null) {
+        schema.maximum = maximum;
+    }
+
+    return queryParam(name, description, schema);
+}
+
+/**
+ * Describe the dictionary name path parameter of routes on named dictionaries.
+ *
+ * @private
+ * @function dictionaryName
+ * @param  {string} [pattern] Pattern of valid names (default 1 to 64 letters, digits or underscores)
+ * @return {object}           The parameter object
+ */
+function dictionaryName(pattern) {
+    return pathParam('name', 'Dictionary name', { type: 'string', pattern: pattern || '^\\w{1,64}$' });
+}
+
+/**
+ * Describe a JSON response.
+ *
+ * @private
+ * @function json
+ * @param  {string} description What the response holds
+ * @param  {object} schema      Schema of the response body
+ * @return {object}             The response object
+ */
+function json(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Describe a JSON request body.
+ *
+ * @private
+ * @function body
+ * @param  {object} schema Schema of the request body
+ * @return {object}        The request body object
+ */
+function body(schema) {
+    return { required: true, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Reference a schema in the components of the document.
+ *
+ * @private
+ * @function ref
+ * @param  {string} name Schema name
+ * @return {object}      The reference object
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+const SECURITY = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+
+const ERRORS = {
+    400: json('Invalid request', ref('Error')),
+    401: json('Missing or unknown API key', ref('Error')),
+    403: json('API key lacks the required role', ref('Error')),
+    404: json('Unknown word, dictionary or job', ref('Error')),
+    413: json('Upload too large', ref('Error')),
+    415: json('Unsupported content type or encoding', ref('Error')),
+    429: json('Too many requests', ref('Error'))
+};
+
+/**
+ * Pick the error responses an operation may return.
+ *
+ * @private
+ * @function errors
+ * @param  {...number} statuses Status codes
+ * @return {object}             Responses by status code
+ */
+function errors(...statuses) {
+    const responses = { 429: ERRORS[429] };
+
+    statuses.forEach(status => responses[status] = ERRORS[status]);
+
+    return responses;
+}
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            errors: Object.assign({ description: 'Each problem with the request, if it failed validation' }, stringArray)
+        }
+    },
+    Counts: {
+        type: 'object',
+        properties: { word: { type: 'integer' }, anagram: { type: 'integer' } }
+    },
+    AnagramSets: { type: 'array', items: stringArray },
+    Job: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: ['import'] },
+            dictionary: { type: 'string' },
+            status: { type: 'string', enum: ['running', 'succeeded', 'failed'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' },
+            progress: {
+                type: 'object',
+                properties: {
+                    bytes: { type: 'integer', description: 'Bytes of the upload read so far' },
+                    totalBytes: { type: 'integer', nullable: true, description: 'Size of the upload' },
+                    lines: { type: 'integer', description: 'Lines read so far' },
+                    counts: ref('Counts'),
+                    rejectedCount: { type: 'integer' }
+                }
+            },
+            report: {
+                type: 'object',
+                properties: {
+                    bytes: { type: 'integer' },
+                    lines: { type: 'integer' },
+                    counts: ref('Counts'),
+                    rejectedCount: { type: 'integer' },
+                    rejected: {
+                        type: 'array',
+                        description: 'The first 1,000 rejected words',
+                        items: {
+                            type: 'object',
+                            properties: { line: { type: 'integer' }, word: { type: 'string' }, reason: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            error: { type: 'string', description: 'Why the job failed' }
+        }
+    },
+    Stats: {
+        type: 'object',
+        properties: ['wordCount', 'anagramCount', 'minWordLength', 'maxWordLength', 'medianWordLength', 'averageWordLength',
+            'minCardinality', 'maxCardinality', 'medianCardinality', 'averageCardinality']
+            .reduce((props, name) => Object.assign(props, { [name]: { type: 'number' } }), {
+                wordLengthPercentiles: ref('Percentiles'),
+                cardinalityPercentiles: ref('Percentiles'),
+                wordLengthHistogram: ref('Histogram'),
+                cardinalityHistogram: ref('Histogram')
+            })
+    },
+    Percentiles: {
+        type: 'object',
+        properties: ['p50', 'p90', 'p95', 'p99'].reduce((props, name) => Object.assign(props, { [name]: { type: 'number' } }), {})
+    },
+    Histogram: {
+        type: 'object',
+        description: 'Count of each value, keyed by value',
+        additionalProperties: { type: 'integer' }
+    },
+    Dictionary: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            locale: { type: 'string' },
+            foldDiacritics: { type: 'boolean' },
+            counts: ref('Counts')
+        }
+    }
+};
+
+const PATHS = {
+    '/anagrams/{word}': {
+        get: {
+            operationId: 'getAnagrams',
+            summary: 'Find the anagrams of a word or phrase',
+            'x-dictionary': true,
+            parameters: [
+                pathParam('word', 'A word (optionally ending in ".json"), which may hold "?" or "_" wildcards, or a phrase if multiWord=true'),
+                integer('limit', 'Most anagrams (or phrases) to return', 1, 500),
+                flag('includeInput', 'Include the input word in the results'),
+                flag('excludeProperNouns', 'Leave proper nouns out of the results'),
+                flag('multiWord', 'Find phrases of several words that are anagrams of the input'),
+                integer('maxWords', 'Most words per phrase (multiWord only)', 1, 6),
+                integer('minWordLength', 'Least length of each word in a phrase (multiWord only)', 1),
+                integer('timeout', 'Time budget for the phrase search in milliseconds (multiWord only)', 1, 5000),
+                queryParam('near', 'Find the anagram sets whose letters are the word\'s plus some (add), minus some (remove) or with some changed (replace), grouped by the letters that differ',
+                    { type: 'string', enum: ['add', 'remove', 'replace'] }),
+                integer('distance', 'How many letters to add, remove or change (near only, default 1)', 1, 2)
+            ],
+            responses: Object.assign({
+                200: json('Anagrams of the word, wildcard matches, phrase anagrams or near anagrams', { type: 'object' })
+            }, errors(400))
+        }
+    },
+    '/anagrams': {
+        get: {
+            operationId: 'queryAnagrams',
+            summary: 'Query anagram sets of the dictionary. Give one of the query parameters (or one or both of a Min/Max pair).',
+            'x-dictionary': true,
+            parameters: [
+                flag('count', 'Count the anagrams in the dictionary'),
+                integer('cardinalityMin', 'Least number of words in each anagram set', 1),
+                integer('cardinalityMax', 'Most number of words in each anagram set', 1),
+                integer('lengthMin', 'Least word length of each anagram set', 1),
+                integer('lengthMax', 'Most word length of each anagram set', 1),
+                flag('maxCardinality', 'Find the anagram sets with the most words'),
+                flag('maxLength', 'Find the anagram sets with the longest words'),
+                integer('limit', 'Get a page of at most this many anagram sets (cardinality, length, maxCardinality and maxLength queries only)', 1, 1000),
+                queryParam('cursor', 'The cursor of the previous page, to get the next page', { type: 'string', minLength: 1 }),
+                flag('stream', 'Stream every anagram set as newline-delimited JSON, as with "Accept: application/x-ndjson" (cardinality, length, maxCardinality and maxLength queries only)'),
+                queryParam('areAnagrams', 'Comma-delimited words to test for being anagrams of each other',
+                    { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 2 }),
+                queryParam('mode', 'How areAnagrams compares words: as anagrams in the dictionary (the default), or by their letters alone, whether or not they\'re in the dictionary',
+                    { type: 'string', enum: ['dictionary', 'letters'] })
+            ],
+            responses: Object.assign({
+                200: {
+                    description: 'Counts, anagram sets, or whether the words are anagrams. Streamed anagram sets are one JSON array per line.',
+                    content: {
+                        'application/json': { schema: { type: 'object' } },
+                        'application/x-ndjson': { schema: ref('AnagramSets') }
+                    }
+                }
+            }, errors(400))
+        }
+    },
+    '/anagrams/lookup': {
+        post: {
+            operationId: 'lookupAnagrams',
+            summary: 'Find the anagrams of each of a batch of words. Invalid words get errors rather than failing the batch.',
+            'x-dictionary': true,
+            'x-read-only': true,
+            requestBody: body({
+                type: 'object',
+                required: ['words'],
+                properties: {
+                    words: {
+                        type: 'array',
+                        items: {}, // items that aren't strings get errors in the response rather than failing the batch
+                        minItems: 1,
+                        maxItems: 1000,
+                        description: 'Words, which may hold "?" or "_" wildcards. Items that are not strings get errors.'
+                    },
+                    limit: { type: 'integer', minimum: 1, description: 'Most anagrams to return per word' },
+                    includeInput: { type: 'boolean', description: 'Include each input word in its results' },
+                    excludeProperNouns: { type: 'boolean', description: 'Leave proper nouns out of the results' }
+                }
+            }),
+            responses: Object.assign({
+                200: json('Anagrams (or wildcard matches) and errors, by word as given (items that are not strings as JSON)', {
+                    type: 'object',
+                    properties: {
+                        anagrams: { type: 'object', additionalProperties: { type: 'array' } },
+                        errors: { type: 'object', additionalProperties: { type: 'string' } }
+                    }
+                })
+            }, errors(400))
+        }
+    },
+    '/subanagrams/{letters}': {
+        get: {
+            operationId: 'getSubAnagrams',
+            summary: 'Find the words that can be spelled with some of a set of letters',
+            'x-dictionary': true,
+            parameters: [
+                pathParam('letters', 'Letters to spell words with (optionally ending in ".json")'),
+                integer('minLength', 'Least length of each word', 1),
+                integer('maxLength', 'Most length of each word', 1),
+                flag('excludeProperNouns', 'Leave proper nouns out of the results')
+            ],
+            responses: Object.assign({
+                200: json('Words by length', { type: 'object' })
+            }, errors(400))
+        }
+    },
+    '/words': {
+        get: {
+            operationId: 'queryWords',
+            summary: 'Count the words of the dictionary or get its stats. Give one of the query parameters.',
+            'x-dictionary': true,
+            parameters: [
+                flag('count', 'Count the words in the dictionary'),
+                flag('stats', 'Get stats about the dictionary')
+            ],
+            responses: Object.assign({
+                200: json('Word count or stats', {
+                    type: 'object',
+                    properties: { counts: ref('Counts'), stats: ref('Stats') }
+                })
+            }, errors(400))
+        }
+    },
+    '/words.json': {
+        post: {
+            operationId: 'addWords',
+            summary: 'Add words to the dictionary. Invalid words are skipped.',
+            'x-dictionary': true,
+            'x-required-role': 'editor',
+            security: SECURITY,
+            requestBody: body({
+                type: 'object',
+                required: ['words'],
+                properties: { words: stringArray }
+            }),
+            responses: Object.assign({
+                201: json('Words added', {
+                    type: 'object',
+                    properties: { counts: ref('Counts'), words: Object.assign({ description: 'Links to the added words' }, stringArray) }
+                }),
+                204: { description: 'No words added' }
+            }, errors(400, 401, 403))
+        },
+        delete: {
+            operationId: 'clearWords',
+            summary: 'Delete every word from the dictionary',
+            'x-dictionary': true,
+            'x-required-role': 'admin',
+            security: SECURITY,
+            responses: Object.assign({
+                204: { description: 'Dictionary cleared' }
+            }, errors(401, 403))
+        }
+    },
+    '/words/{word}': {
+        delete: {
+            operationId: 'deleteWord',
+            summary: 'Delete a word from the dictionary',
+            'x-dictionary': true,
+            'x-required-role': 'editor',
+            security: SECURITY,
+            parameters: [
+                pathParam('word', 'Word to delete (optionally ending in ".json")'),
+                flag('includeAnagrams', 'Also delete the anagrams of the word')
+            ],
+            responses: Object.assign({
+                204: { description: 'Word deleted' }
+            }, errors(400, 401, 403, 404))
+        }
+    },
+    '/words/import': {
+        post: {
+            operationId: 'importWords',
+            summary: 'Upload a word list (one or more words per line) to add to the dictionary in the background. Invalid words are skipped.',
+            'x-dictionary': true,
+            'x-required-role': 'editor',
+            security: SECURITY,
+            requestBody: {
+                required: true,
+                description: 'Text, optionally gzipped (as "Content-Encoding: gzip" or "Content-Type: application/gzip")',
+                content: {
+                    'text/plain': { schema: { type: 'string' } },
+                    'application/gzip': { schema: { type: 'string', format: 'binary' } }
+                }
+            },
+            responses: Object.assign({
+                202: json('The upload was received and the import job started. The Location header links to the job.', {
+                    type: 'object',
+                    properties: { job: ref('Job') }
+                })
+            }, errors(400, 401, 403, 413, 415))
+        }
+    },
+    '/words/export': {
+        get: {
+            operationId: 'exportWords',
+            summary: 'Download every word in the dictionary, eg, to back it up or to import it elsewhere',
+            'x-dictionary': true,
+            parameters: [
+                queryParam('format', 'txt (one word per line, as imports take), json (an array of anagram sets) or csv (a line per word with its key and anagram set size). Defaults to txt.', {
+                    type: 'string',
+                    enum: ['txt', 'json', 'csv']
+                })
+            ],
+            responses: Object.assign({
+                200: {
+                    description: 'The words, streamed',
+                    content: {
+                        'text/plain': { schema: { type: 'string' } },
+                        'application/json': { schema: { type: 'array', items: { type: 'array', items: { type: 'string' } } } },
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                }
+            }, errors(400))
+        }
+    },
+    '/jobs/{id}': {
+        get: {
+            operationId: 'getJob',
+            summary: 'Get the progress of a background job (eg, an import) or, once it\'s finished, its report',
+            parameters: [pathParam('id', 'Job id')],
+            responses: Object.assign({
+                200: json('The job', { type: 'object', properties: { job: ref('Job') } })
+            }, errors(404))
+        }
+    },
+    '/dictionaries': {
+        get: {
+            operationId: 'listDictionaries',
+            summary: 'List the dictionaries',
+            responses: {
+                200: json('The dictionaries, starting with the default dictionary', {
+                    type: 'object',
+                    properties: { dictionaries: { type: 'array', items: ref('Dictionary') } }
+                }),
+                429: ERRORS[429]
+            }
+        }
+    },
+    '/dictionaries.json': {
+        post: {
+            operationId: 'createDictionary',
+            summary: 'Create an empty named dictionary',
+            'x-required-role': 'admin',
+            security: SECURITY,
+            requestBody: body({
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', pattern: '^\\w{1,64}$' },
+                    locale: { type: 'string', description: 'Language tag for casing words, eg, "de" or "pt-BR" (default the server\'s)' },
+                    foldDiacritics: { type: 'boolean', description: 'Treat words that differ only by diacritics as anagrams (default the server\'s)' }
+                }
+            }),
+            responses: Object.assign({
+                201: json('Dictionary created', { type: 'object', properties: { dictionary: ref('Dictionary') } }),
+                409: json('Dictionary exists', ref('Error')),
+                501: json('Named dictionaries are not supported by this server', ref('Error'))
+            }, errors(400, 401, 403))
+        }
+    },
+    '/dictionaries/{name}/preload.json': {
+        post: {
+            operationId: 'preloadDictionary',
+            summary: 'Load a word list from the server\'s word list directory into a dictionary',
+            'x-required-role': 'admin',
+            security: SECURITY,
+            parameters: [dictionaryName()],
+            requestBody: body({
+                type: 'object',
+                required: ['file'],
+                properties: { file: { type: 'string', minLength: 1 } }
+            }),
+            responses: Object.assign({
+                200: json('Words loaded', { type: 'object', properties: { counts: ref('Counts') } })
+            }, errors(400, 401, 403, 404))
+        }
+    },
+    '/dictionaries/{name}': {
+        delete: {
+            operationId: 'dropDictionary',
+            summary: 'Delete a named dictionary and all of its words',
+            'x-required-role': 'admin',
+            security: SECURITY,
+            parameters: [dictionaryName('^\\w{1,64}(\\.json)?$')],
+            responses: Object.assign({
+                204: { description: 'Dictionary deleted' }
+            }, errors(400, 401, 403, 404))
+        }
+    },
+    '/metrics': {
+        get: {
+            operationId: 'getMetrics',
+            summary: 'Get server metrics in the Prometheus text format',
+            responses: {
+                200: { description: 'Metrics', content: { 'text/plain': { schema: { type: 'string' } } } },
+                429: ERRORS[429]
+            }
+        }
+    },
+    '/openapi.json': {
+        get: {
+            operationId: 'getOpenApi',
+            summary: 'Get this document',
+            responses: {
+                200: json('OpenAPI document', { type: 'object' }),
+                429: ERRORS[429]
+            }
+        }
+    }
+};
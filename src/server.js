@@ -1,180 +1,508 @@
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
 const restify = require('restify');
-const prettyHrtime = require('pretty-hrtime');
 const isArray = require('lodash.isarray');
 const isString = require('lodash.isstring');
 
 const AnagramService = require('./AnagramService');
+const ApiKeys = require('./ApiKeys');
+const Dictionaries = require('./Dictionaries');
+const Jobs = require('./Jobs');
+const Logger = require('./logging/Logger');
+const RotatingFileSink = require('./logging/RotatingFileSink');
+const RateLimiter = require('./RateLimiter');
+const RequestValidator = require('./openapi/RequestValidator');
+const buildSpec = require('./openapi/spec');
+const ServerMetrics = require('./metrics/ServerMetrics');
 const util = require('./util/util');
 
 const DEFAULT_PORT = 3000;
+const DEFAULT_LOOKUP_RATE_LIMIT = 600; // requests per minute per client
+const DEFAULT_SCAN_RATE_LIMIT = 30; // dictionary scans per minute per client
+const EXPORT_BATCH_SIZE = 1000; // anagram sets read from the store at a time when exporting
+const IMPORT_TYPES = ['text/plain', 'application/gzip', 'application/x-gzip']; // content types of word list uploads
+const DEFAULT_MAX_UPLOAD_SIZE = 100 * 1024 * 1024; // largest word list upload in bytes (as sent, ie, possibly gzipped)
+const UPLOAD_TOO_LARGE = 'The upload is too large'; // what spoolUpload() rejects with once an upload passes its limit
+const DEFAULT_WORD_LIST_DIR = path.join(__dirname, 'config'); // where word lists for preloading named dictionaries are found
+const STREAM_BATCH_SIZE = 1000; // anagram sets read from the store at a time when streaming
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/; // request ids accepted from clients (or proxies)
+const WILDCARD = /[?_]/; // wildcard characters in words to look up (see AnagramService.get())
 
 function startServer(opts) {
     if (!opts || !opts.adapter) {
         throw 'No adapter specified';
     }
 
+    const logger = opts.logger || createLogger(opts.log || {}),
+        metrics = new ServerMetrics();
+
     // CREATE AND CONFIG REST SERVER
 
     var server = restify.createServer({ name: 'Anagramarama' });
 
     server.on('error', function(err) {
-        console.error(err);
+        logger.error('server error', { error: err });
+    });
+
+    // restify listens for client errors (eg, a request body cut short), which stops node from
+    // closing the connection itself, leaving the request hanging
+
+    server.on('clientError', function(err, socket) {
+        logger.debug('client error', { error: err });
+        socket.destroy();
     });
 
+    // log one line per request once its response is sent
+
+    server.pre(identifyRequest);
+    server.on('after', logRequest);
+
+
     server.use(restify.plugins.queryParser());
-    server.use(restify.plugins.jsonBodyParser());
+    const bodyParsers = restify.plugins.jsonBodyParser();
+
+    server.use(parseBody); // uploads are streamed by their routes rather than read into memory
+
+    // without a keys file, every client may do anything (eg, for local development)
+
+    const apiKeys = opts.apiKeys ? ApiKeys.fromFile(opts.apiKeys) : null;
+
+    if (!apiKeys) {
+        logger.warn('no API keys configured, so anyone may change or clear dictionaries');
+    }
+
+    server.use(authenticate);
+
+    // ration requests per client, with a separate budget for scans of whole dictionaries
+
+    const rateLimit = opts.rateLimit === false ? null : opts.rateLimit || {},
+        rateLimiter = rateLimit ? createRateLimiter(rateLimit) : null;
+
+    server.use(throttle);
 
     // DEFINE ROUTES
 
-    server.get('/anagrams/:word', respondAnagramsGet);
-    server.get('/anagrams', respondAnagramsGet);
-    server.get('/words', respondWordsGet);
-    server.post('/words.json', respondAdd);
-    server.del('/words/:word', respondWordsDelete);
-    server.del('/words.json', respondClear);
+    // every route is described in the OpenAPI document, which sets the role it requires and validates its requests
 
-    // INSTANTIATE SERVICE
+    const spec = buildSpec(),
+        validator = new RequestValidator(spec);
+
+    // routes under /dictionaries/:name work on a named dictionary. the others work on the default dictionary.
+
+    ['', '/dictionaries/:name'].forEach(base => {
+        addRoute('get', `${base}/anagrams/:word`, resolveDictionary, respondAnagramsGet);
+        addRoute('get', `${base}/anagrams`, resolveDictionary, respondAnagramsGet);
+        addRoute('post', `${base}/anagrams/lookup`, resolveDictionary, respondAnagramsLookup);
+        addRoute('get', `${base}/subanagrams/:letters`, resolveDictionary, respondSubAnagramsGet);
+        addRoute('get', `${base}/words`, resolveDictionary, respondWordsGet);
+        addRoute('post', `${base}/words.json`, resolveDictionary, respondAdd);
+        addRoute('delete', `${base}/words/:word`, resolveDictionary, respondWordsDelete);
+        addRoute('delete', `${base}/words.json`, resolveDictionary, respondClear);
+        addRoute('post', `${base}/words/import`, resolveDictionary, respondWordsImport);
+        addRoute('get', `${base}/words/export`, resolveDictionary, respondWordsExport);
+    });
 
-    const anagramService = new AnagramService(opts.adapter);
+    addRoute('get', '/jobs/:id', respondJobGet);
+
+    addRoute('get', '/openapi.json', respondOpenApi);
+    addRoute('get', '/metrics', respondMetrics);
+    addRoute('get', '/dictionaries', respondDictionariesGet);
+    addRoute('post', '/dictionaries.json', respondDictionaryCreate);
+    addRoute('post', '/dictionaries/:name/preload.json', resolveDictionary, respondDictionaryPreload);
+    addRoute('delete', '/dictionaries/:name', respondDictionaryDrop);
+
+    function addRoute(method, path, ...handlers) {
+        const operation = validator.operation(method, path);
+
+        if (!operation) {
+            throw `Route ${method.toUpperCase()} ${path} is not described in the OpenAPI document`;
+        }
 
-    if (!opts.preload) {
-        // no preload required, so start listening for requests right away
-        return listen();
+        const role = operation['x-required-role'],
+            chain = (role ? [authorize(role)] : []).concat(validateRequest(operation), handlers);
+
+        server[method === 'delete' ? 'del' : method](path, ...chain);
     }
 
-    console.log('preloading dictionary...');
+    // INSTANTIATE SERVICE
+
+    // adapters are wrapped to measure the latencies of their operations
 
-    const start = process.hrtime();
+    const serviceOpts = { locale: opts.locale, foldDiacritics: opts.foldDiacritics },
+        defaultService = new AnagramService(metrics.instrumentAdapter(opts.adapter, Dictionaries.DEFAULT_NAME), serviceOpts),
+        createAdapter = opts.createAdapter && (name => metrics.instrumentAdapter(opts.createAdapter(name), name));
 
-    anagramService.load(opts.preload).then(counts => {
-        const end = prettyHrtime(process.hrtime(start));
+    const jobs = new Jobs();
 
-        console.log(`preload took ${end}`);
+    // imports are spooled to temporary files, so their size is bounded
 
-        logCounts(counts);
+    const maxUploadSize = opts.maxUploadSize || DEFAULT_MAX_UPLOAD_SIZE;
 
-        logStats();
+    const dictionaries = new Dictionaries(defaultService, Object.assign({ createAdapter, catalog: opts.catalog }, serviceOpts));
 
-        listen();
+    metrics.watchDictionaries(dictionaries);
 
-        function logCounts(counts) {
-            console.log(util.stripIndent `
-                LOADED:
+    // the store may already hold words (eg, if it persists across restarts), so count them first
 
-                words: ${counts.word.toLocaleString()}
-                anagrams: ${counts.anagram.toLocaleString()}`);
+    defaultService.recount().then(counts => {
+        if (counts.word) {
+            logger.info('counted stored words', { counts });
         }
 
-        function logStats() {
-            anagramService.stats().then(stats => console.log(util.stripIndent `
-                DICTIONARY STATS:
+        return dictionaries.restore();
+    }).then(names => {
+        if (names.length) {
+            logger.info('restored dictionaries', { dictionaries: names });
+        }
 
-                words:               ${stats.wordCount.toLocaleString()}
-                anagrams:            ${stats.anagramCount.toLocaleString()}
-                min word length:     ${stats.minWordLength.toLocaleString()}
-                max word length:     ${stats.maxWordLength.toLocaleString()}
-                median word length:  ${stats.medianWordLength.toLocaleString()}
-                average word length: ${stats.averageWordLength.toLocaleString()}
-                min cardinality:     ${stats.minCardinality.toLocaleString()}
-                max cardinality:     ${stats.maxCardinality.toLocaleString()}
-                median cardinality:  ${stats.medianCardinality.toLocaleString()}
-                average cardinality: ${stats.averageCardinality.toLocaleString()}`));
+        if (!opts.preload) {
+            // no preload required, so start listening for requests right away
+            return listen();
         }
+
+        preload();
+    }).catch(ex => {
+        logger.error('startup failed', { error: ex });
+        process.exit(1);
     });
 
+    function preload() {
+        logger.info('preloading dictionary', { file: opts.preload });
+
+        const start = process.hrtime();
+
+        defaultService.load(opts.preload).then(report => {
+            const durationMs = elapsedMs(start);
+
+            metrics.observePreload(dictionaries.defaultName(), durationMs / 1000);
+
+            logger.info('preloaded dictionary', { file: opts.preload, counts: loadCounts(report), rejected: report.rejectedCount, durationMs });
+            logRejectedWords(report, { file: opts.preload });
+
+            defaultService.stats().then(stats => logger.debug('dictionary stats', { stats }));
+
+            listen();
+        }).catch(ex => {
+            logger.error('startup failed', { error: ex });
+            process.exit(1);
+        });
+    }
+
     function listen() {
-        server.listen(opts.port || DEFAULT_PORT, () =>
-            console.log(util.stripIndent `
-                ${server.name} listening at ${server.url}`));
+        server.listen(opts.port == null ? DEFAULT_PORT : opts.port, () => // port 0 for any free port (eg, for tests)
+            logger.info('listening', { name: server.name, url: server.url }));
+    }
+
+    // SERVER LOGGING FUNCTIONS
+
+    function identifyRequest(req, res, next) {
+        const reqId = req.headers['x-request-id']; // keep the id given by a client or proxy, to correlate logs
+
+        if (isString(reqId) && VALID_REQUEST_ID.test(reqId)) {
+            req.id(reqId);
+        }
+
+        req.startTime = process.hrtime();
+
+        res.header('Request-Id', req.getId());
+
+        next();
+    }
+
+    function logRequest(req, res) {
+        const status = res.statusCode,
+            fields = {
+                reqId: req.getId(),
+                method: req.method,
+                route: req.route ? req.route.path : null,
+                url: req.url,
+                status,
+                latencyMs: elapsedMs(req.startTime),
+                bytes: +res.getHeader('content-length') || res.bytesStreamed || 0
+            };
+
+        metrics.observeRequest(fields.method, fields.route, status, fields.latencyMs / 1000);
+
+        if (req.apiKey) {
+            fields.apiKey = req.apiKey.name;
+        }
+
+        if (logger.logsBodies()) {
+            if (req.body != null) {
+                fields.requestBody = req.body;
+            }
+
+            if (res._body != null) { // what was passed to res.send(), as used by restify's own audit logger
+                fields.body = res._body;
+            }
+        }
+
+        logger.log(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'request', fields);
+    }
+
+    function logRejectedWords(report, fields) {
+        if (report.rejectedCount) {
+            logger.debug('rejected words', Object.assign({ rejected: report.rejected }, fields));
+        }
+    }
+
+    function logContext(req, fields) {
+        return Object.assign({ reqId: req.getId(), dictionary: req.params.name || dictionaries.defaultName() }, fields);
+    }
+
+    // SERVER MIDDLEWARE FUNCTIONS
+
+    function parseBody(req, res, next) {
+        if (isUploadRequest(req)) {
+            return next();
+        }
+
+        runHandlers(bodyParsers, req, res, next);
+    }
+
+    function authenticate(req, res, next) {
+        if (!apiKeys) {
+            return next();
+        }
+
+        const key = getApiKey(req);
+
+        if (key == null) {
+            return next(); // anonymous
+        }
+
+        req.apiKey = apiKeys.authenticate(key);
+
+        if (!req.apiKey) {
+            // reject a bad key even where none is required, so that clients learn of it
+            res.status(401); // Unauthorized
+            res.header('WWW-Authenticate', `Bearer realm="${server.name}", error="invalid_token"`);
+            res.send({ message: 'Invalid API key' });
+            return next(false);
+        }
+
+        next();
+    }
+
+    function throttle(req, res, next) {
+        if (!rateLimiter) {
+            return next();
+        }
+
+        const budget = isScanRequest(req) && rateLimiter.has('scan') ? 'scan' : 'lookup';
+
+        if (!rateLimiter.has(budget)) {
+            return next();
+        }
+
+        const client = req.apiKey ? `key:${req.apiKey.name}` : `ip:${getClientIp(req, rateLimit.trustProxy)}`,
+            result = rateLimiter.take(budget, client);
+
+        res.header('RateLimit-Limit', result.limit);
+        res.header('RateLimit-Remaining', result.remaining);
+        res.header('RateLimit-Reset', result.reset);
+
+        if (!result.allowed) {
+            logger.info('throttled request', { reqId: req.getId(), client, budget });
+
+            res.status(429); // Too Many Requests
+            res.header('Retry-After', result.retryAfter);
+            res.send({ message: `Too many ${budget} requests. Retry in ${result.retryAfter} seconds.` });
+            return next(false);
+        }
+
+        next();
+    }
+
+    function validateRequest(operation) {
+        return function(req, res, next) {
+            const errors = validator.validate(operation, req);
+
+            if (errors.length) {
+                res.status(400); // Bad Request
+                res.send({ message: errors.join('. '), errors });
+                return next(false);
+            }
+
+            next();
+        };
+    }
+
+    function authorize(role) {
+        return function(req, res, next) {
+            if (!apiKeys) {
+                return next();
+            }
+
+            if (!req.apiKey) {
+                res.status(401); // Unauthorized
+                res.header('WWW-Authenticate', `Bearer realm="${server.name}"`);
+                res.send({ message: `An API key with the "${role}" role is required` });
+                return next(false);
+            }
+
+            if (!ApiKeys.grants(req.apiKey.role, role)) {
+                logger.info('denied request', { reqId: req.getId(), apiKey: req.apiKey.name, role: req.apiKey.role, required: role });
+
+                res.status(403); // Forbidden
+                res.send({ message: `The "${role}" role is required. Your API key has the "${req.apiKey.role}" role.` });
+                return next(false);
+            }
+
+            next();
+        };
+    }
+
+    function resolveDictionary(req, res, next) {
+        const name = req.params.name;
+
+        req.anagramService = dictionaries.get(name);
+
+        if (!req.anagramService) {
+            res.status(404); // Not Found
+            res.send({ message: `Dictionary "${name}" does not exist` });
+            return next(false);
+        }
+
+        req.basePath = name ? `/dictionaries/${name}` : ''; // for links to resources of this dictionary
+
+        next();
     }
 
     // SERVER RESPONSE FUNCTIONS
 
     function respondAnagramsGet(req, res, next) {
-        const word = util.stripExtension(req.params.word);
+        const anagramService = req.anagramService,
+            word = util.stripExtension(req.params.word);
 
         if (!word) {
             if (req.query.count === 'true') {
                 const response = { counts: { anagram: anagramService.anagramCount() } }; // put a bow on it
 
-                console.log(util.stripIndent `
-                    ${req.url} => ${util.formatJSON(response)}`);
-
                 res.send(response);
                 return next();
             }
 
             if (req.query.cardinalityMin || req.query.cardinalityMax) {
-                anagramService.anagramsByCardinality(+req.query.cardinalityMin, +req.query.cardinalityMax).then(results => {
+                if (isStreamRequest(req)) {
+                    return respondAnagramsStream(req, res, next, page => anagramService.anagramsByCardinality(+req.query.cardinalityMin, +req.query.cardinalityMax, page));
+                }
+
+                const page = getPageOpts(req);
+
+                anagramService.anagramsByCardinality(+req.query.cardinalityMin, +req.query.cardinalityMax, page).then(results => {
                     const output = {};
 
                     util.copyPropNumber(output, req.query, 'cardinalityMin');
                     util.copyPropNumber(output, req.query, 'cardinalityMax');
 
-                    output.anagrams = results;
+                    Object.assign(output, page ? results : { anagrams: results });
 
                     const response = { anagramsByCardinality: output }; // put a bow on it
 
-                    console.log(util.stripIndent `
-                        ${req.url} => ${util.formatJSON(response)}`);
-
                     res.send(response);
                     next();
+                }).catch(ex => {
+                    logger.debug('bad request', logContext(req, { error: ex }));
+                    res.status(400); // Bad Request
+                    res.send({ message: ex });
+                    next();
                 });
 
                 return;
             }
 
             if (req.query.lengthMin || req.query.lengthMax) {
-                anagramService.anagramsByLength(+req.query.lengthMin, +req.query.lengthMax).then(results => {
+                if (isStreamRequest(req)) {
+                    return respondAnagramsStream(req, res, next, page => anagramService.anagramsByLength(+req.query.lengthMin, +req.query.lengthMax, page));
+                }
+
+                const page = getPageOpts(req);
+
+                anagramService.anagramsByLength(+req.query.lengthMin, +req.query.lengthMax, page).then(results => {
                     const output = {};
 
                     util.copyPropNumber(output, req.query, 'lengthMin');
                     util.copyPropNumber(output, req.query, 'lengthMax');
 
-                    output.anagrams = results;
+                    Object.assign(output, page ? results : { anagrams: results });
 
                     const response = { anagramsByLength: output }; // put a bow on it
 
-                    console.log(util.stripIndent `
-                        ${req.url} => ${util.formatJSON(response)}`);
-
                     res.send(response);
                     next();
+                }).catch(ex => {
+                    logger.debug('bad request', logContext(req, { error: ex }));
+                    res.status(400); // Bad Request
+                    res.send({ message: ex });
+                    next();
                 });
 
                 return;
             }
 
             if (req.query.maxCardinality === 'true') {
-                anagramService.maxCardinalityAnagrams().then(results => {
+                if (isStreamRequest(req)) {
+                    return respondAnagramsStream(req, res, next, page => anagramService.maxCardinalityAnagrams(page));
+                }
+
+                const page = getPageOpts(req);
+
+                anagramService.maxCardinalityAnagrams(page).then(results => {
+                    if (page) {
+                        const response = { maxCardinalityAnagrams: { maxCardinality: results.maxCardinality, anagrams: results.anagrams, cursor: results.cursor } }; // put a bow on it
+
+                        res.send(response);
+                        return next();
+                    }
+
                     const maxCardinality = results.length ? results[0].length : 0;
 
                     const response = { maxCardinalityAnagrams: { maxCardinality, anagrams: results } }; // put a bow on it
 
-                    console.log(util.stripIndent `
-                        ${req.url} => ${util.formatJSON(response)}`);
-
                     res.send(response);
                     next();
+                }).catch(ex => {
+                    logger.debug('bad request', logContext(req, { error: ex }));
+                    res.status(400); // Bad Request
+                    res.send({ message: ex });
+                    next();
                 });
 
                 return;
             }
 
             if (req.query.maxLength === 'true') {
-                anagramService.maxLengthAnagrams().then(results => {
+                if (isStreamRequest(req)) {
+                    return respondAnagramsStream(req, res, next, page => anagramService.maxLengthAnagrams(page));
+                }
+
+                const page = getPageOpts(req);
+
+                anagramService.maxLengthAnagrams(page).then(results => {
+                    if (page) {
+                        const response = { maxLengthAnagrams: { maxLength: results.maxLength, anagrams: results.anagrams, cursor: results.cursor } }; // put a bow on it
+
+                        res.send(response);
+                        return next();
+                    }
+
                     const maxLength = results.length && results[0].length ? results[0][0].length : 0;
 
                     const response = { maxLengthAnagrams: { maxLength, anagrams: results } }; // put a bow on it
 
-                    console.log(util.stripIndent `
-                        ${req.url} => ${util.formatJSON(response)}`);
-
                     res.send(response);
                     next();
+                }).catch(ex => {
+                    logger.debug('bad request', logContext(req, { error: ex }));
+                    res.status(400); // Bad Request
+                    res.send({ message: ex });
+                    next();
                 });
 
                 return;
@@ -183,31 +511,39 @@ function startServer(opts) {
             if (req.query.areAnagrams) {
                 const words = req.query.areAnagrams.split(',');
 
-                if (!words || !words.length) {
+                if (!words || words.length < 2) {
                     res.status(400); // Bad Request
-                    res.send();
+                    res.send({ message: 'Query parameter "areAnagrams" must list at least 2 words' });
                     return next();
                 }
 
-                anagramService.areAnagrams(words).then(result => {
-                    const response = { anagramAffinity: { areAnagrams: result, words: words.map(word => word.trim()) } }; // put a bow on it
-
-                    console.log(util.stripIndent `
-                        ${req.url} => ${util.formatJSON(response)}`);
+                anagramService.compareAnagrams(words, { mode: req.query.mode }).then(comparison => {
+                    const response = { anagramAffinity: comparison }; // put a bow on it
 
                     res.send(response);
                     next();
+                }).catch(ex => {
+                    logger.error('request failed', logContext(req, { error: ex }));
+                    res.status(500); // Internal Server Error
+                    res.send({ message: ex });
+                    next();
                 });
 
                 return;
             }
 
             res.status(400); // Bad Request
-            res.send();
+            res.send({ message: 'Give one of the query parameters count, cardinalityMin, cardinalityMax, lengthMin, lengthMax, maxCardinality, maxLength or areAnagrams (see GET /openapi.json)' });
             return next();
         }
 
-        const start = process.hrtime();
+        if (req.query.multiWord === 'true') {
+            return respondPhraseAnagramsGet(word, req, res, next);
+        }
+
+        if (req.query.near) {
+            return respondNearAnagramsGet(word, req, res, next);
+        }
 
         const opts = {};
 
@@ -216,19 +552,181 @@ function startServer(opts) {
         util.copyPropBoolean(opts, req.query, 'includeInput');
 
         anagramService.get(word, opts).then(anagramSet => {
-            console.log(util.stripIndent `
-                Time to find anagrams for "${word}": ${prettyHrtime(process.hrtime(start))}`);
-
             const response = { anagrams: anagramSet }; // put a bow on it
 
-            console.log(util.stripIndent `
-                ${req.url} => ${util.formatJSON(response)}`);
+            res.send(response);
+
+            next();
+        }).catch(ex => {
+            logger.debug('bad request', logContext(req, { error: ex }));
+            res.status(400); // Bad Request
+            res.send({ message: ex });
+            next();
+        });
+    }
+
+    function respondAnagramsStream(req, res, next, query) {
+        let cursor = null,
+            finished = false;
+
+        // read the store a batch at a time, in key order, reading the next batch only
+        // once the client has taken the last one (so a slow client doesn't make the
+        // server buffer the whole result)
+
+        const finish = () => {
+            if (!finished) {
+                finished = true;
+                next();
+            }
+        };
+
+        const fail = ex => {
+            logger.error('request failed', logContext(req, { error: ex }));
+
+            if (!res.headersSent) {
+                res.status(500); // Internal Server Error
+                res.send({ message: ex });
+            } else {
+                res.connection.destroy(); // cut the stream short so the client doesn't take it as complete
+            }
+
+            finish();
+        };
+
+        const streamBatch = () => query({ limit: STREAM_BATCH_SIZE, cursor }).then(page => {
+            if (finished) {
+                return; // client went away
+            }
+
+            if (!res.headersSent) {
+                res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            }
+
+            const chunk = page.anagrams.map(anagramSet => `${JSON.stringify(anagramSet)}\n`).join('');
+
+            res.bytesStreamed += Buffer.byteLength(chunk);
+            cursor = page.cursor;
+
+            const flushed = !chunk || res.write(chunk);
+
+            if (!cursor) {
+                res.end();
+                finish();
+            } else if (flushed) {
+                streamBatch();
+            } else {
+                res.once('drain', streamBatch);
+            }
+        }).catch(fail);
+
+        res.bytesStreamed = 0;
+        res.once('close', finish);
+
+        streamBatch();
+    }
+
+    function respondPhraseAnagramsGet(phrase, req, res, next) {
+        const anagramService = req.anagramService;
+
+        const opts = {};
+
+        util.copyPropNumber(opts, req.query, 'maxWords');
+        util.copyPropNumber(opts, req.query, 'minWordLength');
+        util.copyPropNumber(opts, req.query, 'limit');
+        util.copyPropNumber(opts, req.query, 'timeout');
+        util.copyPropBoolean(opts, req.query, 'excludeProperNouns');
+        util.copyPropBoolean(opts, req.query, 'includeInput');
+
+        anagramService.phraseAnagrams(phrase, opts).then(results => {
+            const response = { phraseAnagrams: Object.assign({ phrase }, opts, results) }; // put a bow on it
 
             res.send(response);
+            next();
+        }).catch(ex => {
+            logger.debug('bad request', logContext(req, { error: ex }));
+            res.status(400); // Bad Request
+            res.send({ message: ex });
+            next();
+        });
+    }
 
+    function respondAnagramsLookup(req, res, next) {
+        const anagramService = req.anagramService,
+            words = req.body.words;
+
+        const opts = {};
+
+        util.copyPropNumber(opts, req.body, 'limit');
+        util.copyPropBoolean(opts, req.body, 'excludeProperNouns');
+        util.copyPropBoolean(opts, req.body, 'includeInput');
+
+        anagramService.lookup(words, opts).then(results => {
+            // key results by the words as given (items that aren't strings, as JSON). the maps have no prototype, so any word is a safe key (eg, "__proto__", which is a wildcard query).
+
+            const anagrams = Object.create(null),
+                errors = Object.create(null);
+
+            results.forEach((result, i) => {
+                const given = isString(words[i]) ? words[i] : JSON.stringify(words[i]);
+
+                if (result.error) {
+                    errors[given] = result.error;
+                } else {
+                    anagrams[given] = result.anagrams;
+                }
+            });
+
+            const response = { anagrams, errors }; // put a bow on it
+
+            res.send(response);
+            next();
+        }).catch(ex => {
+            logger.error('request failed', logContext(req, { error: ex }));
+            res.status(500); // Internal Server Error
+            res.send({ message: ex });
+            next();
+        });
+    }
+
+    function respondNearAnagramsGet(word, req, res, next) {
+        const anagramService = req.anagramService;
+
+        const opts = { near: req.query.near, distance: 1 };
+
+        util.copyPropNumber(opts, req.query, 'distance');
+        util.copyPropNumber(opts, req.query, 'limit');
+        util.copyPropBoolean(opts, req.query, 'excludeProperNouns');
+
+        anagramService.nearAnagrams(word, opts).then(results => {
+            const response = { nearAnagrams: Object.assign({ word }, opts, { anagrams: results }) }; // put a bow on it
+
+            res.send(response);
             next();
         }).catch(ex => {
-            console.log(ex);
+            logger.debug('bad request', logContext(req, { error: ex }));
+            res.status(400); // Bad Request
+            res.send({ message: ex });
+            next();
+        });
+    }
+
+    function respondSubAnagramsGet(req, res, next) {
+        const anagramService = req.anagramService,
+            letters = util.stripExtension(req.params.letters);
+
+        const opts = {};
+
+        util.copyPropNumber(opts, req.query, 'minLength');
+        util.copyPropNumber(opts, req.query, 'maxLength');
+        util.copyPropBoolean(opts, req.query, 'excludeProperNouns');
+
+        anagramService.subAnagrams(letters, opts).then(results => {
+            const response = { subAnagrams: Object.assign({ letters }, opts, { anagrams: results }) }; // put a bow on it
+
+            res.send(response);
+            next();
+        }).catch(ex => {
+            logger.debug('bad request', logContext(req, { error: ex }));
             res.status(400); // Bad Request
             res.send({ message: ex });
             next();
@@ -236,42 +734,38 @@ function startServer(opts) {
     }
 
     function respondWordsGet(req, res, next) {
+        const anagramService = req.anagramService;
+
         if (req.query.count === 'true') {
             const response = { counts: { word: anagramService.wordCount() } }; // put a bow on it
 
-            console.log(util.stripIndent `
-                ${req.url} => ${util.formatJSON(response)}`);
-
             res.send(response);
             return next();
         }
 
         if (req.query.stats === 'true') {
-            const start = process.hrtime();
-
             anagramService.stats().then(stats => {
-                console.log(util.stripIndent `
-                    Time to get stats: ${prettyHrtime(process.hrtime(start))}`);
-
                 const response = { stats }; // put a bow on it
 
-                console.log(util.stripIndent `
-                    ${req.url} => ${util.formatJSON(response)}`);
-
                 res.send(response);
                 next();
+            }).catch(ex => {
+                logger.error('request failed', logContext(req, { error: ex }));
+                res.status(500); // Internal Server Error
+                res.send({ message: ex });
+                next();
             });
 
             return;
         }
 
         res.status(400); // Bad Request
-        res.send();
+        res.send({ message: 'Give one of the query parameters count or stats (see GET /openapi.json)' });
         next();
     }
 
     function respondAdd(req, res, next) {
-        const start = process.hrtime();
+        const anagramService = req.anagramService;
 
         // restify parses JSON only if content-type is application/json
 
@@ -281,21 +775,13 @@ function startServer(opts) {
 
         if (!isArray(words)) {
             res.status(400); // Bad Request
-            res.send();
+            res.send({ message: 'Body property "words" must be an array of words' });
             return next();
         }
 
-        // we have an array of words. call add() on each word and collect returned promises.
-
-        const promises = [];
+        // we have an array of words. add them as a batch, which skips invalid words.
 
-        words.forEach(word => {
-            promises.push(anagramService.add(word));
-        });
-
-        // wait for all promises to resolve or reject, ignoring rejected promises
-
-        Promise.all(promises.map(promise => promise.catch(ex => ex))).then(results => {
+        anagramService.addMany(words).then(results => {
             let wordsAdded = 0,
                 anagramsAdded = 0;
 
@@ -304,7 +790,7 @@ function startServer(opts) {
             const successWords = [];
 
             results.forEach((counts, i) => {
-                if (counts.word) { // filter rejected promises and ignored add's
+                if (counts && counts.word) { // filter invalid words and ignored add's
                     wordsAdded += counts.word;
                     anagramsAdded += counts.anagram || 0;
                     successWords.push(words[i]);
@@ -312,11 +798,10 @@ function startServer(opts) {
             });
 
             if (wordsAdded) {
-                console.log(util.stripIndent `
-                    Added ${wordsAdded} words in ${prettyHrtime(process.hrtime(start))}`);
+                logger.info('added words', logContext(req, { counts: { word: wordsAdded, anagram: anagramsAdded } }));
 
                 res.status(201); // Created
-                res.send({ counts: { word: wordsAdded, anagram: anagramsAdded }, words: successWords.map(word => `/anagrams/${word}`) });
+                res.send({ counts: { word: wordsAdded, anagram: anagramsAdded }, words: successWords.map(word => `${req.basePath}/anagrams/${word}`) });
             } else {
                 res.status(204); // No Content
                 res.send();
@@ -324,7 +809,7 @@ function startServer(opts) {
 
             next();
         }).catch(ex => {
-            console.error(ex);
+            logger.error('request failed', logContext(req, { error: ex }));
             res.status(500); // Internal Server Error
             res.send({ message: ex });
             next();
@@ -332,24 +817,22 @@ function startServer(opts) {
     }
 
     function respondWordsDelete(req, res, next) {
-        const word = util.stripExtension(req.params.word);
+        const anagramService = req.anagramService,
+            word = util.stripExtension(req.params.word);
 
         if (!word) {
             res.status(400); // Bad Request
-            res.send();
+            res.send({ message: 'A word is required' });
             return next();
         }
 
-        const start = process.hrtime();
-
         const opts = {};
 
         util.copyPropBoolean(opts, req.query, 'includeAnagrams');
 
         anagramService.delete(word, opts).then(deleted => {
             if (deleted) {
-                console.log(util.stripIndent `
-                    Deleted ${deleted} words in ${prettyHrtime(process.hrtime(start))}`);
+                logger.info('deleted words', logContext(req, { word, count: deleted }));
 
                 res.status(204); // No Content
             } else {
@@ -359,7 +842,7 @@ function startServer(opts) {
             res.send();
             next();
         }).catch(ex => {
-            console.log(ex);
+            logger.debug('bad request', logContext(req, { error: ex }));
             res.status(400); // Bad Request
             res.send({ message: ex });
             next();
@@ -367,22 +850,691 @@ function startServer(opts) {
     }
 
     function respondClear(req, res, next) {
+        req.anagramService.clear().then(() => {
+            logger.info('cleared dictionary', logContext(req));
+
+            res.status(204); // No Content
+            res.send();
+            next();
+        }).catch(ex => {
+            logger.error('request failed', logContext(req, { error: ex }));
+            res.status(500); // Internal Server Error
+            res.send({ message: ex });
+            next();
+        });
+    }
+
+    function respondWordsImport(req, res, next) {
+        const anagramService = req.anagramService,
+            type = req.getContentType(),
+            encoding = String(req.headers['content-encoding'] || 'identity').toLowerCase();
+
+        if (IMPORT_TYPES.indexOf(type) === -1 || ['identity', 'gzip'].indexOf(encoding) === -1) {
+            res.status(415); // Unsupported Media Type
+            res.send({ message: 'Upload a word list as text/plain (optionally with "Content-Encoding: gzip") or as application/gzip' });
+            return next();
+        }
+
+        const gzipped = type !== 'text/plain' || encoding === 'gzip';
+
+        const tooLarge = () => {
+            res.status(413); // Payload Too Large
+            res.header('Connection', 'close'); // rather than read the rest of the upload
+            res.send({ message: `Uploads may be at most ${maxUploadSize} bytes` });
+            next();
+        };
+
+        if (+req.headers['content-length'] > maxUploadSize) {
+            return tooLarge();
+        }
+
+        // spool the upload to a temporary file, so that answering doesn't wait on its words being added
+
+        spoolUpload(req, maxUploadSize).then(upload => {
+            // gzip data starts with the bytes 1f 8b
+            if (gzipped && !(upload.head[0] === 0x1f && upload.head[1] === 0x8b)) {
+                removeFile(upload.file);
+
+                res.status(400); // Bad Request
+                res.send({ message: 'The upload is not valid gzip' });
+                return next();
+            }
+
+            const file = fs.createReadStream(upload.file),
+                input = gzipped ? file.pipe(zlib.createGunzip()) : file,
+                progress = { bytes: 0, totalBytes: upload.bytes, lines: 0, counts: { word: 0, anagram: 0 }, rejectedCount: 0 },
+                start = process.hrtime();
+
+            file.on('data', chunk => {
+                progress.bytes += chunk.length;
+            });
+
+            if (gzipped) {
+                file.on('error', ex => input.emit('error', ex));
+            }
+
+            const job = jobs.start('import', { dictionary: req.params.name || dictionaries.defaultName() }, (setProgress, id) => {
+                setProgress(progress);
+
+                const loading = anagramService.load(input, {
+                    onProgress: loaded => {
+                        progress.lines = loaded.lines;
+                        progress.counts = { word: loaded.word, anagram: loaded.anagram };
+                        progress.rejectedCount = loaded.rejected;
+                    }
+                }).then(report => {
+                    const counts = loadCounts(report);
+
+                    logger.info('imported words', logContext(req, { job: id, counts, rejected: report.rejectedCount, durationMs: elapsedMs(start) }));
+                    logRejectedWords(report, logContext(req, { job: id }));
+
+                    return { bytes: progress.bytes, lines: report.lines, counts, rejectedCount: report.rejectedCount, rejected: report.rejected };
+                }).catch(ex => {
+                    logger.warn('import failed', logContext(req, { job: id, error: ex }));
+                    throw ex;
+                });
+
+                loading.then(() => removeFile(upload.file), () => removeFile(upload.file));
+
+                return loading;
+            });
+
+            logger.info('started import', logContext(req, { job: job.id }));
+
+            // answer now; its words are still being added
+
+            res.status(202); // Accepted
+            res.header('Location', `/jobs/${job.id}`);
+            res.send({ job: jobs.get(job.id) });
+            next();
+        }, ex => {
+            if (ex === UPLOAD_TOO_LARGE) {
+                return tooLarge();
+            }
+
+            logger.warn('upload failed', logContext(req, { error: ex }));
+
+            res.status(400); // Bad Request
+            res.send({ message: ex instanceof Error ? ex.message : ex });
+            next();
+        });
+    }
+
+    function respondWordsExport(req, res, next) {
+        const format = req.query.format || 'txt',
+            exporter = EXPORT_FORMATS[format],
+            filename = `${req.params.name || dictionaries.defaultName()}.${format}`;
+
+        let count = 0, // anagram sets exported so far
+            finished = false;
+
+        const finish = () => {
+            if (!finished) {
+                finished = true;
+                next();
+            }
+        };
+
+        const write = chunk => {
+            if (!res.headersSent) {
+                res.writeHead(200, { 'Content-Type': exporter.type, 'Content-Disposition': `attachment; filename="${filename}"` });
+            }
+
+            res.bytesStreamed += Buffer.byteLength(chunk);
+
+            // wait for the client to take what's been written before reading more from the store
+
+            return res.write(chunk) || new Promise(resolve => {
+                res.once('drain', resolve);
+                res.once('close', resolve);
+            });
+        };
+
+        res.bytesStreamed = 0;
+        res.once('close', finish);
+
+        req.anagramService.eachBatch(EXPORT_BATCH_SIZE, batch => {
+            if (finished) {
+                throw 'The client went away'; // stop reading the store
+            }
+
+            return write((count ? '' : exporter.head) + batch.map(anagramSet => exporter.set(anagramSet, count++)).join(''));
+        }).then(() => {
+            if (!finished) {
+                write((count ? '' : exporter.head) + exporter.tail);
+                res.end();
+                finish();
+            }
+        }).catch(ex => {
+            if (finished) {
+                return;
+            }
+
+            logger.error('request failed', logContext(req, { error: ex }));
+
+            if (!res.headersSent) {
+                res.status(500); // Internal Server Error
+                res.send({ message: ex });
+            } else {
+                res.connection.destroy(); // cut the export short so the client doesn't take it as complete
+            }
+
+            finish();
+        });
+    }
+
+    function respondJobGet(req, res, next) {
+        const job = jobs.get(req.params.id);
+
+        if (!job) {
+            res.status(404); // Not Found
+            res.send({ message: `Job "${req.params.id}" does not exist` });
+            return next();
+        }
+
+        const response = { job }; // put a bow on it
+
+        res.send(response);
+        next();
+    }
+
+    function respondOpenApi(req, res, next) {
+        res.send(spec);
+        next();
+    }
+
+    function respondMetrics(req, res, next) {
+        res.sendRaw(200, metrics.render(), { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        next();
+    }
+
+    function respondDictionariesGet(req, res, next) {
+        const response = { dictionaries: dictionaries.list() }; // put a bow on it
+
+        res.send(response);
+        next();
+    }
+
+    function respondDictionaryCreate(req, res, next) {
+        // restify parses JSON only if content-type is application/json
+
+        const body = (isString(req.body) ? util.silentJSONParse(req.body) : req.body) || {},
+            name = body.name;
+
+        if (!dictionaries.canCreate()) {
+            res.status(501); // Not Implemented
+            res.send({ message: 'Named dictionaries are not supported by this server' });
+            return next();
+        }
+
+        if (!isString(name) || !dictionaries.isValidName(name) || name === dictionaries.defaultName()) {
+            res.status(400); // Bad Request
+            res.send({ message: `Dictionary name "${name}" is invalid. Use 1 to 64 letters, digits or underscores.` });
+            return next();
+        }
+
+        if (body.locale != null && !dictionaries.isValidLocale(body.locale)) {
+            res.status(400); // Bad Request
+            res.send({ message: `Locale "${body.locale}" is invalid. Use a language tag (eg, "de" or "pt-BR").` });
+            return next();
+        }
+
+        if (dictionaries.has(name)) {
+            res.status(409); // Conflict
+            res.send({ message: `Dictionary "${name}" already exists` });
+            return next();
+        }
+
+        dictionaries.create(name, body).then(() => {
+            const response = { dictionary: dictionaries.describe(name) }; // put a bow on it
+
+            logger.info('created dictionary', logContext(req, { dictionary: name }));
+
+            res.status(201); // Created
+            res.send(response);
+            next();
+        }).catch(ex => {
+            logger.error('request failed', logContext(req, { error: ex }));
+            res.status(500); // Internal Server Error
+            res.send({ message: ex });
+            next();
+        });
+    }
+
+    function respondDictionaryPreload(req, res, next) {
+        const anagramService = req.anagramService,
+            body = (isString(req.body) ? util.silentJSONParse(req.body) : req.body) || {};
+
+        if (!isString(body.file) || !body.file) {
+            res.status(400); // Bad Request
+            res.send({ message: 'A word list "file" is required' });
+            return next();
+        }
+
+        // only load word lists from the word list directory
+
+        const source = path.join(opts.wordListDir || DEFAULT_WORD_LIST_DIR, path.basename(body.file));
+
+        if (!fs.existsSync(source)) {
+            res.status(404); // Not Found
+            res.send({ message: `Word list "${body.file}" does not exist` });
+            return next();
+        }
+
         const start = process.hrtime();
 
-        anagramService.clear().then(() => {
-            console.log(util.stripIndent `
-                Cleared dictionary in ${prettyHrtime(process.hrtime(start))}`);
+        anagramService.load(source).then(report => {
+            const durationMs = elapsedMs(start),
+                counts = loadCounts(report);
+
+            metrics.observePreload(req.params.name, durationMs / 1000);
+
+            logger.info('preloaded dictionary', logContext(req, { file: source, counts, rejected: report.rejectedCount, durationMs }));
+            logRejectedWords(report, logContext(req, { file: source }));
+
+            const response = { counts }; // put a bow on it
+
+            res.send(response);
+            next();
+        }).catch(ex => {
+            logger.error('request failed', logContext(req, { error: ex }));
+            res.status(500); // Internal Server Error
+            res.send({ message: ex });
+            next();
+        });
+    }
+
+    function respondDictionaryDrop(req, res, next) {
+        const name = util.stripExtension(req.params.name);
+
+        if (name === dictionaries.defaultName()) {
+            res.status(400); // Bad Request
+            res.send({ message: 'The default dictionary cannot be dropped' });
+            return next();
+        }
+
+        if (!dictionaries.get(name)) {
+            res.status(404); // Not Found
+            res.send({ message: `Dictionary "${name}" does not exist` });
+            return next();
+        }
+
+        dictionaries.drop(name).then(() => {
+            logger.info('dropped dictionary', logContext(req, { dictionary: name }));
 
             res.status(204); // No Content
             res.send();
             next();
         }).catch(ex => {
-            console.log(ex);
+            logger.error('request failed', logContext(req, { error: ex }));
             res.status(500); // Internal Server Error
             res.send({ message: ex });
             next();
         });
     }
+
+    return server;
 }
 
 module.exports = startServer;
+
+// formats of dictionary exports: the content type, text before the first anagram set, the
+// text of each anagram set (given the number of sets before it) and text after the last set
+
+const EXPORT_FORMATS = {
+    txt: { // one word per line, as load() reads
+        type: 'text/plain; charset=utf-8',
+        head: '',
+        set: anagramSet => anagramSet.words.map(word => `${word}\n`).join(''),
+        tail: ''
+    },
+    json: { // an array of anagram sets
+        type: 'application/json',
+        head: '[\n',
+        set: (anagramSet, i) => `${i ? ',\n' : ''}${JSON.stringify(anagramSet.words)}`,
+        tail: '\n]\n'
+    },
+    csv: { // a line per word with its key and the size of its anagram set
+        type: 'text/csv; charset=utf-8',
+        head: 'word,key,size\r\n',
+        set: anagramSet => anagramSet.words.map(word => `${csvField(word)},${csvField(anagramSet.key)},${anagramSet.words.length}\r\n`).join(''),
+        tail: ''
+    }
+};
+
+/**
+ * Create a logger from the `log` server options.
+ *
+ * @private
+ * @function createLogger
+ * @param  {LogOpts} log Log options
+ * @return {Logger}      The logger
+ */
+function createLogger(log) {
+    return new Logger({
+        level: log.level,
+        logBodies: log.bodies,
+        sink: log.file ? new RotatingFileSink({ path: log.file, maxSize: log.maxSize, maxFiles: log.maxFiles }) : undefined
+    });
+}
+
+/**
+ * Get the milliseconds elapsed since a time.
+ *
+ * @private
+ * @function elapsedMs
+ * @param  {array}  start Start time, as returned by `process.hrtime()`
+ * @return {number}       Elapsed milliseconds, to the microsecond
+ */
+function elapsedMs(start) {
+    const elapsed = process.hrtime(start);
+
+    return Math.round(elapsed[0] * 1e6 + elapsed[1] / 1e3) / 1e3;
+}
+
+/**
+ * Create a rate limiter from the `rateLimit` server options.
+ *
+ * @private
+ * @function createRateLimiter
+ * @param  {RateLimitOpts} rateLimit Rate limit options
+ * @return {RateLimiter}             The rate limiter, or `null` if nothing is limited
+ */
+function createRateLimiter(rateLimit) {
+    const budgets = {},
+        limits = {
+            lookup: rateLimit.lookup == null ? DEFAULT_LOOKUP_RATE_LIMIT : rateLimit.lookup,
+            scan: rateLimit.scan == null ? DEFAULT_SCAN_RATE_LIMIT : rateLimit.scan
+        };
+
+    Object.keys(limits).forEach(name => {
+        if (limits[name]) { // 0 for no limit
+            budgets[name] = { limit: limits[name], interval: 60 };
+        }
+    });
+
+    return Object.keys(budgets).length ? new RateLimiter(budgets) : null;
+}
+
+/**
+ * Test whether a request queries a whole dictionary, ie, iterates every anagram set
+ * (eg, exports), or searches every anagram set key and may read many sets (phrase,
+ * sub-anagram, near-anagram and wildcard searches, and length and cardinality queries,
+ * whose sets are picked out by indexes but may still be many).
+ *
+ * @private
+ * @function isScanRequest
+ * @param  {object}  req Restify request
+ * @return {boolean}     `true` if the request scans a dictionary.
+ *                       `false` otherwise.
+ */
+function isScanRequest(req) {
+    const route = req.route ? req.route.path : '',
+        query = req.query || {};
+
+    if (/\/words\/export$/.test(route) || /\/subanagrams\/:letters$/.test(route)) {
+        return true;
+    }
+
+    if (/\/anagrams$/.test(route)) {
+        return ['cardinalityMin', 'cardinalityMax', 'lengthMin', 'lengthMax'].some(param => query[param]) ||
+            query.maxCardinality === 'true' || query.maxLength === 'true';
+    }
+
+    if (/\/anagrams\/:word$/.test(route)) {
+        return query.multiWord === 'true' || !!query.near || WILDCARD.test(req.params.word || '');
+    }
+
+    if (/\/anagrams\/lookup$/.test(route)) {
+        const words = req.body && req.body.words;
+
+        return isArray(words) && words.some(word => isString(word) && WILDCARD.test(word));
+    }
+
+    return false;
+}
+
+/**
+ * Quote a CSV field if need be.
+ *
+ * @private
+ * @function csvField
+ * @param  {string} str Field value
+ * @return {string}     The field as it goes in a CSV line
+ */
+function csvField(str) {
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Test whether a request uploads a word list, whose body its route streams.
+ *
+ * @private
+ * @function isUploadRequest
+ * @param  {object}  req Restify request
+ * @return {boolean}     `true` if the request is an upload.
+ *                       `false` otherwise.
+ */
+function isUploadRequest(req) {
+    return !!req.route && /\/words\/import$/.test(req.route.path);
+}
+
+/**
+ * Run restify handlers one after another, as restify runs a chain, stopping at the
+ * first to pass an error (or `false`) to its `next()`.
+ *
+ * @private
+ * @function runHandlers
+ * @param  {function[]} handlers Handlers, eg, of a restify plugin
+ * @param  {object}     req      Restify request
+ * @param  {object}     res      Restify response
+ * @param  {function}   next     Called once the handlers are done, with any error
+ * @return {undefined}
+ */
+function runHandlers(handlers, req, res, next) {
+    const run = i => {
+        if (i === handlers.length) {
+            return next();
+        }
+
+        handlers[i](req, res, err => err != null ? next(err) : run(i + 1));
+    };
+
+    run(0);
+}
+
+/**
+ * Get the word and anagram counts of a load report.
+ *
+ * @private
+ * @function loadCounts
+ * @param  {LoadReport}       report Report of a load
+ * @return {DictionaryCounts}        Counts for words added
+ */
+function loadCounts(report) {
+    return { word: report.word, anagram: report.anagram };
+}
+
+/**
+ * Write the body of a request to a temporary file.
+ *
+ * Rejects if the upload is cut short, passes `maxBytes` (with `UPLOAD_TOO_LARGE`) or the
+ * file can't be written, in which case the file is removed.
+ *
+ * @private
+ * @function spoolUpload
+ * @param  {object}                  req      Restify request
+ * @param  {number}                  maxBytes Most bytes to accept
+ * @return {Promise.<SpooledUpload>}          The file, its size and its first bytes
+ */
+function spoolUpload(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const file = path.join(os.tmpdir(), `anagram-import-${crypto.randomBytes(16).toString('hex')}`),
+            out = fs.createWriteStream(file, { flags: 'wx' });
+
+        let bytes = 0,
+            head = Buffer.alloc(0),
+            failed = false;
+
+        const fail = ex => {
+            if (!failed) {
+                failed = true;
+                req.unpipe(out);
+                out.destroy();
+                reject(ex);
+            }
+        };
+
+        req.on('data', chunk => {
+            if (head.length < 2) {
+                head = Buffer.concat([head, chunk]).slice(0, 2);
+            }
+
+            bytes += chunk.length;
+
+            if (bytes > maxBytes) {
+                fail(UPLOAD_TOO_LARGE);
+            }
+        });
+
+        req.on('aborted', () => fail('The upload was cut short'));
+        req.on('error', fail);
+        out.on('error', fail);
+
+        out.on('finish', () => {
+            if (!failed) {
+                resolve({ file, bytes, head });
+            }
+        });
+
+        // once the file is closed, a failed upload's file can be removed
+
+        out.on('close', () => {
+            if (failed) {
+                removeFile(file);
+            }
+        });
+
+        req.pipe(out);
+    });
+}
+
+/**
+ * Remove a file, ignoring failures (eg, if it's already gone).
+ *
+ * @private
+ * @function removeFile
+ * @param  {string}    file Path of the file
+ * @return {undefined}
+ */
+function removeFile(file) {
+    fs.unlink(file, () => {});
+}
+
+/**
+ * Test whether a request asks for anagram sets to be streamed as newline-delimited
+ * JSON, ie, with `Accept: application/x-ndjson` or `stream=true`.
+ *
+ * @private
+ * @function isStreamRequest
+ * @param  {object}  req Restify request
+ * @return {boolean}     `true` if the request asks for a stream.
+ *                       `false` otherwise.
+ */
+function isStreamRequest(req) {
+    return req.query.stream === 'true' || /(^|,)\s*application\/x-ndjson\s*(;|,|$)/i.test(req.headers.accept || '');
+}
+
+/**
+ * Get the paging options of a request for anagram sets (`limit` and `cursor`).
+ *
+ * @private
+ * @function getPageOpts
+ * @param  {object}   req Restify request
+ * @return {PageOpts}     The paging options, or `undefined` if the request gives neither
+ */
+function getPageOpts(req) {
+    if (req.query.limit == null && req.query.cursor == null) {
+        return undefined;
+    }
+
+    const page = {};
+
+    util.copyPropNumber(page, req.query, 'limit');
+
+    if (req.query.cursor != null) {
+        page.cursor = req.query.cursor;
+    }
+
+    return page;
+}
+
+/**
+ * Get the IP address of the client that made a request.
+ *
+ * @private
+ * @function getClientIp
+ * @param  {object}  req        Restify request
+ * @param  {boolean} trustProxy Whether to take the address from the `X-Forwarded-For` header
+ *                              (only safe behind a proxy that sets it)
+ * @return {string}             The client's IP address
+ */
+function getClientIp(req, trustProxy) {
+    const forwardedFor = trustProxy && req.headers['x-forwarded-for'];
+
+    if (forwardedFor) {
+        return String(forwardedFor).split(',')[0].trim();
+    }
+
+    return req.connection.remoteAddress;
+}
+
+/**
+ * Get the API key presented with a request, as either a bearer token
+ * (`Authorization: Bearer <key>`) or an `X-API-Key` header.
+ *
+ * @private
+ * @function getApiKey
+ * @param  {object} req Restify request
+ * @return {string}     The key, an empty string if a header holds no key, or
+ *                      `undefined` if no key was presented
+ */
+function getApiKey(req) {
+    const authorization = req.headers.authorization;
+
+    if (authorization != null) {
+        const match = /^Bearer\s+(\S*)\s*$/i.exec(authorization);
+
+        return match ? match[1] : '';
+    }
+
+    const key = req.headers['x-api-key'];
+
+    return key != null ? String(key).trim() : undefined;
+}
+
+/**
+ * @typedef {object} RateLimitOpts
+ * @property {number}  [lookup]     Requests per minute per client, other than scans (default 600).
+ *                                  0 for no limit.
+ * @property {number}  [scan]       Requests per minute per client that scan a whole dictionary
+ *                                  (default 30). 0 to count scans against `lookup` instead.
+ * @property {boolean} [trustProxy] Identify clients by the `X-Forwarded-For` header
+ *                                  rather than the connection's address
+ */
+
+/**
+ * @typedef {object} SpooledUpload
+ * @property {string} file  Path of the temporary file holding the upload
+ * @property {number} bytes Size of the upload in bytes
+ * @property {Buffer} head  The first (up to) two bytes of the upload
+ */
+
+/**
+ * @typedef {object} LogOpts
+ * @property {string}  [level]    Least severe level to log: `error`, `warn`, `info` (default) or `debug`
+ * @property {boolean} [bodies]   Whether to log request and response bodies
+ * @property {string}  [file]     Path of a file to log to, rotated by size. Logs to stdout if omitted.
+ * @property {number}  [maxSize]  Size in bytes past which to rotate the log file (default 10 MB)
+ * @property {number}  [maxFiles] Number of rotated log files to keep (default 5)
+ */
@@ -1,7 +1,14 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+
 const INDENT_SPACES = 3;
 
+const CHARACTER = /\P{M}\p{M}*|\p{M}+/gu; // a base character and any combining marks that follow it
+const COMPLEX_TEXT = /\p{M}|[^\u0000-\uffff]/u; // combining marks or characters outside the BMP (ie, surrogate pairs)
+const COMBINING_MARKS = /\p{M}/gu;
+
 /**
  * General utility functions.
  *
@@ -177,20 +184,138 @@ const util = {
      * Determine if a string is a proper noun.
      *
      * Conditions: all letters must be lowercase except for
-     * first letter (which must be uppercase) and first letter
-     * after a hyphen (which may be uppercase or lowercase). 
-     * String may not start or end with a hyphen.
+     * first letter (which must be uppercase or titlecase) and first
+     * letter after a hyphen (which may be any case). Letters without
+     * case (eg, most CJK characters) count as lowercase. String may
+     * not start or end with a hyphen.
      *
-     * Assumes word characters are limited to upper/lower a-z and hyphen.
-     *
-     * TODO: expand support for international characters.
+     * Letters may be from any alphabet and may carry combining marks.
      *
      * @param  {string}  str String to test for proper nounness
      * @return {boolean}     `true` if `str` is a proper noun.
      *                       `false` otherwise.
      */
     isProperNoun(str) {
-        return /^[A-Z]((-[A-Za-z])?[a-z]*)*$/.test(str);
+        return /^[\p{Lu}\p{Lt}][\p{Ll}\p{Lm}\p{Lo}\p{M}]*(-\p{L}[\p{Ll}\p{Lm}\p{Lo}\p{M}]*)*$/u.test(util.normalizeText(str));
+    },
+
+    /**
+     * Normalize a string to Unicode Normalization Form C (composed characters),
+     * so that equivalent strings (eg, "\u00e9" and "e\u0301") compare equal.
+     *
+     * @param  {string} str String to normalize
+     * @return {string}     NFC-normalized string
+     */
+    normalizeText(str) {
+        return str.normalize('NFC');
+    },
+
+    /**
+     * Strip diacritics (eg, accents, cedillas, umlauts) from a string.
+     *
+     * <pre><code>util.foldDiacritics('\u00e9tale'); // 'etale'</code></pre>
+     *
+     * @param  {string} str String to fold
+     * @return {string}     NFC-normalized string without combining marks
+     */
+    foldDiacritics(str) {
+        return str.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC');
+    },
+
+    /**
+     * Split a string into characters as a reader would see them, ie, a base character
+     * plus any combining marks that follow it, keeping surrogate pairs together.
+     *
+     * Returns `str` itself when every code unit is a character of its own (the common
+     * case), so the result can be indexed and measured the same way either way.
+     *
+     * @param  {string}          str String to split
+     * @return {(string|array)}      `str` or an array of its characters
+     */
+    graphemes(str) {
+        return COMPLEX_TEXT.test(str) ? str.match(CHARACTER) : str;
+    },
+
+    /**
+     * Count the occurrences of each character (see `graphemes()`) in a string.
+     *
+     * @param  {string} str String to count characters of
+     * @return {Map}        Map of character to number of occurrences
+     */
+    countLetters(str) {
+        const chars = util.graphemes(str),
+            counts = new Map();
+
+        for (let i = 0; i < chars.length; i++) {
+            counts.set(chars[i], (counts.get(chars[i]) || 0) + 1);
+        }
+
+        return counts;
+    },
+
+    /**
+     * Test whether a character-sorted string can be built from a set of
+     * character counts (eg, as returned by `countLetters()`).
+     *
+     * @param  {Map}     counts Map of character to number of available occurrences
+     * @param  {string}  str    Character-sorted string to test
+     * @return {boolean}        `true` if every character of `str` is available in `counts`.
+     *                          `false` otherwise.
+     */
+    hasLetters(counts, str) {
+        const chars = util.graphemes(str);
+
+        for (let i = 0; i < chars.length;) {
+            const ch = chars[i];
+
+            let n = 0;
+
+            while (chars[i] === ch) { // count run of identical characters
+                n++;
+                i++;
+            }
+
+            if ((counts.get(ch) || 0) < n) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Add the characters of a string to, or take them from, a set of
+     * character counts (eg, as returned by `countLetters()`).
+     *
+     * Mutates `counts`.
+     *
+     * @param  {Map}       counts Map of character to number of available occurrences
+     * @param  {string}    str    Characters to add or take
+     * @param  {number}    delta  1 to add characters, -1 to take them
+     * @return {undefined}
+     */
+    adjustLetters(counts, str, delta) {
+        const chars = util.graphemes(str);
+
+        for (let i = 0; i < chars.length; i++) {
+            counts.set(chars[i], (counts.get(chars[i]) || 0) + delta);
+        }
+    },
+
+    /**
+     * Create a directory (and its parents) if it does not exist.
+     *
+     * @param  {string}    dir Directory path
+     * @return {undefined}
+     */
+    makeDir(dir) {
+        if (fs.existsSync(dir)) {
+            return;
+        }
+
+        util.makeDir(path.dirname(dir));
+
+        fs.mkdirSync(dir);
     },
 
     /**
@@ -0,0 +1,851 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+
+const AnagramService = require('../src/AnagramService');
+const MemoryAdapter = require('../src/adapters/MemoryAdapter');
+const util = require('../src/util/util');
+
+describe('AnagramService', function() {
+    function streamOf(text) {
+        const input = new stream.PassThrough();
+
+        input.end(text);
+
+        return input;
+    }
+
+    function createService(words, opts) {
+        const service = new AnagramService(new MemoryAdapter(), opts);
+
+        return words.reduce((promise, word) => promise.then(() => service.add(word)), Promise.resolve()).then(() => service);
+    }
+
+    describe('international words', function() {
+        it('accepts letters from any alphabet', function() {
+            return createService(['Köln', 'löwe', 'wöle', 'niño', 'ñoni', 'Ελλάδα', 'д́о'])
+                .then(service => {
+                    assert.strictEqual(service.wordCount(), 7);
+                    return service.get('löwe');
+                })
+                .then(anagrams => assert.deepStrictEqual(anagrams, ['wöle']));
+        });
+
+        it('rejects words with digits, punctuation or stray marks', function() {
+            return createService([])
+                .then(service => Promise.all(['r2d2', 'don\'t', '́abc', 'abc-'].map(word =>
+                    service.add(word).then(() => assert.fail(`expected "${word}" to be rejected`), ex => assert.ok(/invalid/.test(ex))))));
+        });
+
+        it('matches composed and decomposed forms of the same word', function() {
+            return createService(['\u00e9tale', 'te\u0301ale']) // composed and decomposed
+                .then(service => {
+                    assert.strictEqual(service.anagramCount(), 1);
+                    return service.get('e\u0301tale');
+                })
+                .then(anagrams => assert.deepStrictEqual(anagrams, ['t\u00e9ale'])); // stored composed
+        });
+
+        it('keeps combining marks and surrogate pairs with their letters', function() {
+            // there is no precomposed b with acute accent, and '𐐷' (Deseret) is outside the BMP
+            return createService(['ab́', 'b́a', 'bá', '𐐷a', 'a𐐷'])
+                .then(service => Promise.all([service.get('ab́'), service.get('𐐷a'), service.subAnagrams('ab́')]))
+                .then(results => {
+                    assert.deepStrictEqual(results[0], ['b́a']);
+                    assert.deepStrictEqual(results[1], ['a𐐷']);
+                    assert.deepStrictEqual(Object.keys(results[2]), ['2']);
+                });
+        });
+
+        it('finds phrase anagrams of international words', function() {
+            return createService(['ñu', 'año', 'uña', 'oñ'])
+                .then(service => service.phraseAnagrams('año ñu'))
+                .then(result => assert.deepStrictEqual(result, { anagrams: ['uña oñ'], complete: true }));
+        });
+
+        it('cases words per locale', function() {
+            // in Turkish, the lowercase of "I" is dotless "ı"
+            return createService(['Isparta', 'sıparta'], { locale: 'tr' })
+                .then(service => service.get('Isparta'))
+                .then(anagrams => assert.deepStrictEqual(anagrams, ['sıparta']));
+        });
+
+        it('treats words that differ by diacritics as distinct by default', function() {
+            return createService(['étale', 'etale', 'teale'])
+                .then(service => Promise.all([service.get('etale'), service.get('étale')]))
+                .then(results => assert.deepStrictEqual(results, [['teale'], []]));
+        });
+
+        it('treats words that differ by diacritics as anagrams when folding diacritics', function() {
+            return createService(['étale', 'teale', 'Été'], { foldDiacritics: true })
+                .then(service => Promise.all([
+                    service.get('etale'),
+                    service.get('étale'),
+                    service.get('ete', { includeInput: true }),
+                    service.areAnagrams(['etale', 'teale'])
+                ]))
+                .then(results => assert.deepStrictEqual(results, [['étale', 'teale'], ['teale'], ['Été'], true]));
+        });
+    });
+
+    describe('addMany()', function() {
+        it('adds words as one batch and reports each', function() {
+            const adapter = new MemoryAdapter(),
+                batches = [];
+
+            adapter.addMany = entries => {
+                batches.push(entries.map(entry => entry.val));
+                return Promise.all(entries.map(entry => adapter.add(entry.key, entry.val)));
+            };
+
+            const service = new AnagramService(adapter);
+
+            return service.addMany(['dare', 'r2d2', ' read ', 'dare', 'cat'])
+                .then(results => {
+                    assert.deepStrictEqual(results, [
+                        { word: 1, anagram: 0 },
+                        null,
+                        { word: 1, anagram: 1 },
+                        { word: 0, anagram: 0 },
+                        { word: 1, anagram: 0 }
+                    ]);
+                    assert.deepStrictEqual(batches, [['dare', 'read', 'dare', 'cat']]);
+                    assert.deepStrictEqual([service.wordCount(), service.anagramCount()], [3, 1]);
+                });
+        });
+
+        it('rejects if the store fails', function() {
+            const adapter = new MemoryAdapter();
+
+            adapter.add = () => Promise.reject('Disk full');
+
+            return new AnagramService(adapter).addMany(['dare'])
+                .then(() => assert.fail('expected addMany() to fail'), ex => assert.strictEqual(ex, 'Disk full'));
+        });
+    });
+
+    describe('get() with wildcards', function() {
+        const words = ['read', 'dare', 'dear', 'road', 'bard', 'drab', 'Brad', 'red', 'rod', 'ad', 'to', 'it'];
+
+        it('matches any letter for a wildcard, pairing each set with the letter', function() {
+            return createService(words)
+                .then(service => Promise.all([service.get('r?ad'), service.get('_ed')]))
+                .then(results => assert.deepStrictEqual(results, [
+                    [
+                        { blanks: ['b'], anagrams: ['bard', 'drab', 'Brad'] },
+                        { blanks: ['e'], anagrams: ['read', 'dare', 'dear'] },
+                        { blanks: ['o'], anagrams: ['road'] }
+                    ],
+                    [{ blanks: ['r'], anagrams: ['red'] }]
+                ]));
+        });
+
+        it('matches several wildcards, pairing each set with the sorted letters', function() {
+            return createService(words)
+                .then(service => service.get('d??r'))
+                .then(matches => assert.deepStrictEqual(matches, [
+                    { blanks: ['a', 'b'], anagrams: ['bard', 'drab', 'Brad'] },
+                    { blanks: ['a', 'e'], anagrams: ['read', 'dare', 'dear'] },
+                    { blanks: ['a', 'o'], anagrams: ['road'] }
+                ]));
+        });
+
+        it('matches every set of the length for a word of only wildcards', function() {
+            return createService(words)
+                .then(service => service.get('__'))
+                .then(matches => assert.deepStrictEqual(matches, [
+                    { blanks: ['a', 'd'], anagrams: ['ad'] },
+                    { blanks: ['i', 't'], anagrams: ['it'] },
+                    { blanks: ['o', 't'], anagrams: ['to'] }
+                ]));
+        });
+
+        it('limits the number of sets and leaves out proper nouns on request', function() {
+            return createService(words)
+                .then(service => Promise.all([
+                    service.get('r?ad', { limit: 2 }),
+                    service.get('d??r', { limit: 1, excludeProperNouns: true }),
+                    service.get('z?', { limit: 2 })
+                ]))
+                .then(results => assert.deepStrictEqual(results, [
+                    [
+                        { blanks: ['b'], anagrams: ['bard', 'drab', 'Brad'] },
+                        { blanks: ['e'], anagrams: ['read', 'dare', 'dear'] }
+                    ],
+                    [{ blanks: ['a', 'b'], anagrams: ['bard', 'drab'] }],
+                    []
+                ]));
+        });
+    });
+
+    describe('lookup()', function() {
+        it('gets the anagrams of each word, as get() does', function() {
+            return createService(['dare', 'dear', 'read', 'Reda', 'cat', 'act'])
+                .then(service => Promise.all([
+                    service.lookup(['read', 'cat', ' dear ', 'tac', 'r_ad', 'read']),
+                    service.lookup(['read', 'act'], { includeInput: true, excludeProperNouns: true, limit: 2 })
+                ]))
+                .then(results => assert.deepStrictEqual(results, [
+                    [
+                        { anagrams: ['dare', 'dear', 'Reda'] },
+                        { anagrams: ['act'] },
+                        { anagrams: ['dare', 'read', 'Reda'] },
+                        { anagrams: [] }, // unknown word
+                        { anagrams: [{ blanks: ['e'], anagrams: ['dare', 'dear', 'read', 'Reda'] }] },
+                        { anagrams: ['dare', 'dear', 'Reda'] }
+                    ],
+                    [{ anagrams: ['dare', 'dear'] }, { anagrams: ['cat', 'act'] }]
+                ]));
+        });
+
+        it('reads each anagram set once per batch', function() {
+            const adapter = new MemoryAdapter(),
+                batches = [];
+
+            adapter.getMany = keys => {
+                batches.push(keys);
+                return Promise.all(keys.map(key => adapter.get(key)));
+            };
+
+            const service = new AnagramService(adapter);
+
+            return service.addMany(['dare', 'dear', 'read', 'cat'])
+                .then(() => service.lookup(['read', 'dare', 'cat', 'dog']))
+                .then(() => assert.deepStrictEqual(batches, [['ader', 'act', 'dgo']]));
+        });
+
+        it('reports invalid words rather than failing the batch', function() {
+            return createService(['dare', 'read'])
+                .then(service => service.lookup(['r2d2', 'read', '', '?2', 5, null, ['read']]))
+                .then(results => assert.deepStrictEqual(results, [
+                    { error: 'Input word "r2d2" is invalid' },
+                    { anagrams: ['dare'] },
+                    { error: 'Input word "" is invalid' },
+                    { error: 'Input word "?2" is invalid' },
+                    { error: 'Input word 5 is not a string' },
+                    { error: 'Input word null is not a string' },
+                    { error: 'Input word ["read"] is not a string' }
+                ]));
+        });
+
+        it('rejects if the store fails', function() {
+            const adapter = new MemoryAdapter();
+
+            adapter.get = () => Promise.reject('Connection lost');
+
+            return new AnagramService(adapter).lookup(['read', 'r2d2'])
+                .then(() => assert.fail('expected lookup() to fail'), ex => assert.strictEqual(ex, 'Connection lost'));
+        });
+    });
+
+    describe('areAnagrams()', function() {
+        it('tests words against their anagram sets', function() {
+            return createService(['dare', 'dear', 'read', 'cat'])
+                .then(service => Promise.all([
+                    service.areAnagrams(['dare', 'dear', ' read']),
+                    service.areAnagrams(['dare', 'ared']), // unknown word
+                    service.areAnagrams(['dare', 'cat']),
+                    service.areAnagrams(['dare', 'r2d2']),
+                    service.areAnagrams(['dare'])
+                ]))
+                .then(results => assert.deepStrictEqual(results, [true, false, false, false, false]));
+        });
+
+        it('does not count a repeated word as its own anagram', function() {
+            return createService(['dare', 'dear', 'read', 'Rhea', 'hear'])
+                .then(service => Promise.all([
+                    service.areAnagrams(['dear', 'dear']),
+                    service.areAnagrams(['dear', 'read', ' dear']),
+                    service.areAnagrams(['read', 'dear', 'dear']),
+                    service.areAnagrams(['hear', 'rhea', 'Rhea'])
+                ]))
+                .then(results => assert.deepStrictEqual(results, [false, false, false, false]));
+        });
+    });
+
+    describe('stats()', function() {
+        it('keeps stats current as words are added and deleted', function() {
+            let service;
+
+            return createService(['dare', 'dear', 'read', 'cat', 'act', 'go', 'elate', 'teale'])
+                .then(result => {
+                    service = result;
+                    return service.stats();
+                })
+                .then(stats => {
+                    assert.deepStrictEqual(stats, {
+                        wordCount: 8,
+                        anagramCount: 4,
+                        minWordLength: 2,
+                        maxWordLength: 5,
+                        medianWordLength: 4,
+                        averageWordLength: 30 / 8,
+                        minCardinality: 2,
+                        maxCardinality: 3,
+                        medianCardinality: 2,
+                        averageCardinality: 7 / 3,
+                        wordLengthPercentiles: { p50: 4, p90: 5, p95: 5, p99: 5 },
+                        cardinalityPercentiles: { p50: 2, p90: 3, p95: 3, p99: 3 },
+                        wordLengthHistogram: { 2: 1, 3: 2, 4: 3, 5: 2 },
+                        cardinalityHistogram: { 2: 2, 3: 1 }
+                    });
+
+                    return service.delete('read').then(() => service.delete('cat', { includeAnagrams: true }));
+                })
+                .then(() => service.addMany(['og', 'tale']))
+                .then(() => service.stats())
+                .then(stats => {
+                    assert.deepStrictEqual([stats.wordCount, stats.anagramCount], [7, 3]);
+                    assert.deepStrictEqual(stats.wordLengthHistogram, { 2: 2, 4: 3, 5: 2 });
+                    assert.deepStrictEqual(stats.cardinalityHistogram, { 2: 3 });
+                    assert.strictEqual(stats.medianWordLength, 4);
+                });
+        });
+
+        it('matches a recount of the store', function() {
+            const adapter = new MemoryAdapter();
+
+            return new AnagramService(adapter).addMany(['dare', 'dear', 'read', 'cat', 'go'])
+                .then(() => {
+                    const service = new AnagramService(adapter);
+
+                    return service.recount()
+                        .then(() => service.stats())
+                        .then(stats => assert.deepStrictEqual([stats.wordCount, stats.wordLengthHistogram, stats.cardinalityHistogram], [5, { 2: 1, 3: 1, 4: 3 }, { 3: 1 }]));
+                });
+        });
+
+        it('has no stats for an empty dictionary', function() {
+            return createService(['dare', 'cat'])
+                .then(service => service.clear().then(() => service.stats()))
+                .then(stats => {
+                    assert.deepStrictEqual([stats.wordCount, stats.anagramCount, stats.wordLengthHistogram, stats.cardinalityHistogram], [0, 0, {}, {}]);
+                    assert.ok(Number.isNaN(stats.medianWordLength));
+                    assert.ok(Number.isNaN(stats.cardinalityPercentiles.p90));
+                });
+        });
+    });
+
+    describe('compareAnagrams()', function() {
+        it('explains why words are not anagrams in the dictionary', function() {
+            return createService(['dare', 'dear', 'read', 'listen', 'silent'])
+                .then(service => service.compareAnagrams(['Dare', 'dear ', 'ared', 'darer', 'r2d2']))
+                .then(comparison => assert.deepStrictEqual(comparison, {
+                    areAnagrams: false,
+                    mode: 'dictionary',
+                    words: ['Dare', 'dear', 'ared', 'darer', 'r2d2'],
+                    explanation: {
+                        unknownWords: ['Dare', 'ared', 'darer'],
+                        invalidWords: ['r2d2'],
+                        letters: [
+                            { word: 'Dare', extra: [], missing: [] },
+                            { word: 'dear', extra: [], missing: [] },
+                            { word: 'ared', extra: [], missing: [] },
+                            { word: 'darer', extra: ['r'], missing: [] }
+                        ]
+                    }
+                }));
+        });
+
+        it('compares letters alone in letters mode', function() {
+            return createService(['listen', 'silent'])
+                .then(service => Promise.all([
+                    service.compareAnagrams(['listen', 'enlist', 'tinsel'], { mode: 'letters' }),
+                    service.compareAnagrams(['listen', 'enlist'], { mode: 'dictionary' }),
+                    service.compareAnagrams(['listen', 'lentils', 'lisp'], { mode: 'letters' })
+                ]))
+                .then(comparisons => {
+                    assert.deepStrictEqual(comparisons.map(comparison => comparison.areAnagrams), [true, false, false]);
+                    assert.deepStrictEqual(comparisons[0].explanation.unknownWords, ['enlist', 'tinsel']);
+                    assert.deepStrictEqual(comparisons[2].explanation.letters.slice(1), [
+                        { word: 'lentils', extra: ['l'], missing: [] },
+                        { word: 'lisp', extra: ['p'], missing: ['e', 'n', 't'] }
+                    ]);
+                });
+        });
+
+        it('agrees with areAnagrams() in dictionary mode', function() {
+            const cases = [['dare', 'dear', ' read'], ['dare', 'ared'], ['dare', 'cat'], ['dare', 'r2d2'], ['dare'], [],
+                ['dear', 'dear'], ['dear', 'read', ' dear']];
+
+            return createService(['dare', 'dear', 'read', 'cat'])
+                .then(service => Promise.all(cases.map(words => Promise.all([service.areAnagrams(words), service.compareAnagrams(words)]))))
+                .then(results => results.forEach(result => assert.strictEqual(result[1].areAnagrams, result[0])));
+        });
+
+        it('rejects unknown modes', function() {
+            return createService([])
+                .then(service => service.compareAnagrams(['dare', 'dear'], { mode: 'sounds' }))
+                .then(() => assert.fail('expected the mode to be rejected'), ex => assert.strictEqual(ex, 'Mode "sounds" is invalid'));
+        });
+    });
+
+    describe('subAnagrams()', function() {
+        const words = ['read', 'dare', 'dear', 'red', 'ear', 'are', 'ad', 'add', 'dad', 'dread', 'Dre', 'bread'];
+
+        it('finds the anagram sets buildable from the letters, grouped by length', function() {
+            return createService(words)
+                .then(service => service.subAnagrams('dear'))
+                .then(result => assert.deepStrictEqual(result, {
+                    2: [['ad']],
+                    3: [['ear', 'are'], ['red', 'Dre']],
+                    4: [['read', 'dare', 'dear']]
+                }));
+        });
+
+        it('bounds word lengths', function() {
+            return createService(words)
+                .then(service => Promise.all([
+                    service.subAnagrams('dear', { minLength: 3, maxLength: 3 }),
+                    service.subAnagrams('dear', { minLength: 4, maxLength: 10 }),
+                    service.subAnagrams('dear', { maxLength: 2 }),
+                    service.subAnagrams('dear', { minLength: 5 })
+                ]))
+                .then(results => assert.deepStrictEqual(results, [
+                    { 3: [['ear', 'are'], ['red', 'Dre']] },
+                    { 4: [['read', 'dare', 'dear']] },
+                    { 2: [['ad']] },
+                    { 4: [['read', 'dare', 'dear']] }
+                ]));
+        });
+
+        it('uses each letter at most as often as it repeats', function() {
+            return createService(words)
+                .then(service => Promise.all([service.subAnagrams('ad'), service.subAnagrams('dad', { minLength: 3 }), service.subAnagrams('dreads', { minLength: 5 })]))
+                .then(results => assert.deepStrictEqual(results, [{ 2: [['ad']] }, { 3: [['add', 'dad']] }, { 5: [['dread']] }]));
+        });
+
+        it('leaves out proper nouns on request', function() {
+            return createService(words)
+                .then(service => service.subAnagrams('dear', { minLength: 3, maxLength: 3, excludeProperNouns: true }))
+                .then(result => assert.deepStrictEqual(result, { 3: [['ear', 'are'], ['red']] }));
+        });
+
+        it('finds nothing when no set fits', function() {
+            return createService(words)
+                .then(service => Promise.all([service.subAnagrams('xyz'), service.subAnagrams('r?ad').catch(ex => ex)]))
+                .then(results => assert.deepStrictEqual(results, [{}, 'Input letters "r?ad" are invalid']));
+        });
+    });
+
+    describe('phraseAnagrams()', function() {
+        // every 3-letter combination of the letters a to l, as words
+        const triples = [];
+
+        'abcdefghijkl'.split('').forEach((a, i, letters) => letters.forEach((b, j) => letters.forEach((c, k) => {
+            if (i < j && j < k) {
+                triples.push(a + b + c);
+            }
+        })));
+
+        it('finds phrases that use every letter of the input', function() {
+            return createService(['dirty', 'room', 'dormitory', 'tor', 'dim', 'yor'])
+                .then(service => Promise.all([service.phraseAnagrams('dormitory'), service.phraseAnagrams('dormitory', { maxWords: 2 })]))
+                .then(results => assert.deepStrictEqual(results, [
+                    { anagrams: ['dirty room', 'dim tor yor'], complete: true },
+                    { anagrams: ['dirty room'], complete: true }
+                ]));
+        });
+
+        it('bounds the limit and timeout', function() {
+            return createService(triples)
+                .then(service => service.phraseAnagrams('abcdefghijkl', { maxWords: 4, minWordLength: 3, limit: 100000, timeout: 600000 }))
+                .then(result => {
+                    assert.strictEqual(result.anagrams.length, 500);
+                    assert.strictEqual(result.complete, false);
+                });
+        });
+
+        it('lets other work run during a long search', function() {
+            let ticks = 0;
+
+            const timer = setInterval(() => ticks++, 0);
+
+            // "z" is in no word, so the search tries every phrase of 4 words without finding one
+            return createService(triples)
+                .then(service => service.phraseAnagrams('abcdefghijkz', { maxWords: 4, minWordLength: 3, timeout: 5000 }))
+                .then(result => {
+                    clearInterval(timer);
+
+                    assert.deepStrictEqual(result, { anagrams: [], complete: true });
+                    assert(ticks > 0, 'no timer ran during the search');
+                });
+        });
+    });
+
+    describe('nearAnagrams()', function() {
+        const words = ['read', 'dare', 'bread', 'beard', 'dread', 'red', 'ear', 'are', 'reed', 'bred', 'Fred', 'road', 'rod', 'breads'];
+
+        it('finds anagram sets with letters added, grouped by the added letters', function() {
+            return createService(words)
+                .then(service => Promise.all([service.nearAnagrams('dear', { near: 'add' }), service.nearAnagrams('dear', { near: 'add', distance: 2 })]))
+                .then(results => assert.deepStrictEqual(results, [
+                    [
+                        { removed: [], added: ['b'], anagrams: ['bread', 'beard'] },
+                        { removed: [], added: ['d'], anagrams: ['dread'] }
+                    ],
+                    [{ removed: [], added: ['b', 's'], anagrams: ['breads'] }]
+                ]));
+        });
+
+        it('finds anagram sets with letters removed', function() {
+            return createService(words)
+                .then(service => service.nearAnagrams('Dare', { near: 'remove' }))
+                .then(matches => assert.deepStrictEqual(matches, [
+                    { removed: ['a'], added: [], anagrams: ['red'] },
+                    { removed: ['d'], added: [], anagrams: ['ear', 'are'] }
+                ]));
+        });
+
+        it('finds anagram sets with letters changed, leaving out the word\'s own set', function() {
+            return createService(words)
+                .then(service => Promise.all([
+                    service.nearAnagrams('read', { near: 'replace' }),
+                    service.nearAnagrams('read', { near: 'replace', excludeProperNouns: true, limit: 2 }),
+                    service.nearAnagrams('dear', { near: 'replace', distance: 2 })
+                ]))
+                .then(results => assert.deepStrictEqual(results, [
+                    [
+                        { removed: ['a'], added: ['b'], anagrams: ['bred'] },
+                        { removed: ['a'], added: ['e'], anagrams: ['reed'] },
+                        { removed: ['a'], added: ['f'], anagrams: ['Fred'] },
+                        { removed: ['e'], added: ['o'], anagrams: ['road'] }
+                    ],
+                    [
+                        { removed: ['a'], added: ['b'], anagrams: ['bred'] },
+                        { removed: ['a'], added: ['e'], anagrams: ['reed'] }
+                    ],
+                    []
+                ]));
+        });
+
+        it('rejects invalid input', function() {
+            return createService(words)
+                .then(service => Promise.all([
+                    service.nearAnagrams('r?ad', { near: 'add' }).catch(ex => ex),
+                    service.nearAnagrams('read', { near: 'swap' }).catch(ex => ex)
+                ]))
+                .then(errors => assert.deepStrictEqual(errors, ['Input word "r?ad" is invalid', 'Near "swap" is invalid']));
+        });
+    });
+
+    describe('load()', function() {
+        it('loads words from a stream and reports rejected words by line', function() {
+            const service = new AnagramService(new MemoryAdapter()),
+                progress = [];
+
+            return service.load(streamOf('dare\nread dear\n\nr2d2\n  dare  \nabc- stop\n'), { onProgress: loaded => progress.push(loaded) })
+                .then(report => {
+                    assert.deepStrictEqual(report, {
+                        word: 4,
+                        anagram: 2,
+                        lines: 6,
+                        rejectedCount: 2,
+                        rejected: [
+                            { line: 4, word: 'r2d2', reason: 'Input word "r2d2" is invalid' },
+                            { line: 6, word: 'abc-', reason: 'Input word "abc-" is invalid' }
+                        ]
+                    });
+                    assert.strictEqual(service.wordCount(), 4);
+                    assert.strictEqual(progress.length, 1); // one batch
+                    assert.deepStrictEqual(progress[progress.length - 1], { lines: 6, word: 4, anagram: 2, rejected: 2 });
+                });
+        });
+
+        it('rejects if the input fails', function() {
+            const service = new AnagramService(new MemoryAdapter()),
+                input = new stream.PassThrough();
+
+            const loading = service.load(input);
+
+            input.write('dare\n');
+            input.emit('error', 'The upload was cut short');
+
+            return loading.then(() => assert.fail('expected the load to fail'), ex => assert.strictEqual(ex, 'The upload was cut short'));
+        });
+
+        it('adds words a few batches at a time, and resolves once they are all added', function() {
+            const adapter = new MemoryAdapter(),
+                add = adapter.add.bind(adapter),
+                words = [];
+
+            let inFlight = 0,
+                maxInFlight = 0;
+
+            adapter.add = (key, value) => {
+                maxInFlight = Math.max(maxInFlight, ++inFlight);
+
+                return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+                    inFlight--;
+                    return add(key, value);
+                });
+            };
+
+            for (let i = 0; i < 5000; i++) {
+                words.push(`w${i.toString(26).replace(/\d/g, digit => 'qrstuvwxyz'[digit])}`);
+            }
+
+            const service = new AnagramService(adapter);
+
+            return service.load(streamOf(words.join('\n')))
+                .then(report => {
+                    assert.strictEqual(report.word, 5000);
+                    assert.strictEqual(service.wordCount(), 5000);
+                    assert.ok(maxInFlight <= 2000, `${maxInFlight} adds were in flight at once`);
+                });
+        });
+
+        it('rejects if the store fails', function() {
+            const adapter = new MemoryAdapter();
+
+            adapter.add = () => Promise.reject('Disk full');
+
+            return new AnagramService(adapter).load(streamOf('dare\nread\n'))
+                .then(() => assert.fail('expected the load to fail'), ex => assert.strictEqual(ex, 'Disk full'));
+        });
+
+        it('loads gzipped files', function() {
+            const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-')), 'words.txt.gz'),
+                service = new AnagramService(new MemoryAdapter());
+
+            fs.writeFileSync(filePath, zlib.gzipSync('dare\nread\ndear\n'));
+
+            return service.load(filePath)
+                .then(report => {
+                    assert.deepStrictEqual([report.word, report.anagram, report.lines], [3, 2, 3]);
+                    return service.get('dare');
+                })
+                .then(anagrams => assert.deepStrictEqual(anagrams, ['read', 'dear']))
+                .then(() => {
+                    fs.unlinkSync(filePath);
+                    fs.rmdirSync(path.dirname(filePath));
+                });
+        });
+
+        it('rejects if the file does not exist', function() {
+            return new AnagramService(new MemoryAdapter()).load('no/such/file.txt')
+                .then(() => assert.fail('expected the load to fail'), ex => assert.strictEqual(ex.code, 'ENOENT'));
+        });
+    });
+
+    describe('pagination', function() {
+        const words = ['dare', 'dear', 'read', 'evil', 'live', 'vile', 'veil', 'stop', 'pots', 'tops', 'opts', 'post', 'on', 'no', 'cat'];
+
+        function collectPages(query, limit) {
+            const pages = [];
+
+            const next = cursor => query({ limit, cursor }).then(page => {
+                pages.push(page.anagrams);
+                return page.cursor ? next(page.cursor) : pages;
+            });
+
+            return next();
+        }
+
+        it('pages through anagram sets in key order', function() {
+            return createService(words)
+                .then(service => collectPages(page => service.anagramsByCardinality(2, null, page), 2))
+                .then(pages => assert.deepStrictEqual(pages, [
+                    [['dare', 'dear', 'read'], ['evil', 'live', 'vile', 'veil']],
+                    [['on', 'no'], ['stop', 'pots', 'tops', 'opts', 'post']]
+                ]));
+        });
+
+        it('pages through anagram sets by length', function() {
+            return createService(words)
+                .then(service => collectPages(page => service.anagramsByLength(4, 4, page), 1))
+                .then(pages => assert.deepStrictEqual(pages, [
+                    [['dare', 'dear', 'read']],
+                    [['evil', 'live', 'vile', 'veil']],
+                    [['stop', 'pots', 'tops', 'opts', 'post']]
+                ]));
+        });
+
+        it('pages through the anagram sets with the most words', function() {
+            return createService(words.concat(['sale', 'seal', 'ales', 'leas', 'elsa']))
+                .then(service => service.maxCardinalityAnagrams({ limit: 1 })
+                    .then(page => {
+                        assert.deepStrictEqual(page.anagrams, [['sale', 'seal', 'ales', 'leas', 'elsa']]);
+                        assert.strictEqual(page.maxCardinality, 5);
+
+                        return service.maxCardinalityAnagrams({ cursor: page.cursor });
+                    }))
+                .then(page => assert.deepStrictEqual(page, { anagrams: [['stop', 'pots', 'tops', 'opts', 'post']], cursor: null, maxCardinality: 5 }));
+        });
+
+        it('pages through the anagram sets with the longest words', function() {
+            return createService(words.concat(['lives', 'elvis', 'stops', 'posts']))
+                .then(service => collectPages(page => service.maxLengthAnagrams(page), 1))
+                .then(pages => assert.deepStrictEqual(pages, [[['lives', 'elvis']], [['stops', 'posts']]]));
+        });
+
+        it('continues from the cursor after the dictionary changes', function() {
+            return createService(words)
+                .then(service => service.anagramsByCardinality(2, null, { limit: 1 })
+                    .then(page => Promise.all([service.delete('dear'), service.delete('dare'), service.add('lives'), service.add('elvis')])
+                        .then(() => service.anagramsByCardinality(2, null, { limit: 10, cursor: page.cursor }))))
+                .then(page => assert.deepStrictEqual(page, {
+                    anagrams: [['lives', 'elvis'], ['evil', 'live', 'vile', 'veil'], ['on', 'no'], ['stop', 'pots', 'tops', 'opts', 'post']],
+                    cursor: null
+                }));
+        });
+
+        it('returns every result when not paging', function() {
+            return createService(words)
+                .then(service => service.anagramsByCardinality(2))
+                .then(results => assert.strictEqual(results.length, 4));
+        });
+
+        it('rejects invalid cursors', function() {
+            return createService(words)
+                .then(service => service.anagramsByLength(1, null, { cursor: 'bogus!' }))
+                .then(() => assert.fail('expected the cursor to be rejected'), ex => assert.ok(/Invalid cursor/.test(ex)));
+        });
+    });
+
+    describe('length and cardinality indexes', function() {
+        function spyOn(adapter) {
+            const calls = { each: 0, keys: [] },
+                each = adapter.each.bind(adapter),
+                get = adapter.get.bind(adapter);
+
+            adapter.each = iteratee => {
+                calls.each++;
+                return each(iteratee);
+            };
+
+            adapter.get = key => {
+                calls.keys.push(key);
+                return get(key);
+            };
+
+            return calls;
+        }
+
+        it('reads only the matching anagram sets once the index is built', function() {
+            const adapter = new MemoryAdapter(),
+                service = new AnagramService(adapter),
+                calls = spyOn(adapter);
+
+            return service.addMany(['dare', 'dear', 'read', 'cat', 'act', 'evil', 'live', 'go'])
+                .then(() => service.anagramsByLength(3, 3))
+                .then(results => {
+                    assert.deepStrictEqual(results, [['cat', 'act']]);
+                    assert.strictEqual(calls.each, 1); // to build the index
+
+                    calls.keys = [];
+
+                    return Promise.all([service.anagramsByCardinality(3), service.maxLengthAnagrams(), service.maxCardinalityAnagrams({ limit: 1 })]);
+                })
+                .then(results => {
+                    assert.deepStrictEqual(results, [
+                        [['dare', 'dear', 'read']],
+                        [['dare', 'dear', 'read'], ['evil', 'live']],
+                        { anagrams: [['dare', 'dear', 'read']], cursor: null, maxCardinality: 3 }
+                    ]);
+                    assert.strictEqual(calls.each, 1);
+                    assert.deepStrictEqual(calls.keys.sort(), ['ader', 'ader', 'ader', 'eilv']);
+                });
+        });
+
+        it('keeps the index current as words are added and deleted', function() {
+            let service;
+
+            return createService(['dare', 'dear', 'read', 'cat', 'act'])
+                .then(result => {
+                    service = result;
+                    return service.maxCardinalityAnagrams();
+                })
+                .then(() => Promise.all([service.delete('read'), service.delete('act'), service.addMany(['evil', 'live', 'vile', 'go'])]))
+                .then(() => Promise.all([service.maxCardinalityAnagrams(), service.anagramsByLength(3, 3), service.anagramsByCardinality(2, 2)]))
+                .then(results => assert.deepStrictEqual(results, [[['evil', 'live', 'vile']], [], [['dare', 'dear']]]))
+                .then(() => service.clear())
+                .then(() => service.maxLengthAnagrams({}))
+                .then(page => assert.deepStrictEqual(page, { anagrams: [], cursor: null, maxLength: 0 }));
+        });
+
+        it('builds the index during a recount', function() {
+            const adapter = new MemoryAdapter();
+
+            return new AnagramService(adapter).addMany(['dare', 'dear', 'cat', 'act', 'go'])
+                .then(() => {
+                    const service = new AnagramService(adapter),
+                        calls = spyOn(adapter);
+
+                    return service.recount()
+                        .then(() => service.anagramsByLength(4))
+                        .then(results => {
+                            assert.deepStrictEqual(results, [['dare', 'dear']]);
+                            assert.strictEqual(calls.each, 1);
+                        });
+                });
+        });
+
+        it('builds the index from only the anagram sets of an adapter that indexes set sizes', function() {
+            const adapter = new MemoryAdapter(),
+                visited = [];
+
+            adapter.eachByCardinality = (min, max, iteratee) => {
+                visited.push([min, max]);
+                return adapter.each((anagramSet, key) => min <= anagramSet.length && anagramSet.length <= max && iteratee(anagramSet, key));
+            };
+
+            const service = new AnagramService(adapter);
+
+            return service.addMany(['dare', 'dear', 'cat', 'go'])
+                .then(() => service.anagramsByCardinality(2))
+                .then(results => {
+                    assert.deepStrictEqual(results, [['dare', 'dear']]);
+                    assert.deepStrictEqual(visited, [[2, Infinity]]);
+                });
+        });
+    });
+
+    describe('eachBatch()', function() {
+        const words = ['dare', 'dear', 'read', 'cat', 'on', 'no', 'evil', 'live'];
+
+        it('visits every anagram set in key order, a batch at a time', function() {
+            const batches = [];
+
+            return createService(words)
+                .then(service => service.eachBatch(2, batch => batches.push(batch)))
+                .then(() => assert.deepStrictEqual(batches, [
+                    [{ key: 'act', words: ['cat'] }, { key: 'ader', words: ['dare', 'dear', 'read'] }],
+                    [{ key: 'eilv', words: ['evil', 'live'] }, { key: 'no', words: ['on', 'no'] }]
+                ]));
+        });
+
+        it('reads the next batch only once the iteratee is done', function() {
+            const events = [];
+
+            return createService(words)
+                .then(service => service.eachBatch(1, batch => new Promise(resolve => {
+                    events.push(`start ${batch[0].key}`);
+
+                    setTimeout(() => {
+                        events.push(`end ${batch[0].key}`);
+                        resolve();
+                    }, 5);
+                })))
+                .then(() => assert.deepStrictEqual(events, ['start act', 'end act', 'start ader', 'end ader', 'start eilv', 'end eilv', 'start no', 'end no']));
+        });
+
+        it('rejects if the iteratee fails', function() {
+            return createService(words)
+                .then(service => service.eachBatch(2, () => Promise.reject('Boom')))
+                .then(() => assert.fail('expected eachBatch() to reject'), ex => assert.strictEqual(ex, 'Boom'));
+        });
+    });
+
+    describe('util.isProperNoun()', function() {
+        it('detects proper nouns in any alphabet', function() {
+            ['Köln', 'Ångström', 'Ελλάδα', 'Émile-Zola', 'Saint-étienne'].forEach(word => assert.ok(util.isProperNoun(word), word));
+            ['köln', 'KÖln', 'ελλάδα', '-Köln', 'Köln-'].forEach(word => assert.ok(!util.isProperNoun(word), word));
+        });
+    });
+});
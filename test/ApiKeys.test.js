@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ApiKeys = require('../src/ApiKeys');
+
+describe('ApiKeys', function() {
+    const keys = [
+        { key: 'r3ad', name: 'dashboard', role: 'read-only' },
+        { key: 'ed1t', role: 'editor' },
+        { key: 'adm1n', name: 'operator', role: 'admin' }
+    ];
+
+    it('authenticates known keys', function() {
+        const apiKeys = new ApiKeys(keys);
+
+        assert.strictEqual(apiKeys.size(), 3);
+        assert.deepStrictEqual(apiKeys.authenticate('r3ad'), { name: 'dashboard', role: 'read-only' });
+        assert.deepStrictEqual(apiKeys.authenticate('ed1t'), { name: 'key #2', role: 'editor' });
+        assert.deepStrictEqual(apiKeys.authenticate('adm1n'), { name: 'operator', role: 'admin' });
+    });
+
+    it('does not authenticate unknown or empty keys', function() {
+        const apiKeys = new ApiKeys(keys);
+
+        ['adm1', 'ADM1N', '', null, undefined, 42].forEach(key => assert.strictEqual(apiKeys.authenticate(key), undefined, key));
+    });
+
+    it('ranks roles', function() {
+        assert.deepStrictEqual(ApiKeys.roles(), ['read-only', 'editor', 'admin']);
+
+        assert.ok(ApiKeys.grants('admin', 'editor'));
+        assert.ok(ApiKeys.grants('editor', 'editor'));
+        assert.ok(ApiKeys.grants('editor', 'read-only'));
+        assert.ok(!ApiKeys.grants('editor', 'admin'));
+        assert.ok(!ApiKeys.grants('read-only', 'editor'));
+        assert.ok(!ApiKeys.grants('superuser', 'read-only'));
+    });
+
+    it('rejects invalid keys', function() {
+        assert.throws(() => new ApiKeys({}), ex => ex === 'Invalid API keys');
+        assert.throws(() => new ApiKeys([{ role: 'admin' }]), ex => ex === 'API key #1 is missing its "key"');
+        assert.throws(() => new ApiKeys([{ key: 'k3y', role: 'root' }]), ex => /^API key #1 has invalid role "root"/.test(ex));
+        assert.throws(() => new ApiKeys(keys.concat({ key: 'ed1t', role: 'admin' })), ex => ex === 'API key #4 is a duplicate');
+    });
+
+    it('reads keys from a file', function() {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-')), 'api_keys.json');
+
+        fs.writeFileSync(filePath, JSON.stringify({ keys }));
+
+        try {
+            assert.deepStrictEqual(ApiKeys.fromFile(filePath).authenticate('adm1n'), { name: 'operator', role: 'admin' });
+        } finally {
+            fs.unlinkSync(filePath);
+            fs.rmdirSync(path.dirname(filePath));
+        }
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AnagramService = require('../src/AnagramService');
+const Dictionaries = require('../src/Dictionaries');
+const MemoryAdapter = require('../src/adapters/MemoryAdapter');
+
+describe('Dictionaries', function() {
+    let dir, catalog, stores, dictionaries;
+
+    // adapters share stores by name, as persistent adapters would across restarts
+
+    function createAdapter(name) {
+        const adapter = new MemoryAdapter();
+
+        adapter._map = stores[name] = stores[name] || new Map();
+
+        return adapter;
+    }
+
+    function createDictionaries(opts) {
+        return new Dictionaries(new AnagramService(new MemoryAdapter()), Object.assign({ createAdapter, catalog }, opts));
+    }
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-'));
+        catalog = path.join(dir, 'dictionaries.json');
+        stores = {};
+        dictionaries = createDictionaries();
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it('serves the default dictionary by default', function() {
+        assert.ok(dictionaries.get() instanceof AnagramService);
+        assert.strictEqual(dictionaries.get('default'), dictionaries.get());
+        assert.strictEqual(dictionaries.get('spanish'), undefined);
+        assert.deepStrictEqual(dictionaries.list(), [{ name: 'default', counts: { word: 0, anagram: 0 } }]);
+    });
+
+    it('keeps the words of each dictionary apart', function() {
+        return Promise.all([dictionaries.create('english'), dictionaries.create('spanish', { locale: 'es' })])
+            .then(services => Promise.all([
+                services[0].add('read'),
+                services[0].add('dear'),
+                services[1].add('arde'),
+                dictionaries.get().add('dare')
+            ]))
+            .then(() => Promise.all(['english', 'spanish', 'default'].map(name => dictionaries.get(name).get('dare', { includeInput: true }))))
+            .then(results => assert.deepStrictEqual(results, [[], [], ['dare']]))
+            .then(() => dictionaries.get('english').get('read'))
+            .then(anagrams => assert.deepStrictEqual(anagrams, ['dear']))
+            .then(() => assert.deepStrictEqual(dictionaries.list(), [
+                { name: 'default', counts: { word: 1, anagram: 0 } },
+                { name: 'english', counts: { word: 2, anagram: 1 } },
+                { name: 'spanish', locale: 'es', counts: { word: 1, anagram: 0 } }
+            ]));
+    });
+
+    it('rejects invalid and duplicate names', function() {
+        const rejects = (name, message) => dictionaries.create(name)
+            .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, message));
+
+        return dictionaries.create('spanish')
+            .then(() => rejects('spanish', 'Dictionary "spanish" already exists'))
+            .then(() => rejects('default', 'Dictionary name "default" is invalid'))
+            .then(() => rejects('a:b', 'Dictionary name "a:b" is invalid'))
+            .then(() => rejects('', 'Dictionary name "" is invalid'));
+    });
+
+    it('rejects invalid locales before saving the dictionary, and keeps valid ones in canonical form', function() {
+        return dictionaries.create('broken', { locale: 'xx_bad!!' })
+            .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, 'Locale "xx_bad!!" is invalid'))
+            .then(() => {
+                assert.ok(!dictionaries.has('broken'));
+                assert.ok(!fs.existsSync(catalog));
+                assert.ok(!dictionaries.isValidLocale('tr_TR'));
+                assert.ok(dictionaries.isValidLocale('tr-TR'));
+            })
+            .then(() => dictionaries.create('portuguese', { locale: 'PT-br' }))
+            .then(service => service.add('Ação'))
+            .then(() => {
+                assert.deepStrictEqual(dictionaries.describe('portuguese'), { name: 'portuguese', locale: 'pt-BR', counts: { word: 1, anagram: 0 } });
+                assert.deepStrictEqual(JSON.parse(fs.readFileSync(catalog, 'utf8')).dictionaries, [{ name: 'portuguese', locale: 'pt-BR' }]);
+            });
+    });
+
+    it('cannot create dictionaries without an adapter factory', function() {
+        dictionaries = createDictionaries({ createAdapter: undefined });
+
+        assert.ok(!dictionaries.canCreate());
+
+        return dictionaries.create('spanish')
+            .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, 'Named dictionaries are not supported by this server'));
+    });
+
+    it('drops a dictionary and its words', function() {
+        return dictionaries.create('spanish')
+            .then(service => service.add('arde'))
+            .then(() => dictionaries.drop('spanish'))
+            .then(() => {
+                assert.strictEqual(dictionaries.get('spanish'), undefined);
+                assert.strictEqual(stores.spanish.size, 0);
+            })
+            .then(() => dictionaries.drop('default'))
+            .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, 'The default dictionary cannot be dropped'));
+    });
+
+    it('restores dictionaries from the catalog', function() {
+        return Promise.all([dictionaries.create('english'), dictionaries.create('spanish', { locale: 'es', foldDiacritics: true })])
+            .then(services => services[1].add('ñu'))
+            .then(() => dictionaries.drop('english'))
+            .then(() => {
+                dictionaries = createDictionaries();
+                return dictionaries.restore();
+            })
+            .then(names => {
+                assert.deepStrictEqual(names, ['spanish']);
+                assert.deepStrictEqual(dictionaries.list()[1], { name: 'spanish', locale: 'es', foldDiacritics: true, counts: { word: 1, anagram: 0 } });
+            });
+    });
+});
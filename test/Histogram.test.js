@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('assert');
+
+const Histogram = require('../src/Histogram');
+
+describe('Histogram', function() {
+    function histogramOf(values) {
+        const histogram = new Histogram();
+
+        values.forEach(value => histogram.add(value));
+
+        return histogram;
+    }
+
+    it('summarizes its values', function() {
+        const histogram = histogramOf([4, 10, 3, 4, 7, 4]);
+
+        assert.strictEqual(histogram.count(), 6);
+        assert.strictEqual(histogram.min(), 3);
+        assert.strictEqual(histogram.max(), 10);
+        assert.strictEqual(histogram.average(), 32 / 6);
+        assert.strictEqual(histogram.median(), 4);
+        assert.deepStrictEqual(histogram.buckets(), { 3: 1, 4: 3, 7: 1, 10: 1 });
+    });
+
+    it('averages the middle values for the median of an even count', function() {
+        assert.strictEqual(histogramOf([2, 9, 3, 10]).median(), 6);
+        assert.strictEqual(histogramOf([5]).median(), 5);
+    });
+
+    it('finds percentiles by nearest rank', function() {
+        const histogram = histogramOf([15, 20, 35, 40, 50]);
+
+        assert.deepStrictEqual([0, 5, 30, 40, 50, 100].map(p => histogram.percentile(p)), [15, 15, 20, 20, 35, 50]);
+    });
+
+    it('forgets removed values', function() {
+        const histogram = histogramOf([3, 4, 4, 7]);
+
+        histogram.remove(7);
+        histogram.remove(4);
+        histogram.add(5, 2);
+        histogram.remove(5, 2);
+
+        assert.deepStrictEqual([histogram.count(), histogram.min(), histogram.max(), histogram.median()], [2, 3, 4, 3.5]);
+        assert.deepStrictEqual(histogram.buckets(), { 3: 1, 4: 1 });
+    });
+
+    it('has no stats while empty', function() {
+        const histogram = histogramOf([3, 4]);
+
+        histogram.clear();
+
+        [histogram.min(), histogram.max(), histogram.average(), histogram.median(), histogram.percentile(50)]
+            .forEach(stat => assert.ok(Number.isNaN(stat)));
+        assert.deepStrictEqual(histogram.buckets(), {});
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+
+const Jobs = require('../src/Jobs');
+
+describe('Jobs', function() {
+    function settle() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+
+    it('reports the progress of running jobs', function() {
+        const jobs = new Jobs();
+
+        let setProgress, runId;
+
+        const job = jobs.start('import', { dictionary: 'default' }, (progress, id) => {
+            setProgress = progress;
+            runId = id;
+            return new Promise(() => {});
+        });
+
+        assert.ok(/^[0-9a-f]{32}$/.test(job.id));
+        assert.strictEqual(runId, job.id);
+        assert.strictEqual(job.type, 'import');
+        assert.strictEqual(job.dictionary, 'default');
+        assert.strictEqual(job.status, 'running');
+        assert.strictEqual(job.progress, null);
+
+        setProgress({ lines: 10 });
+
+        assert.deepStrictEqual(jobs.get(job.id).progress, { lines: 10 });
+        assert.strictEqual(jobs.get(job.id).finishedAt, undefined);
+    });
+
+    it('reports jobs that succeed', function() {
+        const jobs = new Jobs(),
+            job = jobs.start('import', {}, () => Promise.resolve({ lines: 10 }));
+
+        return settle().then(() => {
+            const info = jobs.get(job.id);
+
+            assert.strictEqual(info.status, 'succeeded');
+            assert.deepStrictEqual(info.report, { lines: 10 });
+            assert.ok(info.finishedAt >= info.createdAt);
+        });
+    });
+
+    it('reports jobs that fail', function() {
+        const jobs = new Jobs(),
+            rejected = jobs.start('import', {}, () => Promise.reject('Nope')),
+            errored = jobs.start('import', {}, () => Promise.reject(new Error('Broken'))),
+            thrown = jobs.start('import', {}, () => {
+                throw 'Thrown';
+            });
+
+        return settle().then(() => {
+            assert.deepStrictEqual([rejected, errored, thrown].map(job => jobs.get(job.id).status), ['failed', 'failed', 'failed']);
+            assert.deepStrictEqual([rejected, errored, thrown].map(job => jobs.get(job.id).error), ['Nope', 'Broken', 'Thrown']);
+        });
+    });
+
+    it('forgets the oldest finished jobs', function() {
+        const jobs = new Jobs({ maxFinished: 2 }),
+            running = jobs.start('import', {}, () => new Promise(() => {})),
+            finished = [1, 2, 3].map(() => jobs.start('import', {}, () => Promise.resolve({})));
+
+        return settle().then(() => {
+            assert.ok(jobs.get(running.id));
+            assert.strictEqual(jobs.get(finished[0].id), undefined);
+            assert.ok(jobs.get(finished[1].id));
+            assert.ok(jobs.get(finished[2].id));
+            assert.strictEqual(jobs.get('unknown'), undefined);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+
+const KeyIndex = require('../src/KeyIndex');
+
+describe('KeyIndex', function() {
+    function indexOf(keys) {
+        const index = new KeyIndex();
+
+        keys.forEach(key => index.add(key));
+
+        return index;
+    }
+
+    // keys of eg, "read", "rad", "radar", "add", "ear", "are", "bread", "cat", "dreads", "deer"
+    const KEYS = ['ader', 'adr', 'aadrr', 'add', 'aer', 'abder', 'act', 'adders', 'deer'];
+
+    it('adds, deletes and lists keys', function() {
+        const index = indexOf(KEYS.concat('ader'));
+
+        assert.strictEqual(index.size(), KEYS.length);
+
+        index.delete('adr');
+        index.delete('adr');
+        index.delete('xyz');
+
+        assert.strictEqual(index.size(), KEYS.length - 1);
+        assert.deepStrictEqual(index.keys().sort(), KEYS.filter(key => key !== 'adr').sort());
+    });
+
+    it('empties on clear', function() {
+        const index = indexOf(KEYS);
+
+        index.clear();
+
+        assert.strictEqual(index.size(), 0);
+        assert.deepStrictEqual(index.keys(), []);
+        assert.deepStrictEqual(index.subKeys('ader'), []);
+    });
+
+    describe('subKeys()', function() {
+        it('finds the keys that can be built from some or all of the letters', function() {
+            const index = indexOf(KEYS);
+
+            // few distinct letters (fewer subsets of them than buckets), so subsets are looked up
+            assert.deepStrictEqual(index.subKeys('aadd'), ['add']);
+            // many distinct letters, so every bucket is tested
+            assert.deepStrictEqual(index.subKeys('ader').sort(), ['ader', 'adr', 'aer']);
+            assert.deepStrictEqual(index.subKeys('abcdeorst').sort(), ['abder', 'act', 'ader', 'adr', 'aer']);
+        });
+
+        it('uses each letter at most as often as it repeats', function() {
+            const index = indexOf(KEYS);
+
+            assert.deepStrictEqual(index.subKeys('aadrr').sort(), ['aadrr', 'adr']);
+            assert.deepStrictEqual(index.subKeys('adder').sort(), ['add', 'ader', 'adr', 'aer']);
+            assert.deepStrictEqual(index.subKeys('adeer').sort(), ['ader', 'adr', 'aer', 'deer']);
+        });
+
+        it('bounds key lengths', function() {
+            const index = indexOf(KEYS);
+
+            assert.deepStrictEqual(index.subKeys('adder', 4).sort(), ['ader']);
+            assert.deepStrictEqual(index.subKeys('adder', 1, 3).sort(), ['add', 'adr', 'aer']);
+            assert.deepStrictEqual(index.subKeys('adder', 5), []);
+        });
+
+        it('finds nothing when no key fits', function() {
+            assert.deepStrictEqual(indexOf(KEYS).subKeys('xyz'), []);
+        });
+
+        it('counts letters with combining marks as one character', function() {
+            const key = 'aé'.normalize('NFD'),
+                index = indexOf([key, 'ae']);
+
+            assert.deepStrictEqual(index.subKeys(key, 2), [key]);
+        });
+    });
+
+    describe('superKeys()', function() {
+        it('finds the keys of a length that contain all of the letters', function() {
+            const index = indexOf(KEYS);
+
+            assert.deepStrictEqual(index.superKeys('ader', 5), ['abder']);
+            assert.deepStrictEqual(index.superKeys('ader', 6), ['adders']);
+            assert.deepStrictEqual(index.superKeys('adr', 5).sort(), ['aadrr', 'abder']);
+            assert.deepStrictEqual(index.superKeys('ader', 3), []);
+        });
+
+        it('counts repeated letters', function() {
+            assert.deepStrictEqual(indexOf(KEYS).superKeys('dd', 6), ['adders']);
+        });
+    });
+
+    describe('nearKeys()', function() {
+        it('finds the keys of a length that lack at most a few of the letters', function() {
+            const index = indexOf(KEYS);
+
+            assert.deepStrictEqual(index.nearKeys('ader', 4, 0), ['ader']);
+            assert.deepStrictEqual(index.nearKeys('ader', 4, 1).sort(), ['ader', 'deer']);
+            assert.deepStrictEqual(index.nearKeys('ader', 3, 1).sort(), ['adr', 'aer']);
+            assert.deepStrictEqual(index.nearKeys('ader', 3, 2).sort(), ['add', 'adr', 'aer']);
+        });
+
+        it('counts repeated letters', function() {
+            // "aadrr" lacks a "d" of "aaddr", and an "a" and a "d" of "aaadd"
+            const index = indexOf(KEYS);
+
+            assert.deepStrictEqual(index.nearKeys('aaddr', 5, 1), ['aadrr']);
+            assert.deepStrictEqual(index.nearKeys('aaadd', 5, 1), []);
+            assert.deepStrictEqual(index.nearKeys('aaadd', 5, 2), ['aadrr']);
+        });
+    });
+});
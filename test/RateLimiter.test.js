@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+
+const RateLimiter = require('../src/RateLimiter');
+
+describe('RateLimiter', function() {
+    let limiter;
+
+    beforeEach(function() {
+        limiter = new RateLimiter({ lookup: { limit: 3, interval: 60 }, scan: { limit: 1, interval: 30 } });
+    });
+
+    it('allows a burst up to the limit, then refuses', function() {
+        const results = [0, 1, 2, 3].map(() => limiter.take('lookup', 'a', 0));
+
+        assert.deepStrictEqual(results.map(result => result.allowed), [true, true, true, false]);
+        assert.deepStrictEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+        assert.deepStrictEqual(results[3], { allowed: false, limit: 3, remaining: 0, reset: 60, retryAfter: 20 });
+    });
+
+    it('refills over the interval', function() {
+        [0, 1, 2].forEach(() => limiter.take('lookup', 'a', 0));
+
+        assert.strictEqual(limiter.take('lookup', 'a', 19999).allowed, false);
+        assert.deepStrictEqual(limiter.take('lookup', 'a', 20000), { allowed: true, limit: 3, remaining: 0, reset: 60, retryAfter: 0 });
+        assert.strictEqual(limiter.take('lookup', 'a', 1000000).remaining, 2); // never more than the limit
+    });
+
+    it('keeps clients and budgets apart', function() {
+        assert.strictEqual(limiter.take('scan', 'a', 0).allowed, true);
+        assert.strictEqual(limiter.take('scan', 'a', 0).allowed, false);
+        assert.strictEqual(limiter.take('scan', 'b', 0).allowed, true);
+        assert.strictEqual(limiter.take('lookup', 'a', 0).allowed, true);
+        assert.strictEqual(limiter.take('scan', 'a', 0).retryAfter, 30);
+    });
+
+    it('forgets clients whose buckets have refilled', function() {
+        limiter.take('lookup', 'a', 0);
+        limiter.take('scan', 'b', 0);
+        limiter.take('lookup', 'c', 59000);
+
+        assert.strictEqual(limiter._buckets.size, 3);
+
+        limiter.take('lookup', 'c', 60000); // sweeps
+
+        assert.deepStrictEqual(Array.from(limiter._buckets.keys()), ['lookup\nc']);
+    });
+
+    it('rejects invalid budgets', function() {
+        assert.ok(limiter.has('scan'));
+        assert.ok(!limiter.has('stats'));
+        assert.throws(() => limiter.take('stats', 'a'), ex => ex === 'Unknown rate limit budget "stats"');
+        assert.throws(() => new RateLimiter(), ex => ex === 'Invalid rate limit budgets');
+        assert.throws(() => new RateLimiter({ lookup: { limit: 0, interval: 60 } }), ex => /^Rate limit budget "lookup" is invalid/.test(ex));
+        assert.throws(() => new RateLimiter({ lookup: { limit: 10 } }), ex => /^Rate limit budget "lookup" is invalid/.test(ex));
+    });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+
+const SetIndex = require('../src/SetIndex');
+
+describe('SetIndex', function() {
+    function indexOf(sizes) {
+        const index = new SetIndex();
+
+        Object.keys(sizes).forEach(key => index.set(key, sizes[key]));
+
+        return index;
+    }
+
+    it('finds anagram sets by key length and set size', function() {
+        const index = indexOf({ ader: 3, act: 2, eilv: 4, no: 2, aeiltv: 1 });
+
+        assert.strictEqual(index.size(), 4);
+        assert.deepStrictEqual(index.keysByLength(3, 4).sort(), ['act', 'ader', 'eilv']);
+        assert.deepStrictEqual(index.keysByLength(5, Infinity), []);
+        assert.deepStrictEqual(index.keysBySize(3, Infinity).sort(), ['ader', 'eilv']);
+        assert.deepStrictEqual(index.keysBySize(2, 2).sort(), ['act', 'no']);
+        assert.deepStrictEqual([index.maxLength(), index.maxSize()], [4, 4]);
+    });
+
+    it('counts letters with combining marks as one character', function() {
+        const index = indexOf({ ['aé'.normalize('NFD')]: 2 });
+
+        assert.deepStrictEqual(index.keysByLength(2, 2), ['aé'.normalize('NFD')]);
+    });
+
+    it('moves sets as their sizes change', function() {
+        const index = indexOf({ ader: 3, eilv: 4, act: 2 });
+
+        index.set('eilv', 2);
+        index.set('ader', 1);
+        index.set('act', 0);
+        index.set('no', 2);
+
+        assert.strictEqual(index.size(), 2);
+        assert.deepStrictEqual(index.keysBySize(2, Infinity).sort(), ['eilv', 'no']);
+        assert.deepStrictEqual(index.keysByLength(1, Infinity).sort(), ['eilv', 'no']);
+        assert.deepStrictEqual([index.maxLength(), index.maxSize()], [4, 2]);
+    });
+
+    it('empties on clear', function() {
+        const index = indexOf({ ader: 3, act: 2 });
+
+        index.clear();
+
+        assert.strictEqual(index.size(), 0);
+        assert.deepStrictEqual(index.keysBySize(1, Infinity), []);
+        assert.deepStrictEqual([index.maxLength(), index.maxSize()], [0, 0]);
+    });
+});
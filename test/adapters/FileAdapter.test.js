@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileAdapter = require('../../src/adapters/FileAdapter');
+const Logger = require('../../src/logging/Logger');
+const conformance = require('./conformance');
+
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+}
+
+describe('FileAdapter', function() {
+    let dir, adapter;
+
+    function reopen(opts) {
+        return adapter.close().then(() => adapter = new FileAdapter(Object.assign({ dir }, opts)));
+    }
+
+    function contents() {
+        const pairs = {};
+
+        return adapter.each((values, key) => pairs[key] = values.slice()).then(() => pairs);
+    }
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-'));
+        adapter = new FileAdapter({ dir });
+    });
+
+    afterEach(function() {
+        return adapter.close().catch(() => {}).then(() => removeDir(dir));
+    });
+
+    it('restores adds and deletes from the journal', function() {
+        return adapter.add('ader', 'read')
+            .then(() => adapter.add('ader', 'dear'))
+            .then(() => adapter.add('ader', 'dare'))
+            .then(() => adapter.add('act', 'cat'))
+            .then(() => adapter.delete('ader', 'dear'))
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dare'], act: ['cat'] }));
+    });
+
+    it('restores predicate deletes and full set deletes', function() {
+        return Promise.all([adapter.add('ader', 'read'), adapter.add('ader', 'dear'), adapter.add('act', 'cat')])
+            .then(() => adapter.delete('ader', values => word => word === 'dear'))
+            .then(() => adapter.delete('act'))
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => assert.deepStrictEqual(pairs, { ader: ['dear'] }));
+    });
+
+    it('restores a clear', function() {
+        return adapter.add('ader', 'read')
+            .then(() => adapter.clear())
+            .then(() => adapter.add('act', 'cat'))
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => assert.deepStrictEqual(pairs, { act: ['cat'] }));
+    });
+
+    it('compacts the journal into a snapshot', function() {
+        const words = ['read', 'dear', 'dare', 'ared', 'daer'];
+
+        return reopen({ compactThreshold: 3 })
+            .then(() => Promise.all(words.map(word => adapter.add('ader', word))))
+            .then(() => adapter.delete('ader', 'ared'))
+            .then(() => {
+                assert.ok(fs.existsSync(path.join(dir, 'snapshot.json')));
+                assert.ok(fs.readFileSync(path.join(dir, 'journal.log'), 'utf8').split('\n').length <= 4);
+            })
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear', 'dare', 'daer'] }));
+    });
+
+    it('serves requests while compacting, and journals the changes made meanwhile', function() {
+        const keys = Array.from({ length: 5000 }, (_, i) => `key${i}`),
+            tmpPath = path.join(dir, 'snapshot.json.tmp');
+
+        let added = false;
+
+        // resolve whether a snapshot is being written, once one is or once the adds are done
+
+        function compacting() {
+            return new Promise(resolve => {
+                const poll = () => fs.existsSync(tmpPath) || added ? resolve(fs.existsSync(tmpPath)) : setImmediate(poll);
+
+                poll();
+            });
+        }
+
+        return reopen({ compactThreshold: keys.length })
+            .then(() => {
+                const adding = Promise.all(keys.map(key => adapter.add(key, 'val'))).then(() => added = true);
+
+                return compacting().then(midway => {
+                    assert.ok(midway, 'expected to run while the snapshot is written');
+
+                    return Promise.all([adapter.get('key1'), adapter.add('late', 'val'), adding]);
+                });
+            })
+            .then(results => {
+                assert.deepStrictEqual(results[0], ['val']);
+                assert.ok(!fs.existsSync(tmpPath));
+                // the change made while compacting went to the fresh journal
+                assert.strictEqual(fs.readFileSync(path.join(dir, 'journal.log'), 'utf8'), '{"op":"add","key":"late","val":"val"}\n');
+            })
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => {
+                assert.strictEqual(Object.keys(pairs).length, keys.length + 1);
+                assert.deepStrictEqual(pairs.late, ['val']);
+            });
+    });
+
+    it('logs failures to compact and keeps the journal', function() {
+        const lines = [],
+            tmpPath = path.join(dir, 'snapshot.json.tmp');
+
+        fs.mkdirSync(tmpPath); // so the snapshot can't be written
+
+        return reopen({ compactThreshold: 2, logger: new Logger({ sink: { write: line => lines.push(line) } }) })
+            .then(() => adapter.add('ader', 'read'))
+            .then(() => adapter.add('ader', 'dear'))
+            .then(() => {
+                const entries = lines.map(line => JSON.parse(line));
+
+                assert.strictEqual(entries.length, 1);
+                assert.strictEqual(entries[0].level, 'error');
+                assert.strictEqual(entries[0].msg, 'journal compaction failed');
+                assert.strictEqual(entries[0].journal, path.join(dir, 'journal.log'));
+                assert.ok(/EISDIR/.test(entries[0].error));
+
+                fs.rmdirSync(tmpPath);
+            })
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear'] }));
+    });
+
+    it('discards a partially written last journal entry', function() {
+        return adapter.add('ader', 'read')
+            .then(() => adapter.close())
+            .then(() => {
+                fs.appendFileSync(path.join(dir, 'journal.log'), '{"op":"add","key":"ader","va');
+                adapter = new FileAdapter({ dir });
+            })
+            .then(() => adapter.add('act', 'cat'))
+            .then(() => reopen())
+            .then(contents)
+            .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read'], act: ['cat'] }));
+    });
+});
+
+let conformanceDir;
+
+conformance('FileAdapter', {
+    create: () => new FileAdapter({ dir: conformanceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-')) }),
+    destroy: adapter => adapter.close().then(() => removeDir(conformanceDir))
+});
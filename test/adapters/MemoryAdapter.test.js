@@ -0,0 +1,8 @@
+'use strict';
+
+const MemoryAdapter = require('../../src/adapters/MemoryAdapter');
+const conformance = require('./conformance');
+
+conformance('MemoryAdapter', {
+    create: () => new MemoryAdapter()
+});
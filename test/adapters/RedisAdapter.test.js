@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('assert');
+const Redis = require('ioredis');
+const RedisMock = require('ioredis-mock');
+
+const RedisAdapter = require('../../src/adapters/RedisAdapter');
+const conformance = require('./conformance');
+
+// run against a real Redis server if REDIS_HOST is set (eg, `REDIS_HOST=localhost npm test`),
+// otherwise against an in-process mock
+
+function createClient() {
+    return process.env.REDIS_HOST ?
+        new Redis({ host: process.env.REDIS_HOST, port: process.env.REDIS_PORT }) :
+        new RedisMock();
+}
+
+describe('RedisAdapter', function() {
+    let client, adapter;
+
+    beforeEach(function() {
+        client = createClient();
+        adapter = new RedisAdapter({ client, keyPrefix: 'anagram-test:' });
+        return adapter.clear();
+    });
+
+    afterEach(function() {
+        return adapter.clear().then(() => adapter.quit());
+    });
+
+    it('retries a predicate delete when the set changes concurrently', function() {
+        const generatedFrom = [];
+
+        return adapter.add('ader', 'read')
+            .then(() => adapter.delete('ader', values => {
+                if (!generatedFrom.length) {
+                    // sneak in a write between the read and the delete
+                    client.zadd('anagram-test:ader', 2, 'dear');
+                }
+
+                generatedFrom.push(values);
+
+                return word => false;
+            }))
+            .then(result => {
+                assert.deepStrictEqual(generatedFrom, [['read'], ['read', 'dear']]);
+                assert.deepStrictEqual(result, { affected: 2, size: 0 });
+            });
+    });
+
+    it('iterates and clears key/set pairs under its prefix only', function() {
+        const pairs = {};
+
+        return Promise.all([adapter.add('ader', 'read'), adapter.add('act', 'cat'), client.sadd('other:key', 'x')])
+            .then(() => adapter.add('ader', 'dear'))
+            .then(() => adapter.each((values, key) => pairs[key] = values))
+            .then(() => assert.deepStrictEqual(pairs, { ader: ['read', 'dear'], act: ['cat'] }))
+            .then(() => adapter.clear())
+            .then(() => adapter.get('ader'))
+            .then(values => assert.deepStrictEqual(values, []))
+            .then(() => client.smembers('other:key'))
+            .then(values => assert.deepStrictEqual(values, ['x']))
+            .then(() => client.del('other:key'));
+    });
+});
+
+conformance('RedisAdapter', {
+    create: () => {
+        const adapter = new RedisAdapter({ client: createClient(), keyPrefix: 'anagram-test:' });
+        return adapter.clear().then(() => adapter);
+    },
+    destroy: adapter => adapter.clear().then(() => adapter.quit())
+});
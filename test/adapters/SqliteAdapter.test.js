@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SqliteAdapter = require('../../src/adapters/SqliteAdapter');
+const conformance = require('./conformance');
+
+describe('SqliteAdapter', function() {
+    let adapter;
+
+    beforeEach(function() {
+        adapter = new SqliteAdapter({ filename: ':memory:' });
+    });
+
+    afterEach(function() {
+        return adapter.close();
+    });
+
+    it('handles concurrent adds to the same set', function() {
+        const words = ['read', 'dear', 'dare', 'ared', 'daer'];
+
+        return Promise.all(words.map(word => adapter.add('ader', word)))
+            .then(results => assert.deepStrictEqual(results.map(result => result.size), [1, 2, 3, 4, 5]))
+            .then(() => adapter.get('ader'))
+            .then(values => assert.deepStrictEqual(values, words));
+    });
+
+    it('rolls back and rejects when a predicate generator does not return a predicate', function() {
+        return adapter.add('ader', 'read')
+            .then(() => adapter.delete('ader', () => 'nope'))
+            .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, 'Predicate generator did not return a predicate'))
+            .then(() => adapter.add('ader', 'dear'))
+            .then(result => assert.deepStrictEqual(result, { affected: 1, size: 2 }));
+    });
+
+    it('persists to a database file', function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-')),
+            filename = path.join(dir, 'anagrams.sqlite');
+
+        let fileAdapter = new SqliteAdapter({ filename });
+
+        return fileAdapter.add('ader', 'read')
+            .then(() => fileAdapter.close())
+            .then(() => {
+                fileAdapter = new SqliteAdapter({ filename });
+                return fileAdapter.get('ader');
+            })
+            .then(values => assert.deepStrictEqual(values, ['read']))
+            .then(() => fileAdapter.close())
+            .then(() => {
+                fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+                fs.rmdirSync(dir);
+            });
+    });
+});
+
+conformance('SqliteAdapter', {
+    create: () => new SqliteAdapter({ filename: ':memory:' }),
+    destroy: adapter => adapter.close()
+});
@@ -0,0 +1,335 @@
+'use strict';
+
+const assert = require('assert');
+
+const withBatchOps = require('../../src/adapters/withBatchOps');
+
+/**
+ * Define Mocha tests that check an adapter against the Adapter contract
+ * (see src/adapters/adapter-template.js).
+ *
+ * Call from the adapter's own test file, eg:
+ *
+ *     conformance('MyAdapter', {
+ *         create: () => new MyAdapter(),
+ *         destroy: adapter => adapter.close()
+ *     });
+ *
+ * Each test gets a fresh, empty adapter. The optional batch operations are tested as
+ * the adapter implements them or, failing that, as withBatchOps() provides them. Values are strings since some stores
+ * (eg, Redis) only hold strings.
+ *
+ * @param {string}          name Adapter name, for test titles
+ * @param {ConformanceOpts} opts Functions for creating and destroying adapters
+ */
+module.exports = function conformance(name, opts) {
+    describe(`${name} (Adapter contract)`, function() {
+        let adapter;
+
+        function contents(method, min, max) {
+            const pairs = {};
+            const iteratee = (values, key) => {
+                assert.ok(!pairs[key], `key "${key}" iterated more than once`);
+                pairs[key] = values.slice();
+            };
+
+            return (method ? adapter[method](min, max, iteratee) : adapter.each(iteratee)).then(() => pairs);
+        }
+
+        function addAll(pairs) {
+            // add in sequence so that each set's order is predictable
+            return pairs.reduce((promise, pair) => promise.then(() => adapter.add(pair[0], pair[1])), Promise.resolve());
+        }
+
+        beforeEach(function() {
+            return Promise.resolve(opts.create()).then(created => adapter = created);
+        });
+
+        afterEach(function() {
+            return opts.destroy ? opts.destroy(adapter) : undefined;
+        });
+
+        describe('get()', function() {
+            it('resolves an empty array for an unknown key', function() {
+                return adapter.get('xyz').then(values => assert.deepStrictEqual(values, []));
+            });
+
+            it('resolves values in the order they were added', function() {
+                return addAll([['ader', 'read'], ['ader', 'dear'], ['ader', 'dare']])
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['read', 'dear', 'dare']));
+            });
+        });
+
+        describe('add()', function() {
+            it('reports a value added to a new set', function() {
+                return adapter.add('ader', 'read')
+                    .then(result => assert.deepStrictEqual(result, { affected: 1, size: 1 }));
+            });
+
+            it('reports a value added to an existing set', function() {
+                return adapter.add('ader', 'read')
+                    .then(() => adapter.add('ader', 'dear'))
+                    .then(result => assert.deepStrictEqual(result, { affected: 1, size: 2 }));
+            });
+
+            it('does not add a duplicate value', function() {
+                return addAll([['ader', 'read'], ['ader', 'dear']])
+                    .then(() => adapter.add('ader', 'read'))
+                    .then(result => assert.deepStrictEqual(result, { affected: 0, size: 2 }))
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['read', 'dear']));
+            });
+
+            it('does not add a duplicate value added concurrently', function() {
+                return Promise.all([adapter.add('ader', 'read'), adapter.add('ader', 'read')])
+                    .then(results => assert.deepStrictEqual(results.map(result => result.affected).sort(), [0, 1]))
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['read']));
+            });
+
+            it('keeps sets for different keys apart', function() {
+                return addAll([['ader', 'read'], ['act', 'cat'], ['ader', 'dear']])
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear'], act: ['cat'] }));
+            });
+        });
+
+        describe('delete()', function() {
+            beforeEach(function() {
+                return addAll([['ader', 'read'], ['ader', 'dear'], ['ader', 'dare'], ['act', 'cat']]);
+            });
+
+            it('deletes a single value', function() {
+                return adapter.delete('ader', 'dear')
+                    .then(result => assert.deepStrictEqual(result, { affected: 1, size: 2 }))
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['read', 'dare']));
+            });
+
+            it('reports a value that is not in the set', function() {
+                return adapter.delete('ader', 'rade')
+                    .then(result => assert.deepStrictEqual(result, { affected: 0, size: 3 }))
+                    .then(() => adapter.delete('xyz', 'zyx'))
+                    .then(result => assert.deepStrictEqual(result, { affected: 0, size: 0 }));
+            });
+
+            it('removes a key once its last value is deleted', function() {
+                return adapter.delete('act', 'cat')
+                    .then(result => assert.deepStrictEqual(result, { affected: 1, size: 0 }))
+                    .then(() => adapter.get('act'))
+                    .then(values => assert.deepStrictEqual(values, []))
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(Object.keys(pairs), ['ader']));
+            });
+
+            it('deletes a full set when no value is given', function() {
+                return adapter.delete('ader')
+                    .then(result => assert.deepStrictEqual(result, { affected: 3, size: 0 }))
+                    .then(() => adapter.delete('ader', null))
+                    .then(result => assert.deepStrictEqual(result, { affected: 0, size: 0 }))
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, { act: ['cat'] }));
+            });
+
+            it('deletes values rejected by a generated predicate', function() {
+                let generatedFrom;
+
+                return adapter.delete('ader', values => {
+                    generatedFrom = values.slice();
+                    return word => word === 'dare';
+                })
+                    .then(result => {
+                        assert.deepStrictEqual(generatedFrom, ['read', 'dear', 'dare']);
+                        assert.deepStrictEqual(result, { affected: 2, size: 1 });
+                    })
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['dare']));
+            });
+
+            it('deletes nothing when a generated predicate keeps every value', function() {
+                return adapter.delete('ader', values => word => true)
+                    .then(result => assert.deepStrictEqual(result, { affected: 0, size: 3 }))
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['read', 'dear', 'dare']));
+            });
+
+            it('removes a key once a generated predicate rejects every value', function() {
+                return adapter.delete('ader', values => word => false)
+                    .then(result => assert.deepStrictEqual(result, { affected: 3, size: 0 }))
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, { act: ['cat'] }));
+            });
+
+            it('generates a predicate from an empty set for an unknown key', function() {
+                let generatedFrom;
+
+                return adapter.delete('xyz', values => {
+                    generatedFrom = values;
+                    return word => false;
+                })
+                    .then(result => {
+                        assert.deepStrictEqual(generatedFrom, []);
+                        assert.deepStrictEqual(result, { affected: 0, size: 0 });
+                    });
+            });
+
+            it('rejects when a predicate generator does not return a predicate', function() {
+                return adapter.delete('ader', () => 'nope')
+                    .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, 'Predicate generator did not return a predicate'))
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, ['read', 'dear', 'dare']));
+            });
+        });
+
+        describe('clear()', function() {
+            it('deletes every key/set pair', function() {
+                return addAll([['ader', 'read'], ['act', 'cat']])
+                    .then(() => adapter.clear())
+                    .then(result => assert.strictEqual(result, undefined))
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, {}))
+                    .then(() => adapter.get('ader'))
+                    .then(values => assert.deepStrictEqual(values, []));
+            });
+
+            it('leaves the store usable', function() {
+                return adapter.add('ader', 'read')
+                    .then(() => adapter.clear())
+                    .then(() => adapter.add('ader', 'dear'))
+                    .then(result => assert.deepStrictEqual(result, { affected: 1, size: 1 }));
+            });
+        });
+
+        describe('each()', function() {
+            it('calls the iteratee once per key/set pair', function() {
+                return addAll([['ader', 'read'], ['act', 'cat'], ['ader', 'dear'], ['deeinrst', 'interested']])
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear'], act: ['cat'], deeinrst: ['interested'] }));
+            });
+
+            it('resolves without calling the iteratee for an empty store', function() {
+                let calls = 0;
+
+                return adapter.each(() => calls++)
+                    .then(result => {
+                        assert.strictEqual(result, undefined);
+                        assert.strictEqual(calls, 0);
+                    });
+            });
+        });
+
+        describe('optional range iteration', function() {
+            beforeEach(function() {
+                return addAll([
+                    ['ader', 'read'],
+                    ['ader', 'dear'],
+                    ['act', 'cat'],
+                    ['act', 'act'],
+                    ['act', 'tac'],
+                    ['deeinrst', 'interested']
+                ]);
+            });
+
+            it('eachByLength() visits pairs with a key length in range', function() {
+                if (typeof adapter.eachByLength !== 'function') {
+                    this.skip();
+                }
+
+                return contents('eachByLength', 4, Infinity)
+                    .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear'], deeinrst: ['interested'] }))
+                    .then(() => contents('eachByLength', 3, 4))
+                    .then(pairs => assert.deepStrictEqual(Object.keys(pairs).sort(), ['act', 'ader']));
+            });
+
+            it('eachByCardinality() visits pairs with a set size in range', function() {
+                if (typeof adapter.eachByCardinality !== 'function') {
+                    this.skip();
+                }
+
+                return contents('eachByCardinality', 2, 2)
+                    .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear'] }))
+                    .then(() => contents('eachByCardinality', 2, Infinity))
+                    .then(pairs => assert.deepStrictEqual(Object.keys(pairs).sort(), ['act', 'ader']));
+            });
+        });
+
+        describe('optional batch operations', function() {
+            let batchAdapter;
+
+            beforeEach(function() {
+                batchAdapter = withBatchOps(adapter);
+                return addAll([['ader', 'read'], ['ader', 'dear'], ['act', 'cat']]);
+            });
+
+            it('getMany() resolves the set of each key in order', function() {
+                return batchAdapter.getMany(['act', 'xyz', 'ader', 'act'])
+                    .then(sets => assert.deepStrictEqual(sets, [['cat'], [], ['read', 'dear'], ['cat']]));
+            });
+
+            it('addMany() reports each add as if applied in order', function() {
+                return batchAdapter.addMany([
+                    { key: 'ader', val: 'dare' },
+                    { key: 'dgo', val: 'dog' },
+                    { key: 'ader', val: 'read' },
+                    { key: 'dgo', val: 'god' }
+                ])
+                    .then(results => assert.deepStrictEqual(results, [
+                        { affected: 1, size: 3 },
+                        { affected: 1, size: 1 },
+                        { affected: 0, size: 3 },
+                        { affected: 1, size: 2 }
+                    ]))
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, { ader: ['read', 'dear', 'dare'], act: ['cat'], dgo: ['dog', 'god'] }));
+            });
+
+            it('deleteMany() reports each delete as if applied in order', function() {
+                return batchAdapter.deleteMany([
+                    { key: 'ader', val: 'read' },
+                    { key: 'ader', val: values => value => value !== 'dear' },
+                    { key: 'act', val: 'dog' },
+                    { key: 'act' }
+                ])
+                    .then(results => assert.deepStrictEqual(results, [
+                        { affected: 1, size: 1 },
+                        { affected: 1, size: 0 },
+                        { affected: 0, size: 1 },
+                        { affected: 1, size: 0 }
+                    ]))
+                    .then(() => contents())
+                    .then(pairs => assert.deepStrictEqual(pairs, {}));
+            });
+
+            it('applies batches larger than an adapter sends at once in order', function() {
+                // 2500 values spread over 50 sets, so each set's values are split across any runs of 1000
+                const entries = [];
+
+                for (let i = 0; i < 2500; i++) {
+                    entries.push({ key: `k${i % 50}`, val: `v${i}` });
+                }
+
+                return batchAdapter.addMany(entries)
+                    .then(results => assert.deepStrictEqual(results, entries.map((entry, i) => ({ affected: 1, size: Math.floor(i / 50) + 1 }))))
+                    .then(() => batchAdapter.getMany(['k0', 'k49']))
+                    .then(sets => assert.deepStrictEqual(sets.map(set => [set.length, set[0], set[49]]), [[50, 'v0', 'v2450'], [50, 'v49', 'v2499']]))
+                    .then(() => batchAdapter.deleteMany(entries))
+                    .then(results => assert.deepStrictEqual(results, entries.map((entry, i) => ({ affected: 1, size: 49 - Math.floor(i / 50) }))))
+                    .then(() => batchAdapter.getMany(['k0', 'k49']))
+                    .then(sets => assert.deepStrictEqual(sets, [[], []]));
+            });
+
+            it('resolves empty batches', function() {
+                return Promise.all([batchAdapter.getMany([]), batchAdapter.addMany([]), batchAdapter.deleteMany([])])
+                    .then(results => assert.deepStrictEqual(results, [[], [], []]));
+            });
+        });
+    });
+};
+
+/**
+ * @typedef {object} ConformanceOpts
+ * @property {function} create    Returns a new, empty adapter (or a Promise of one)
+ * @property {function} [destroy] Receives an adapter after each test to release its
+ *                                resources. May return a Promise.
+ */
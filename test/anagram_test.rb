@@ -113,4 +113,70 @@ class TestCases < Test::Unit::TestCase
 
     assert_equal(['dare'], body['anagrams'])
   end
+
+  def test_fetching_phrase_anagrams
+    @client.post('/words.json', nil, {"words" => ["dirty", "room", "dormitory"] })
+
+    res = @client.get('/anagrams/dormitory.json', 'multiWord=true&maxWords=2')
+
+    assert_equal('200', res.code, "Unexpected response code")
+
+    body = JSON.parse(res.body)
+
+    assert_equal(['dirty room'], body['phraseAnagrams']['anagrams'])
+    assert_equal(true, body['phraseAnagrams']['complete'])
+
+    # input phrase need not be a known word
+    res = @client.get('/anagrams/roomy%20dirt.json', 'multiWord=true')
+
+    assert_equal('200', res.code, "Unexpected response code")
+
+    body = JSON.parse(res.body)
+
+    assert_equal(['dirty room', 'dormitory'], body['phraseAnagrams']['anagrams'].sort)
+  end
+
+  def test_fetching_subanagrams
+    @client.post('/words.json', nil, {"words" => ["red", "ear", "are", "ad"] })
+
+    res = @client.get('/subanagrams/dread.json', 'minLength=3')
+
+    assert_equal('200', res.code, "Unexpected response code")
+
+    body = JSON.parse(res.body)
+
+    expected = { "3" => [%w(are ear), %w(red)], "4" => [%w(dare dear read)] }
+    actual = body['subAnagrams']['anagrams'].map { |len, sets| [len, sets.map(&:sort).sort] }.to_h
+
+    assert_equal(expected, actual)
+
+    # invalid input
+    res = @client.get('/subanagrams/hunter2.json')
+
+    assert_equal('400', res.code, "Unexpected response code")
+  end
+
+  def test_fetching_anagrams_with_wildcards
+    @client.post('/words.json', nil, {"words" => ["road", "orad", "drab"] })
+
+    res = @client.get('/anagrams/r%3Fad.json')
+
+    assert_equal('200', res.code, "Unexpected response code")
+
+    body = JSON.parse(res.body)
+
+    expected = [[["b"], %w(drab)], [["e"], %w(dare dear read)], [["o"], %w(orad road)]]
+    actual = body['anagrams'].map { |match| [match['blanks'], match['anagrams'].sort] }.sort
+
+    assert_equal(expected, actual)
+
+    # underscore wildcards, multiple blanks
+    res = @client.get('/anagrams/d__r.json')
+
+    assert_equal('200', res.code, "Unexpected response code")
+
+    body = JSON.parse(res.body)
+
+    assert_equal([%w(a b), %w(a e), %w(a o)], body['anagrams'].map { |match| match['blanks'] }.sort)
+  end
 end
@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+
+const Logger = require('../../src/logging/Logger');
+
+describe('Logger', function() {
+    let lines, sink;
+
+    function entries() {
+        return lines.map(line => {
+            assert.ok(line.endsWith('\n'), 'one entry per line');
+            return JSON.parse(line);
+        });
+    }
+
+    beforeEach(function() {
+        lines = [];
+        sink = { write: line => lines.push(line) };
+    });
+
+    it('writes entries as JSON lines', function() {
+        const logger = new Logger({ sink });
+
+        logger.info('request', { method: 'GET', status: 200 });
+
+        const entry = entries()[0];
+
+        assert.ok(!isNaN(Date.parse(entry.time)));
+        delete entry.time;
+
+        assert.deepStrictEqual(entry, { level: 'info', msg: 'request', method: 'GET', status: 200 });
+    });
+
+    it('drops entries less severe than its level', function() {
+        const logger = new Logger({ sink, level: 'warn' });
+
+        ['error', 'warn', 'info', 'debug'].forEach(level => logger[level](level));
+
+        assert.deepStrictEqual(entries().map(entry => entry.msg), ['error', 'warn']);
+        assert.ok(logger.isEnabled('error'));
+        assert.ok(!logger.isEnabled('info'));
+        assert.ok(!logger.isEnabled('verbose'));
+    });
+
+    it('defaults to the info level', function() {
+        const logger = new Logger({ sink });
+
+        logger.debug('hidden');
+        logger.info('shown');
+
+        assert.deepStrictEqual(entries().map(entry => entry.msg), ['shown']);
+        assert.ok(!logger.logsBodies());
+    });
+
+    it('logs thrown values of any kind', function() {
+        const logger = new Logger({ sink });
+
+        logger.error('failed', { error: 'Input word "r2d2" is invalid' });
+        logger.error('failed', { error: new Error('boom') });
+        logger.error('failed', { error: { message: 'ERR wrong type' } });
+
+        const errors = entries().map(entry => entry.error);
+
+        assert.strictEqual(errors[0], 'Input word "r2d2" is invalid');
+        assert.ok(/^Error: boom\n/.test(errors[1]));
+        assert.strictEqual(errors[2], 'ERR wrong type');
+    });
+
+    it('rejects invalid levels', function() {
+        assert.throws(() => new Logger({ sink, level: 'verbose' }), ex => /^Invalid log level "verbose"/.test(ex));
+    });
+});
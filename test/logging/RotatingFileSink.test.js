@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RotatingFileSink = require('../../src/logging/RotatingFileSink');
+
+describe('RotatingFileSink', function() {
+    let dir, logPath;
+
+    function read(suffix) {
+        return fs.readFileSync(logPath + (suffix || ''), 'utf8');
+    }
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-'));
+        logPath = path.join(dir, 'logs', 'app.log');
+    });
+
+    afterEach(function() {
+        fs.readdirSync(path.join(dir, 'logs')).forEach(file => fs.unlinkSync(path.join(dir, 'logs', file)));
+        fs.rmdirSync(path.join(dir, 'logs'));
+        fs.rmdirSync(dir);
+    });
+
+    it('appends lines to the file', function() {
+        fs.mkdirSync(path.dirname(logPath));
+        fs.writeFileSync(logPath, 'old\n');
+
+        const sink = new RotatingFileSink({ path: logPath });
+
+        sink.write('a\n');
+        sink.write('b\n');
+
+        return sink.close().then(() => assert.strictEqual(read(), 'old\na\nb\n'));
+    });
+
+    it('rotates the file past its maximum size, keeping a number of rotated files', function() {
+        const sink = new RotatingFileSink({ path: logPath, maxSize: 4, maxFiles: 2 });
+
+        ['1\n', '2\n', '3\n', '4\n', '5\n', '6\n', '7\n'].forEach(line => sink.write(line));
+
+        return sink.close().then(() => {
+            assert.deepStrictEqual(fs.readdirSync(path.dirname(logPath)).sort(), ['app.log', 'app.log.1', 'app.log.2']);
+            assert.strictEqual(read(), '7\n');
+            assert.strictEqual(read('.1'), '5\n6\n');
+            assert.strictEqual(read('.2'), '3\n4\n');
+        });
+    });
+
+    it('writes a line larger than its maximum size to a file of its own', function() {
+        const sink = new RotatingFileSink({ path: logPath, maxSize: 4 });
+
+        sink.write('1\n');
+        sink.write('12345678\n');
+        sink.write('2\n');
+
+        return sink.close().then(() => assert.deepStrictEqual([read(), read('.1'), read('.2')], ['2\n', '12345678\n', '1\n']));
+    });
+});
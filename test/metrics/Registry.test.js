@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert');
+
+const Registry = require('../../src/metrics/Registry');
+
+describe('Registry', function() {
+    let registry;
+
+    beforeEach(function() {
+        registry = new Registry();
+    });
+
+    it('renders counters per label values', function() {
+        const counter = registry.counter('requests_total', 'Requests served', ['method', 'status']);
+
+        counter.inc({ method: 'GET', status: 200 });
+        counter.inc({ method: 'GET', status: 200 });
+        counter.inc({ method: 'POST', status: 201 }, 3);
+
+        assert.strictEqual(registry.render(), [
+            '# HELP requests_total Requests served',
+            '# TYPE requests_total counter',
+            'requests_total{method="GET",status="200"} 2',
+            'requests_total{method="POST",status="201"} 3',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders gauges that are set or collected', function() {
+        let words = 10;
+
+        registry.gauge('lag_seconds', 'Lag').set(null, 0.5);
+        registry.gauge('word_count', 'Words', ['dictionary'], () => [{ labels: { dictionary: 'default' }, value: words }]);
+
+        words = 12;
+
+        assert.strictEqual(registry.render(), [
+            '# HELP lag_seconds Lag',
+            '# TYPE lag_seconds gauge',
+            'lag_seconds 0.5',
+            '# HELP word_count Words',
+            '# TYPE word_count gauge',
+            'word_count{dictionary="default"} 12',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders histograms with cumulative buckets', function() {
+        const histogram = registry.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+
+        [0.05, 0.1, 0.5, 2].forEach(value => histogram.observe({ route: '/anagrams/:word' }, value));
+
+        assert.strictEqual(registry.render(), [
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{route="/anagrams/:word",le="0.1"} 2',
+            'latency_seconds_bucket{route="/anagrams/:word",le="1"} 3',
+            'latency_seconds_bucket{route="/anagrams/:word",le="+Inf"} 4',
+            'latency_seconds_sum{route="/anagrams/:word"} 2.65',
+            'latency_seconds_count{route="/anagrams/:word"} 4',
+            ''
+        ].join('\n'));
+    });
+
+    it('escapes label values and descriptions', function() {
+        registry.counter('odd_total', 'Back\\slash\nnewline', ['value']).inc({ value: 'say "hi"\\\n' });
+
+        assert.strictEqual(registry.render(), [
+            '# HELP odd_total Back\\\\slash\\nnewline',
+            '# TYPE odd_total counter',
+            'odd_total{value="say \\"hi\\"\\\\\\n"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('rejects invalid and duplicate metrics', function() {
+        registry.counter('requests_total');
+
+        assert.throws(() => registry.counter('requests_total'), ex => ex === 'Metric "requests_total" is already defined');
+        assert.throws(() => registry.gauge('word-count'), ex => ex === 'Metric name "word-count" is invalid');
+        assert.throws(() => registry.histogram('latency', '', ['le']), ex => ex === 'Histogram "latency" may not have an "le" label');
+    });
+});
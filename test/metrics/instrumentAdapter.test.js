@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert');
+
+const MemoryAdapter = require('../../src/adapters/MemoryAdapter');
+const Registry = require('../../src/metrics/Registry');
+const instrumentAdapter = require('../../src/metrics/instrumentAdapter');
+const conformance = require('../adapters/conformance');
+
+describe('instrumentAdapter()', function() {
+    let registry, histogram;
+
+    beforeEach(function() {
+        registry = new Registry();
+        histogram = registry.histogram('adapter_seconds', 'Adapter latency', ['dictionary', 'operation']);
+    });
+
+    it('observes the latency of each operation', function() {
+        const adapter = instrumentAdapter(new MemoryAdapter(), histogram, { dictionary: 'default' });
+
+        return adapter.add('ader', 'read')
+            .then(() => adapter.add('ader', 'dear'))
+            .then(() => adapter.get('ader'))
+            .then(values => {
+                assert.deepStrictEqual(values, ['read', 'dear']);
+                assert.ok(/^adapter_seconds_count\{dictionary="default",operation="add"\} 2$/m.test(registry.render()));
+                assert.ok(/^adapter_seconds_count\{dictionary="default",operation="get"\} 1$/m.test(registry.render()));
+            });
+    });
+
+    it('observes operations that reject', function() {
+        const adapter = instrumentAdapter(new MemoryAdapter(), histogram);
+
+        return adapter.delete('ader', () => 'nope')
+            .then(() => assert.fail('expected rejection'), ex => assert.strictEqual(ex, 'Predicate generator did not return a predicate'))
+            .then(() => assert.ok(/^adapter_seconds_count\{dictionary="",operation="delete"\} 1$/m.test(registry.render())));
+    });
+
+    it('keeps optional methods absent', function() {
+        const adapter = instrumentAdapter(new MemoryAdapter(), histogram);
+
+        assert.strictEqual(typeof adapter.each, 'function');
+        assert.strictEqual(adapter.eachByLength, undefined);
+        assert.strictEqual(adapter.close, undefined);
+    });
+
+    conformance('instrumented MemoryAdapter', {
+        create: () => instrumentAdapter(new MemoryAdapter(), new Registry().histogram('adapter_seconds', '', ['operation']))
+    });
+});
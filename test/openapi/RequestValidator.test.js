@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+
+const RequestValidator = require('../../src/openapi/RequestValidator');
+const buildSpec = require('../../src/openapi/spec');
+
+describe('RequestValidator', function() {
+    const validator = new RequestValidator(buildSpec());
+
+    function validate(method, path, req) {
+        return validator.validate(validator.operation(method, path), Object.assign({ params: {}, query: {} }, req));
+    }
+
+    it('finds the operations of routes', function() {
+        assert.strictEqual(validator.operation('get', '/anagrams/:word').operationId, 'getAnagrams');
+        assert.strictEqual(validator.operation('GET', '/dictionaries/:name/anagrams/:word').operationId, 'getAnagramsInDictionary');
+        assert.strictEqual(validator.operation('delete', '/words.json').operationId, 'clearWords');
+        assert.strictEqual(validator.operation('put', '/words.json'), undefined);
+        assert.strictEqual(validator.operation('get', '/nothing'), undefined);
+    });
+
+    it('accepts valid requests', function() {
+        assert.deepStrictEqual(validate('get', '/anagrams/:word', { params: { word: 'read.json' }, query: { limit: '2', includeInput: 'true' } }), []);
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { areAnagrams: 'dare, dear,read' } }), []);
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { cardinalityMin: '4', unknown: 'ignored' } }), []);
+        assert.deepStrictEqual(validate('post', '/words.json', { body: { words: ['read', 'hunter2'] } }), []);
+    });
+
+    it('describes invalid query parameters', function() {
+        assert.deepStrictEqual(validate('get', '/anagrams/:word', { params: { word: 'read' }, query: { limit: 'abc' } }),
+            ['Query parameter "limit" must be an integer (got "abc")']);
+        assert.deepStrictEqual(validate('get', '/anagrams/:word', { params: { word: 'read' }, query: { limit: '1.5', maxWords: '7', includeInput: 'yes' } }), [
+            'Query parameter "limit" must be an integer (got "1.5")',
+            'Query parameter "includeInput" must be true or false (got "yes")',
+            'Query parameter "maxWords" must be at most 6 (got "7")'
+        ]);
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { cardinalityMin: '-4' } }),
+            ['Query parameter "cardinalityMin" must be at least 1 (got "-4")']);
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { lengthMin: ['1', '2'] } }),
+            ['Query parameter "lengthMin" must be given once']);
+    });
+
+    it('describes invalid comma-delimited lists', function() {
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { areAnagrams: 'dare' } }),
+            ['Query parameter "areAnagrams" must list at least 2 items (got 1)']);
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { areAnagrams: '' } }),
+            ['Query parameter "areAnagrams" must list at least 2 items (got 0)']);
+        assert.deepStrictEqual(validate('get', '/anagrams', { query: { areAnagrams: 'dare,,dear' } }),
+            ['Query parameter "areAnagrams" item 2 must not be empty']);
+    });
+
+    it('describes invalid path parameters', function() {
+        assert.deepStrictEqual(validate('get', '/dictionaries/:name/words', { params: { name: 'a-b' }, query: { count: 'true' } }),
+            ['Path parameter "name" must match ^\\w{1,64}$ (got "a-b")']);
+        assert.deepStrictEqual(validate('delete', '/dictionaries/:name', { params: { name: 'spanish.json' } }), []);
+    });
+
+    it('describes invalid bodies', function() {
+        assert.deepStrictEqual(validate('post', '/words.json', {}), ['Body is required']);
+        assert.deepStrictEqual(validate('post', '/words.json', { body: '{ "words": ' }), ['Body must be valid JSON']);
+        assert.deepStrictEqual(validate('post', '/words.json', { body: ['read'] }), ['Body must be an object (got ["read"])']);
+        assert.deepStrictEqual(validate('post', '/words.json', { body: { word: 'read' } }), ['Body property "words" is required']);
+        assert.deepStrictEqual(validate('post', '/words.json', { body: { words: ['read', 2] } }), ['Body property "words" item 2 must be a string (got 2)']);
+        assert.deepStrictEqual(validate('post', '/dictionaries.json', { body: { name: 'spanish', foldDiacritics: 'yes' } }),
+            ['Body property "foldDiacritics" must be true or false (got "yes")']);
+        assert.deepStrictEqual(validate('post', '/words/import', {}), []); // uploads are checked by their route
+    });
+
+    it('parses JSON string bodies', function() {
+        const req = { params: {}, query: {}, body: '{ "words": ["read"] }' };
+
+        assert.deepStrictEqual(validator.validate(validator.operation('post', '/words.json'), req), []);
+        assert.deepStrictEqual(req.body, { words: ['read'] });
+    });
+});
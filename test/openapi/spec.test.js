@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert');
+
+const buildSpec = require('../../src/openapi/spec');
+
+describe('OpenAPI document', function() {
+    const spec = buildSpec();
+
+    function operations() {
+        const ops = [];
+
+        Object.keys(spec.paths).forEach(path => Object.keys(spec.paths[path]).forEach(method =>
+            ops.push(Object.assign({ path, method }, spec.paths[path][method]))));
+
+        return ops;
+    }
+
+    it('gives each operation a unique id', function() {
+        const ids = operations().map(op => op.operationId);
+
+        assert.ok(ids.every(Boolean));
+        assert.strictEqual(new Set(ids).size, ids.length);
+    });
+
+    it('describes every path parameter', function() {
+        operations().forEach(op => {
+            const names = (op.path.match(/\{\w+\}/g) || []).map(name => name.slice(1, -1)),
+                params = (op.parameters || []).filter(param => param.in === 'path').map(param => param.name);
+
+            assert.deepStrictEqual(params.sort(), names.sort(), `${op.method} ${op.path}`);
+        });
+    });
+
+    it('serves dictionary operations for named dictionaries too', function() {
+        assert.strictEqual(spec.paths['/dictionaries/{name}/anagrams/{word}'].get.operationId, 'getAnagramsInDictionary');
+        assert.strictEqual(spec.paths['/dictionaries/{name}/words.json'].delete['x-required-role'], 'admin');
+        assert.strictEqual(spec.paths['/dictionaries/{name}/metrics'], undefined);
+    });
+
+    it('requires a role for every operation that changes dictionaries', function() {
+        const readOnly = op => op.method === 'get' || op['x-read-only'];
+
+        operations().filter(op => !readOnly(op)).forEach(op => {
+            assert.ok(['editor', 'admin'].indexOf(op['x-required-role']) !== -1, `${op.method} ${op.path}`);
+            assert.ok(op.security && op.responses[401] && op.responses[403], `${op.method} ${op.path}`);
+        });
+
+        operations().filter(readOnly).forEach(op => assert.ok(!op['x-required-role'], `${op.method} ${op.path}`));
+    });
+
+    it('references only defined schemas', function() {
+        const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g);
+
+        assert.ok(refs.length);
+
+        refs.forEach(ref => {
+            const name = ref.match(/#\/components\/schemas\/(\w+)/)[1];
+            assert.ok(spec.components.schemas[name], ref);
+        });
+    });
+});
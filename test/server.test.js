@@ -0,0 +1,525 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const Logger = require('../src/logging/Logger');
+const MemoryAdapter = require('../src/adapters/MemoryAdapter');
+const buildSpec = require('../src/openapi/spec');
+const startServer = require('../src/server');
+
+describe('server', function() {
+    let dir, server;
+
+    // start a server on a free port, preloaded with some words
+
+    function start(words, opts) {
+        const preload = path.join(dir, 'words.txt');
+
+        fs.writeFileSync(preload, words.map(word => `${word}\n`).join(''));
+
+        return new Promise((resolve, reject) => {
+            server = startServer(Object.assign({
+                adapter: new MemoryAdapter(),
+                createAdapter: () => new MemoryAdapter(),
+                port: 0,
+                preload,
+                rateLimit: false,
+                logger: new Logger({ sink: { write: () => {} } })
+            }, opts));
+
+            server.once('listening', resolve);
+            server.once('error', reject);
+        });
+    }
+
+    // make a request, resolving its status, headers and body (as text)
+
+    function request(method, url, opts) {
+        opts = opts || {};
+
+        return new Promise((resolve, reject) => {
+            const headers = Object.assign({}, opts.headers);
+
+            let body = opts.body;
+
+            if (body != null && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+                body = JSON.stringify(body);
+                headers['Content-Type'] = 'application/json';
+            }
+
+            const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: url, headers, agent: false }, res => {
+                const chunks = [];
+
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anagram-test-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    describe('streaming anagram sets', function() {
+        // 1500 anagram sets of 2 words (eg, "abc" and "cba"), so a stream spans two batches of 1000
+
+        const LETTERS = 'abcdefghijklmnopqrstuvwxyz'.split(''),
+            sets = [];
+
+        LETTERS.forEach((a, i) => LETTERS.forEach((b, j) => LETTERS.forEach((c, k) => {
+            if (i < j && j < k && sets.length < 1500) {
+                sets.push([a + b + c, c + b + a]);
+            }
+        })));
+
+        beforeEach(function() {
+            return start([].concat.apply([], sets));
+        });
+
+        function lines(body) {
+            assert.ok(body.endsWith('\n'), 'ends with a newline');
+
+            return body.slice(0, -1).split('\n').map(line => JSON.parse(line));
+        }
+
+        it('writes one anagram set per line, in key order, across batches', function() {
+            return request('GET', '/anagrams?cardinalityMin=2&stream=true').then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers['content-type'], 'application/x-ndjson');
+                assert.deepStrictEqual(lines(res.body), sets);
+            });
+        });
+
+        it('streams on request by the Accept header too', function() {
+            return request('GET', '/anagrams?lengthMin=3&lengthMax=3', { headers: { Accept: 'application/json, application/x-ndjson' } }).then(res => {
+                assert.strictEqual(res.headers['content-type'], 'application/x-ndjson');
+                assert.strictEqual(lines(res.body).length, 1500);
+            });
+        });
+
+        it('ends an empty stream without writing a line', function() {
+            return request('GET', '/anagrams?cardinalityMin=3&stream=true').then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers['content-type'], 'application/x-ndjson');
+                assert.strictEqual(res.body, '');
+            });
+        });
+    });
+
+    describe('exporting dictionaries', function() {
+        beforeEach(function() {
+            return start(['read', 'dear', 'cat', 'act', 'tac', 'dog', 'Ñu', 'uñ']);
+        });
+
+        it('exports one word per line as txt by default', function() {
+            return request('GET', '/words/export').then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers['content-type'], 'text/plain; charset=utf-8');
+                assert.strictEqual(res.headers['content-disposition'], 'attachment; filename="default.txt"');
+                assert.strictEqual(res.body, 'cat\nact\ntac\nread\ndear\ndog\nÑu\nuñ\n');
+            });
+        });
+
+        it('exports an array of anagram sets as json', function() {
+            return request('GET', '/words/export?format=json').then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers['content-type'], 'application/json');
+                assert.strictEqual(res.headers['content-disposition'], 'attachment; filename="default.json"');
+                assert.deepStrictEqual(JSON.parse(res.body), [['cat', 'act', 'tac'], ['read', 'dear'], ['dog'], ['Ñu', 'uñ']]);
+            });
+        });
+
+        it('exports a line per word with its key and set size as csv', function() {
+            return request('GET', '/words/export?format=csv').then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.headers['content-type'], 'text/csv; charset=utf-8');
+                assert.strictEqual(res.headers['content-disposition'], 'attachment; filename="default.csv"');
+                assert.strictEqual(res.body, [
+                    'word,key,size',
+                    'cat,act,3', 'act,act,3', 'tac,act,3',
+                    'read,ader,2', 'dear,ader,2',
+                    'dog,dgo,1',
+                    'Ñu,uñ,2', 'uñ,uñ,2'
+                ].map(line => `${line}\r\n`).join(''));
+            });
+        });
+
+        it('exports an empty dictionary in each format', function() {
+            return request('POST', '/dictionaries.json', { body: { name: 'empty' } })
+                .then(() => Promise.all(['txt', 'json', 'csv'].map(format => request('GET', `/dictionaries/empty/words/export?format=${format}`))))
+                .then(results => {
+                    assert.deepStrictEqual(results.map(res => res.body), ['', '[\n\n]\n', 'word,key,size\r\n']);
+                    assert.strictEqual(results[1].headers['content-disposition'], 'attachment; filename="empty.json"');
+                });
+        });
+
+        it('rejects unknown formats', function() {
+            return request('GET', '/words/export?format=xml').then(res => assert.strictEqual(res.status, 400));
+        });
+    });
+
+    describe('request bodies', function() {
+        // restify 6 took the request's 'close' event, which node 16 and later emit once the body is read,
+        // for the client going away, and answered 444 rather than as the route does
+
+        beforeEach(function() {
+            return start(['read', 'dear']);
+        });
+
+        it('answers requests with JSON bodies as their routes do', function() {
+            return Promise.all([
+                request('POST', '/words.json', { body: { words: ['dare'] } }),
+                request('POST', '/anagrams/lookup', { body: { words: ['read'] } }),
+                request('POST', '/dictionaries.json', { body: { name: 'other' } })
+            ]).then(results => assert.deepStrictEqual(results.map(res => res.status), [201, 200, 201]));
+        });
+
+        it('rejects malformed JSON bodies', function() {
+            return request('POST', '/words.json', { headers: { 'Content-Type': 'application/json' }, body: '{"words":' })
+                .then(res => assert.strictEqual(res.status, 400));
+        });
+    });
+
+    describe('preloading named dictionaries', function() {
+        let cwd;
+
+        beforeEach(function() {
+            cwd = process.cwd();
+            return start([]);
+        });
+
+        afterEach(function() {
+            process.chdir(cwd);
+        });
+
+        it('finds word lists in src/config wherever the server was started from', function() {
+            this.timeout(20000);
+
+            process.chdir(os.tmpdir());
+
+            return request('POST', '/dictionaries.json', { body: { name: 'english' } })
+                .then(() => request('POST', '/dictionaries/english/preload.json', { body: { file: 'dictionary.txt' } }))
+                .then(res => {
+                    assert.strictEqual(res.status, 200);
+                    assert.ok(JSON.parse(res.body).counts.word > 0);
+                });
+        });
+
+        it('refuses unknown word lists', function() {
+            return request('POST', '/dictionaries.json', { body: { name: 'english' } })
+                .then(() => request('POST', '/dictionaries/english/preload.json', { body: { file: 'nope.txt' } }))
+                .then(res => assert.strictEqual(res.status, 404));
+        });
+    });
+
+    describe('batch lookups', function() {
+        beforeEach(function() {
+            return start(['read', 'dear', 'dare']);
+        });
+
+        it('answers the valid words of a mixed batch and reports the rest', function() {
+            return request('POST', '/anagrams/lookup', { body: { words: ['read', 5, 'r2d2', null, { word: 'dear' }, 'd_ar'] } }).then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.deepStrictEqual(JSON.parse(res.body), {
+                    anagrams: {
+                        read: ['dear', 'dare'],
+                        'd_ar': [{ blanks: ['e'], anagrams: ['read', 'dear', 'dare'] }]
+                    },
+                    errors: {
+                        '5': 'Input word 5 is not a string',
+                        r2d2: 'Input word "r2d2" is invalid',
+                        'null': 'Input word null is not a string',
+                        '{"word":"dear"}': 'Input word {"word":"dear"} is not a string'
+                    }
+                });
+            });
+        });
+
+        it('still validates the batch itself', function() {
+            return Promise.all([
+                request('POST', '/anagrams/lookup', { body: { words: [] } }),
+                request('POST', '/anagrams/lookup', { body: { words: 'read' } })
+            ]).then(results => assert.deepStrictEqual(results.map(res => res.status), [400, 400]));
+        });
+    });
+
+    describe('importing word lists', function() {
+        // an adapter whose writes wait while it's held
+
+        class HeldAdapter extends MemoryAdapter {
+            add(key, val) {
+                return (this.held || Promise.resolve()).then(() => super.add(key, val));
+            }
+        }
+
+        // poll a job until it finishes
+
+        function finished(id) {
+            return request('GET', `/jobs/${id}`).then(res => {
+                const job = JSON.parse(res.body).job;
+
+                return job.status === 'running' ? new Promise(resolve => setTimeout(resolve, 20)).then(() => finished(id)) : job;
+            });
+        }
+
+        // eg, "a", "b", ..., "ba", "bb", ...
+
+        function letterWord(i) {
+            return i.toString(26).split('').map(digit => String.fromCharCode(97 + parseInt(digit, 26))).join('');
+        }
+
+        it('answers before the words are added', function() {
+            this.timeout(20000);
+
+            // more than the server would buffer while its store is held
+            const WORD_COUNT = 200000,
+                words = Array.from({ length: WORD_COUNT }, (_, i) => letterWord(i)),
+                adapter = new HeldAdapter();
+
+            let release, released = false;
+
+            return start([], { adapter })
+                .then(() => {
+                    adapter.held = new Promise(resolve => {
+                        release = () => {
+                            released = true;
+                            resolve();
+                        };
+                    });
+
+                    // let the store go eventually, in case the answer waits on it
+                    const timer = setTimeout(release, 2000);
+
+                    return request('POST', '/words/import', { headers: { 'Content-Type': 'text/plain' }, body: words.join('\n') })
+                        .then(res => {
+                            clearTimeout(timer);
+                            assert.strictEqual(released, false);
+                            release();
+
+                            return res;
+                        });
+                })
+                .then(res => {
+                    const job = JSON.parse(res.body).job;
+
+                    assert.strictEqual(res.status, 202);
+                    assert.strictEqual(res.headers.location, `/jobs/${job.id}`);
+                    assert.strictEqual(job.status, 'running');
+
+                    return finished(job.id);
+                })
+                .then(job => {
+                    assert.strictEqual(job.status, 'succeeded');
+                    assert.strictEqual(job.report.counts.word, WORD_COUNT);
+                });
+        });
+
+        it('imports gzipped uploads', function() {
+            return start([])
+                .then(() => request('POST', '/words/import', {
+                    headers: { 'Content-Type': 'text/plain', 'Content-Encoding': 'gzip' },
+                    body: zlib.gzipSync('read dear\ncat\nr2d2\n')
+                }))
+                .then(res => {
+                    assert.strictEqual(res.status, 202);
+                    return finished(JSON.parse(res.body).job.id);
+                })
+                .then(job => {
+                    assert.strictEqual(job.status, 'succeeded');
+                    assert.deepStrictEqual(job.report.counts, { word: 3, anagram: 1 });
+                    assert.strictEqual(job.report.rejectedCount, 1);
+                });
+        });
+
+        it('refuses uploads over the size limit, and removes what was spooled', function() {
+            const body = 'read\ndear\n'.repeat(20), // 200 bytes
+                spooled = () => fs.readdirSync(os.tmpdir()).filter(file => /^anagram-import-/.test(file)),
+                before = spooled();
+
+            // resolve once no spooled files are left over, or fail after a while
+
+            function removed(tries) {
+                const leftover = spooled().filter(file => before.indexOf(file) === -1);
+
+                if (!leftover.length) {
+                    return Promise.resolve();
+                }
+
+                assert.ok(tries, `left over: ${leftover}`);
+
+                return new Promise(resolve => setTimeout(resolve, 20)).then(() => removed(tries - 1));
+            }
+
+            return start([], { maxUploadSize: 100 })
+                .then(() => Promise.all([
+                    // refused by its Content-Length
+                    request('POST', '/words/import', { headers: { 'Content-Type': 'text/plain' }, body }),
+                    // refused once it has passed the limit
+                    request('POST', '/words/import', { headers: { 'Content-Type': 'text/plain', 'Transfer-Encoding': 'chunked' }, body }),
+                    // at the limit
+                    request('POST', '/words/import', { headers: { 'Content-Type': 'text/plain' }, body: body.substr(0, 100) })
+                ]))
+                .then(results => {
+                    assert.deepStrictEqual(results.map(res => res.status), [413, 413, 202]);
+                    assert.strictEqual(JSON.parse(results[1].body).message, 'Uploads may be at most 100 bytes');
+
+                    return finished(JSON.parse(results[2].body).job.id);
+                })
+                .then(() => removed(50));
+        });
+
+        it('rejects gzip uploads that are not gzip without starting a job', function() {
+            return start([])
+                .then(() => request('POST', '/words/import', { headers: { 'Content-Type': 'application/gzip' }, body: 'read\n' }))
+                .then(res => {
+                    assert.strictEqual(res.status, 400);
+                    assert.strictEqual(JSON.parse(res.body).message, 'The upload is not valid gzip');
+                    assert.strictEqual(res.headers.location, undefined);
+                });
+        });
+    });
+
+    describe('rate limiting', function() {
+        beforeEach(function() {
+            return start(['read', 'dear', 'dare'], { rateLimit: { lookup: 1000, scan: 500 } });
+        });
+
+        // the budget a request was counted against, going by its limit
+
+        function budgetOf(method, url, body) {
+            return request(method, url, { body }).then(res => ({ '1000': 'lookup', '500': 'scan' })[res.headers['ratelimit-limit']]);
+        }
+
+        it('counts exports, length and cardinality queries, and searches of every anagram set key as scans', function() {
+            return Promise.all([
+                budgetOf('GET', '/words/export'),
+                budgetOf('GET', '/subanagrams/read.json'),
+                budgetOf('GET', '/anagrams/read.json?multiWord=true'),
+                budgetOf('GET', '/anagrams/read.json?near=add'),
+                budgetOf('GET', '/anagrams/r_ad.json'),
+                budgetOf('GET', '/dictionaries/spanish/anagrams/r%3Fad.json'),
+                budgetOf('GET', '/anagrams?lengthMin=1'),
+                budgetOf('GET', '/anagrams?cardinalityMin=2&limit=10'),
+                budgetOf('GET', '/anagrams?maxLength=true&stream=true'),
+                budgetOf('GET', '/anagrams?maxCardinality=true'),
+                budgetOf('POST', '/anagrams/lookup', { words: ['read', 'r_ad'] })
+            ]).then(budgets => assert.deepStrictEqual(budgets, new Array(11).fill('scan')));
+        });
+
+        it('counts lookups of particular anagram sets as lookups', function() {
+            return Promise.all([
+                budgetOf('GET', '/anagrams/read.json'),
+                budgetOf('GET', '/anagrams?count=true'),
+                budgetOf('GET', '/words?stats=true'),
+                budgetOf('POST', '/anagrams/lookup', { words: ['read', 'dear'] })
+            ]).then(budgets => assert.deepStrictEqual(budgets, new Array(4).fill('lookup')));
+        });
+
+        it('refuses scans over budget but not lookups', function() {
+            server.close();
+
+            return start(['read', 'dear', 'dare'], { rateLimit: { lookup: 1000, scan: 1 } })
+                .then(() => request('GET', '/subanagrams/read.json'))
+                .then(res => assert.strictEqual(res.status, 200))
+                .then(() => request('GET', '/anagrams/r_ad.json'))
+                .then(res => assert.deepStrictEqual([res.status, JSON.parse(res.body).message], [429, 'Too many scan requests. Retry in 60 seconds.']))
+                .then(() => request('GET', '/anagrams/read.json'))
+                .then(res => assert.strictEqual(res.status, 200));
+        });
+    });
+
+    describe('API key roles', function() {
+        const KEYS = { 'read-only': 'r3ad', editor: 'ed1t', admin: 'adm1n' },
+            ROLES = Object.keys(KEYS); // from least to most privileged
+
+        // every operation that requires a role, with its path parameters filled in
+
+        function operations() {
+            const spec = buildSpec(),
+                ops = [];
+
+            Object.keys(spec.paths).forEach(template => Object.keys(spec.paths[template]).forEach(method => {
+                const role = spec.paths[template][method]['x-required-role'],
+                    url = template.replace('{name}', 'spanish').replace('{word}', 'read');
+
+                if (role) {
+                    ops.push({ method: method.toUpperCase(), url, role });
+                }
+            }));
+
+            return ops;
+        }
+
+        beforeEach(function() {
+            const apiKeys = path.join(dir, 'keys.json');
+
+            fs.writeFileSync(apiKeys, JSON.stringify({ keys: ROLES.map(role => ({ key: KEYS[role], role })) }));
+
+            return start(['read', 'dear'], { apiKeys })
+                .then(() => request('POST', '/dictionaries.json', { headers: { 'X-API-Key': KEYS.admin }, body: { name: 'spanish' } }))
+                .then(res => assert.strictEqual(res.status, 201));
+        });
+
+        it('answers 401 to anonymous clients for every operation that requires a role', function() {
+            const ops = operations();
+
+            assert.ok(ops.length);
+
+            return Promise.all(ops.map(op => request(op.method, op.url).then(res => {
+                assert.strictEqual(res.status, 401, `${op.method} ${op.url}`);
+                assert.strictEqual(res.headers['www-authenticate'], 'Bearer realm="Anagramarama"');
+                assert.strictEqual(JSON.parse(res.body).message, `An API key with the "${op.role}" role is required`);
+            })));
+        });
+
+        it('answers 403 to each role below the one an operation requires', function() {
+            const checks = [];
+
+            operations().forEach(op => ROLES.slice(0, ROLES.indexOf(op.role)).forEach(role => checks.push(
+                request(op.method, op.url, { headers: { Authorization: `Bearer ${KEYS[role]}` } }).then(res => {
+                    assert.strictEqual(res.status, 403, `${op.method} ${op.url} as ${role}`);
+                    assert.strictEqual(JSON.parse(res.body).message, `The "${op.role}" role is required. Your API key has the "${role}" role.`);
+                }))));
+
+            assert.ok(checks.length);
+
+            return Promise.all(checks);
+        });
+
+        it('answers 401 to an invalid key, even where no role is required', function() {
+            return Promise.all([request('GET', '/anagrams/read.json', { headers: { 'X-API-Key': 'nope' } }), request('GET', '/anagrams/read.json')])
+                .then(results => {
+                    assert.strictEqual(results[0].status, 401);
+                    assert.strictEqual(results[0].headers['www-authenticate'], 'Bearer realm="Anagramarama", error="invalid_token"');
+                    assert.deepStrictEqual([results[1].status, JSON.parse(results[1].body)], [200, { anagrams: ['dear'] }]);
+                });
+        });
+
+        it('lets each role do what it requires, and more privileged roles too', function() {
+            return request('POST', '/words.json', { headers: { 'X-API-Key': KEYS.editor }, body: { words: ['dare'] } })
+                .then(res => assert.strictEqual(res.status, 201))
+                .then(() => request('DELETE', '/words/dare.json', { headers: { 'X-API-Key': KEYS.admin } }))
+                .then(res => assert.strictEqual(res.status, 204))
+                .then(() => request('DELETE', '/dictionaries/spanish', { headers: { 'X-API-Key': KEYS.admin } }))
+                .then(res => assert.strictEqual(res.status, 204))
+                .then(() => request('GET', '/anagrams/read.json', { headers: { 'X-API-Key': KEYS['read-only'] } }))
+                .then(res => assert.deepStrictEqual([res.status, JSON.parse(res.body)], [200, { anagrams: ['dear'] }]));
+        });
+    });
+});